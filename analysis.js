@@ -1,107 +1,13 @@
-const axios = require('axios');
-
-// --- MULTIPLE DATA SOURCES ---
-const DATA_SOURCES = [
-    {
-        name: 'Binance Main',
-        klines: (symbol, interval, limit = 500) =>
-            `https://fapi.binance.com/fapi/v1/klines?symbol=${symbol}&interval=${interval}&limit=${limit}`,
-        priority: 1
-    },
-    {
-        name: 'Binance Backup 1',
-        klines: (symbol, interval, limit = 500) =>
-            `https://api.binance.com/api/v3/klines?symbol=${symbol}&interval=${interval}&limit=${limit}`,
-        priority: 2
-    },
-    {
-        name: 'Bybit Backup',
-        klines: (symbol, interval, limit = 500) => {
-            const mapping = { '1d': 'D', '4h': '240', '1h': '60', '15m': '15' };
-            return `https://api.bybit.com/v5/market/kline?category=linear&symbol=${symbol}&interval=${mapping[interval] || '60'}&limit=${limit}`;
-        },
-        priority: 3
-    }
-];
-
-const TIMEFRAMES = [
-    { label: 'D1', interval: '1d', weight: 1.5 },
-    { label: 'H4', interval: '4h', weight: 1.3 },
-    { label: 'H1', interval: '1h', weight: 1.1 },
-    { label: '15M', interval: '15m', weight: 0.8 }
-];
-
-// --- SMART CANDLE LOADER WITH MULTI-SOURCE FALLBACK ---
-async function loadCandles(symbol, interval, limit = 500) {
-    const sources = [...DATA_SOURCES].sort((a,b)=>a.priority - b.priority);
-    for (const source of sources) {
-        try {
-            const url = source.klines(symbol, interval, limit);
-            const response = await axios.get(url, {
-                timeout: 10000,
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (compatible; TradingBot/1.0)',
-                    'Accept': 'application/json'
-                }
-            });
-            if (response.status === 200 && response.data) {
-                let candles;
-                if (source.name.includes('Bybit')) {
-                    if (response.data && response.data.result && response.data.result.list) {
-                        candles = response.data.result.list.map(c => ({
-                            open: parseFloat(c[1]),
-                            high: parseFloat(c[2]),
-                            low: parseFloat(c[3]),
-                            close: parseFloat(c[4]),
-                            vol: parseFloat(c[5]),
-                            t: parseFloat(c[0])
-                        })).reverse();
-                    } else {
-                        throw new Error('Invalid Bybit response');
-                    }
-                } else {
-                    candles = response.data.map(c => ({
-                        open: parseFloat(c[1]),
-                        high: parseFloat(c[2]),
-                        low: parseFloat(c[3]),
-                        close: parseFloat(c[4]),
-                        vol: parseFloat(c[5]),
-                        t: c[0]
-                    }));
-                }
-                if (candles && candles.length > 0) return candles;
-            }
-        } catch (e) {
-            // continue to next source
-            // console.warn(`${source.name} failed for ${symbol} ${interval}: ${e.response?.status || e.code || e.message}`);
-            if (e.response && (e.response.status === 418 || e.response.status === 429)) {
-                await new Promise(r => setTimeout(r, 4000));
-            }
-            continue;
-        }
-    }
-    throw new Error(`All sources failed for ${symbol} ${interval}`);
-}
+const { getCandlesWithSource, loadCandles, INTERVAL_MS } = require('./candles');
+const { getProfile, DEFAULT_PARAMS } = require('./strategy');
+const { calculateATR, calculateIndicators, getFilterValue } = require('./indicators');
+const { buildZones, isActiveZone, countZonesByStatus } = require('./zones');
+const { classifyRegime, applyRegimeToParams } = require('./regime');
+const { TIMEFRAME_INTERVALS, getStack } = require('./timeframes');
 
-// --- INDICATORS / HELPERS ---
-function calculateATR(candles, period = 14) {
-    if (!candles || candles.length < period + 1) return 0;
-    const tr = [];
-    for (let i = 1; i < candles.length; i++) {
-        const v = Math.max(
-            candles[i].high - candles[i].low,
-            Math.abs(candles[i].high - candles[i-1].close),
-            Math.abs(candles[i].low - candles[i-1].close)
-        );
-        tr.push(v);
-    }
-    let atr = tr.slice(0, period).reduce((a,b)=>a+b,0) / period;
-    for (let i = period; i < tr.length; i++) {
-        atr = (atr * (period - 1) + tr[i]) / period;
-    }
-    return atr;
-}
+// the timeframes analyzed come from the profile's stack (timeframes.js); weights from params.timeframeWeights
 
+// --- STRUCTURE HELPERS (classic indicators live in indicators.js) ---
 function isSwingHigh(highs, index, lookback = 3) {
     for (let i = 1; i <= lookback; i++) {
         if (index - i >= 0 && highs[index] <= highs[index - i]) return false;
@@ -118,16 +24,16 @@ function isSwingLow(lows, index, lookback = 3) {
     return true;
 }
 
-function analyzeAdvancedMarketStructure(candles) {
+function analyzeAdvancedMarketStructure(candles, lookback = DEFAULT_PARAMS.swingLookback) {
     if (!candles || candles.length < 10) {
         return { swingHighs: [], swingLows: [], trend: 'neutral', breakOfStructure: false, changeOfCharacter: false };
     }
     const highs = candles.map(c=>c.high);
     const lows  = candles.map(c=>c.low);
     const structure = { swingHighs: [], swingLows: [], trend: 'neutral', breakOfStructure: false, changeOfCharacter: false };
-    for (let i = 3; i < candles.length - 3; i++) {
-        if (isSwingHigh(highs, i)) structure.swingHighs.push({ index: i, price: highs[i], time: candles[i].t });
-        if (isSwingLow(lows, i)) structure.swingLows.push({ index: i, price: lows[i], time: candles[i].t });
+    for (let i = lookback; i < candles.length - lookback; i++) {
+        if (isSwingHigh(highs, i, lookback)) structure.swingHighs.push({ index: i, price: highs[i], time: candles[i].t });
+        if (isSwingLow(lows, i, lookback)) structure.swingLows.push({ index: i, price: lows[i], time: candles[i].t });
     }
     if (structure.swingHighs.length >= 2 && structure.swingLows.length >= 2) {
         const rh = structure.swingHighs.slice(-2);
@@ -158,34 +64,39 @@ function detectChangeOfCharacter(structure) {
     return false;
 }
 
-function findOrderBlocks(candles) {
+// Two same-colored candles where the second body is bodyRatio x larger; the first one is the block.
+// Every zone carries its lifecycle (zones.js): status, touches, strength...; callers filter with isActiveZone.
+function findOrderBlocks(candles, bodyRatio = DEFAULT_PARAMS.orderBlockBodyRatio, zoneParams = DEFAULT_PARAMS.zones) {
     if (!candles || candles.length < 3) return [];
-    const blocks = [];
+    const raw = [];
     for (let i = 1; i < candles.length - 1; i++) {
         const cur = candles[i], next = candles[i+1];
-        if (cur.close < cur.open && next.close < next.open && Math.abs(next.close - next.open) > Math.abs(cur.close - cur.open) * 1.5) {
-            blocks.push({ type: 'bearish', high: cur.high, low: cur.low, time: cur.t, strength: 0.7 });
+        if (cur.close < cur.open && next.close < next.open && Math.abs(next.close - next.open) > Math.abs(cur.close - cur.open) * bodyRatio) {
+            raw.push({ zone: { type: 'bearish', high: cur.high, low: cur.low, time: cur.t }, formedIndex: i + 1, impulseIndex: i + 1 });
         }
-        if (cur.close > cur.open && next.close > next.open && Math.abs(next.close - next.open) > Math.abs(cur.close - cur.open) * 1.5) {
-            blocks.push({ type: 'bullish', high: cur.high, low: cur.low, time: cur.t, strength: 0.7 });
+        if (cur.close > cur.open && next.close > next.open && Math.abs(next.close - next.open) > Math.abs(cur.close - cur.open) * bodyRatio) {
+            raw.push({ zone: { type: 'bullish', high: cur.high, low: cur.low, time: cur.t }, formedIndex: i + 1, impulseIndex: i + 1 });
         }
     }
-    return blocks.slice(-10);
+    return buildZones(raw, candles, zoneParams.obMitigation, zoneParams.decayBars);
 }
 
-function findFairValueGaps(candles) {
+// Middle candle clear of both neighbours' wicks; the zone spans its near wick to the neighbours' far wicks
+// (bounds stored low < high so the lifecycle can measure depth).
+function findFairValueGaps(candles, zoneParams = DEFAULT_PARAMS.zones) {
     if (!candles || candles.length < 3) return [];
-    const gaps = [];
+    const raw = [];
+    const span = (a, b) => ({ high: Math.max(a, b), low: Math.min(a, b) });
     for (let i = 1; i < candles.length - 1; i++) {
         const prev = candles[i-1], curr = candles[i], next = candles[i+1];
         if (curr.low > Math.max(prev.high, next.high)) {
-            gaps.push({ type: 'bullish', high: Math.min(prev.low, next.low), low: curr.high, time: curr.t, strength: 0.6 });
+            raw.push({ zone: { type: 'bullish', ...span(Math.min(prev.low, next.low), curr.high), time: curr.t }, formedIndex: i + 1, impulseIndex: i });
         }
         if (curr.high < Math.min(prev.low, next.low)) {
-            gaps.push({ type: 'bearish', high: curr.low, low: Math.max(prev.high, next.high), time: curr.t, strength: 0.6 });
+            raw.push({ zone: { type: 'bearish', ...span(curr.low, Math.max(prev.high, next.high)), time: curr.t }, formedIndex: i + 1, impulseIndex: i });
         }
     }
-    return gaps.slice(-8);
+    return buildZones(raw, candles, zoneParams.fvgMitigation, zoneParams.decayBars);
 }
 
 function analyzeVolumeProfile(candles) {
@@ -216,36 +127,41 @@ function calculateVolumeDelta(candles) {
     return older === 0 ? 1 : recent / older;
 }
 
-function findLiquidityLevels(candles) {
+function findLiquidityLevels(candles, lookback = DEFAULT_PARAMS.liquidityLookback) {
     if (!candles || candles.length < 10) return [];
     const levels = [];
     const highs = candles.map(c=>c.high), lows = candles.map(c=>c.low);
     for (let i = 5; i < candles.length - 5; i++) {
-        if (isSwingHigh(highs, i, 2)) levels.push({ type: 'resistance', price: highs[i], time: candles[i].t, strength: 'strong' });
-        if (isSwingLow(lows, i, 2)) levels.push({ type: 'support', price: lows[i], time: candles[i].t, strength: 'strong' });
+        if (isSwingHigh(highs, i, lookback)) levels.push({ type: 'resistance', price: highs[i], time: candles[i].t, strength: 'strong' });
+        if (isSwingLow(lows, i, lookback)) levels.push({ type: 'support', price: lows[i], time: candles[i].t, strength: 'strong' });
     }
     return levels.slice(-6);
 }
 
-function analyzeTimeframeICT(candles, timeframe) {
+function analyzeTimeframeICT(candles, timeframe, params = DEFAULT_PARAMS) {
     if (!candles || candles.length === 0) return null;
     const price = candles[candles.length - 1].close;
-    const marketStructure = analyzeAdvancedMarketStructure(candles);
-    const orderBlocks = findOrderBlocks(candles);
-    const fairValueGaps = findFairValueGaps(candles);
+    const band = params.relevantLevelBand;
+    const marketStructure = analyzeAdvancedMarketStructure(candles, params.swingLookback);
+    const allOrderBlocks = findOrderBlocks(candles, params.orderBlockBodyRatio, params.zones);
+    const allFairValueGaps = findFairValueGaps(candles, params.zones);
+    const orderBlocks = filterRelevantLevels(allOrderBlocks.filter(isActiveZone), price, band);
+    const fairValueGaps = filterRelevantLevels(allFairValueGaps.filter(isActiveZone), price, band);
     const volumeAnalysis = analyzeVolumeProfile(candles);
-    const liquidityLevels = findLiquidityLevels(candles);
+    const liquidityLevels = findLiquidityLevels(candles, params.liquidityLookback);
     const atr = calculateATR(candles);
     return {
         price,
         trend: marketStructure.trend,
         strength: calculateTrendStrength(marketStructure),
         marketStructure,
-        orderBlocks: filterRelevantLevels(orderBlocks, price),
-        fairValueGaps: filterRelevantLevels(fairValueGaps, price),
+        orderBlocks,
+        fairValueGaps,
+        zoneStats: { orderBlocks: countZonesByStatus(allOrderBlocks), fairValueGaps: countZonesByStatus(allFairValueGaps) },
         volumeAnalysis,
-        liquidityLevels: filterRelevantLevels(liquidityLevels, price),
+        liquidityLevels: filterRelevantLevels(liquidityLevels, price, band),
         atr,
+        indicators: calculateIndicators(candles, params.indicators),
         confidence: calculateTimeframeConfidence(marketStructure, volumeAnalysis, orderBlocks.length)
     };
 }
@@ -258,9 +174,17 @@ function calculateTrendStrength(marketStructure) {
     return Math.abs(highSlope + lowSlope) / 2;
 }
 
-function filterRelevantLevels(levels, currentPrice) {
+// levels: { price } points or { high, low } zones (distance 0 while price is inside the zone)
+function filterRelevantLevels(levels, currentPrice, band = DEFAULT_PARAMS.relevantLevelBand) {
     if (!levels || levels.length === 0) return [];
-    return levels.filter(l => Math.abs(l.price - currentPrice) / currentPrice < 0.05);
+    return levels.filter(l => levelDistance(l, currentPrice) / currentPrice < band);
+}
+
+function levelDistance(level, price) {
+    if (level.high === undefined) return Math.abs(level.price - price);
+    if (price > level.high) return price - level.high;
+    if (price < level.low) return level.low - price;
+    return 0;
 }
 
 function calculateTimeframeConfidence(marketStructure, volumeAnalysis, obCount) {
@@ -271,264 +195,490 @@ function calculateTimeframeConfidence(marketStructure, volumeAnalysis, obCount)
     return Math.min(95, confidence);
 }
 
-function calculateRealConfidence(results) {
+function calculateRealConfidence(results, params = DEFAULT_PARAMS) {
+    return explainConfidence(results, params).confidence;
+}
+
+// Same computation as calculateRealConfidence, keeping every component for /explain
+function explainConfidence(results, params = DEFAULT_PARAMS) {
     let totalScore = 0, maxScore = 0;
+    const timeframes = {};
     for (const [tf, data] of Object.entries(results.timeframes)) {
         if (!data.analysis) continue;
-        const weight = getTimeframeWeight(tf);
-        const tfScore = calculateTFScoreICT(data.analysis);
-        totalScore += tfScore * weight;
+        const weight = getTimeframeWeight(tf, params);
+        const components = calculateTFScoreComponents(data.analysis, params);
+        timeframes[tf] = { weight, ...components };
+        totalScore += components.total * weight;
         maxScore += 100 * weight;
     }
-    if (maxScore === 0) return 0;
-    const confluenceBonus = calculateConfluenceBonus(results);
-    totalScore += confluenceBonus;
-    return Math.min(100, (totalScore / maxScore) * 100);
+    if (maxScore === 0) return { confidence: 0, timeframes, confluence: null, totalScore: 0, maxScore: 0 };
+    const confluence = calculateConfluenceComponents(results, params);
+    totalScore += confluence.bonus;
+    return { confidence: Math.min(100, (totalScore / maxScore) * 100), timeframes, confluence, totalScore, maxScore };
 }
 
-function getTimeframeWeight(tf) {
-    const weights = { 'D1': 1.5, 'H4': 1.3, 'H1': 1.1, '15M': 0.8 };
-    return weights[tf] || 1.0;
+// unlisted timeframes weigh 1.0; a configured 0 mutes the timeframe
+function getTimeframeWeight(tf, params = DEFAULT_PARAMS) {
+    return params.timeframeWeights[tf] ?? 1.0;
 }
 
-function calculateTFScoreICT(analysis) {
-    if (!analysis) return 0;
-    let score = 0;
-    score += analysis.marketStructure.trend !== 'neutral' ? 25 : 0;
-    score += analysis.marketStructure.breakOfStructure ? 15 : 0;
-    score += analysis.marketStructure.changeOfCharacter ? 8 : 0;
-    if (analysis.volumeAnalysis.volumeDelta) score += Math.min(30, (analysis.volumeAnalysis.volumeDelta - 1) * 60);
-    score += Math.min(25, analysis.orderBlocks.length * 4);
-    score += Math.min(20, analysis.fairValueGaps.length * 3);
+function calculateTFScoreICT(analysis, params = DEFAULT_PARAMS) {
+    return calculateTFScoreComponents(analysis, params).total;
+}
+
+function calculateTFScoreComponents(analysis, params = DEFAULT_PARAMS) {
+    const c = { trend: 0, bos: 0, choch: 0, volume: 0, orderBlocks: 0, fairValueGaps: 0, liquidity: 0, nearLiquidity: 0, indicators: 0, total: 0 };
+    if (!analysis) return c;
+    const w = params.scoreWeights;
+    c.trend = analysis.marketStructure.trend !== 'neutral' ? w.trend : 0;
+    c.bos = analysis.marketStructure.breakOfStructure ? w.bos : 0;
+    c.choch = analysis.marketStructure.changeOfCharacter ? w.choch : 0;
+    if (analysis.volumeAnalysis.volumeDelta) c.volume = Math.min(w.volumeMax, (analysis.volumeAnalysis.volumeDelta - 1) * w.volumePerDelta);
+    c.orderBlocks = Math.min(w.orderBlockMax, analysis.orderBlocks.length * w.orderBlockEach);
+    c.fairValueGaps = Math.min(w.fvgMax, analysis.fairValueGaps.length * w.fvgEach);
     if (analysis.liquidityLevels.length > 0) {
-        score += 15;
-        const nearLiquidity = analysis.liquidityLevels.some(level => Math.abs(analysis.price - level.price) < analysis.atr * 0.5);
-        if (nearLiquidity) score += 15;
+        c.liquidity = w.liquidity;
+        const nearLiquidity = analysis.liquidityLevels.some(level => Math.abs(analysis.price - level.price) < analysis.atr * w.nearLiquidityAtr);
+        if (nearLiquidity) c.nearLiquidity = w.nearLiquidity;
     }
-    return Math.min(100, score);
+    c.indicators = calculateIndicatorScore(analysis, params);
+    const score = c.trend + c.bos + c.choch + c.volume + c.orderBlocks + c.fairValueGaps + c.liquidity + c.nearLiquidity + c.indicators;
+    c.total = Math.min(100, score);
+    return c;
+}
+
+// indicators agreeing with the structure trend (all weights 0 by default)
+function calculateIndicatorScore(analysis, params = DEFAULT_PARAMS) {
+    const ind = analysis.indicators;
+    const trend = analysis.marketStructure.trend;
+    if (!ind || trend === 'neutral') return 0;
+    const w = params.scoreWeights;
+    const sign = trend === 'bullish' ? 1 : -1;
+    let score = 0;
+    if (ind.emaStack.alignment === trend) score += w.emaStack;
+    if (ind.macd && Math.sign(ind.macd.histogram) === sign) score += w.macd;
+    if (ind.adx && ind.adx.adx > params.indicators.adxTrending) score += w.adxTrend;
+    return score;
 }
 
-function calculateConfluenceBonus(results) {
-    let bonus = 0;
+function calculateConfluenceBonus(results, params = DEFAULT_PARAMS) {
+    return calculateConfluenceComponents(results, params).bonus;
+}
+
+function calculateConfluenceComponents(results, params = DEFAULT_PARAMS) {
     const timeframes = Object.values(results.timeframes).filter(tf => tf.analysis);
     const bullishSignals = timeframes.filter(tf => tf.analysis.trend === 'bullish' && tf.analysis.orderBlocks.some(ob => ob.type === 'bullish')).length;
     const bearishSignals = timeframes.filter(tf => tf.analysis.trend === 'bearish' && tf.analysis.orderBlocks.some(ob => ob.type === 'bearish')).length;
     const confluence = Math.max(bullishSignals, bearishSignals);
-    bonus = confluence * 8;
-    return Math.min(30, bonus);
+    const w = params.scoreWeights;
+    return { bullishSignals, bearishSignals, bonus: Math.min(w.confluenceMax, confluence * w.confluenceEach) };
 }
 
-function calculateMultiTFBias(timeframes) {
+function calculateMultiTFBias(timeframes, params = DEFAULT_PARAMS) {
+    return explainMultiTFBias(timeframes, params).bias;
+}
+
+// bias plus what each timeframe contributed to it
+function explainMultiTFBias(timeframes, params = DEFAULT_PARAMS) {
     let bias = 0;
-    timeframes.forEach((tf, index) => {
+    const contributions = [];
+    timeframes.forEach(tf => {
         if (!tf.analysis) return;
-        const weight = TIMEFRAMES[index].weight;
+        const weight = getTimeframeWeight(tf.label, params);
         const analysis = tf.analysis;
-        if (analysis.trend === 'bullish') bias += weight;
-        else if (analysis.trend === 'bearish') bias -= weight;
+        let value = 0;
+        if (analysis.trend === 'bullish') value += weight;
+        else if (analysis.trend === 'bearish') value -= weight;
         if (analysis.marketStructure.breakOfStructure) {
-            if (analysis.marketStructure.trend === 'bullish') bias += weight * 0.5;
-            else if (analysis.marketStructure.trend === 'bearish') bias -= weight * 0.5;
+            if (analysis.marketStructure.trend === 'bullish') value += weight * 0.5;
+            else if (analysis.marketStructure.trend === 'bearish') value -= weight * 0.5;
         }
+        value += calculateIndicatorBias(analysis.indicators, params) * weight;
+        bias += value;
+        contributions.push({ tf: tf.label, weight, value });
     });
-    return bias;
+    return { bias, contributions };
+}
+
+function calculateIndicatorBias(ind, params = DEFAULT_PARAMS) {
+    if (!ind) return 0;
+    const w = params.indicatorBias;
+    let value = 0;
+    if (ind.emaStack.alignment === 'bullish') value += w.emaStack;
+    else if (ind.emaStack.alignment === 'bearish') value -= w.emaStack;
+    if (ind.macd) value += Math.sign(ind.macd.histogram) * w.macd;
+    if (ind.vwap) value += Math.sign(ind.vwapDeviation) * w.vwap;
+    return value;
+}
+
+// --- INDICATOR FILTERS ---
+// first params.filters rule the signal breaks, or null; rules on a missing TF / indicator are skipped
+function findBlockingFilter(results, direction, params = DEFAULT_PARAMS) {
+    for (const rule of params.filters) {
+        if (rule.direction && rule.direction !== direction) continue;
+        const data = results.timeframes[rule.timeframe];
+        const value = data && data.analysis ? getFilterValue(data.analysis.indicators, rule.indicator) : null;
+        if (value === null || value === undefined) continue;
+        if (rule.min !== undefined && value < rule.min) return { rule, value, reason: `${rule.indicator} ${rule.timeframe} ${value.toFixed(1)} < ${rule.min}` };
+        if (rule.max !== undefined && value > rule.max) return { rule, value, reason: `${rule.indicator} ${rule.timeframe} ${value.toFixed(1)} > ${rule.max}` };
+    }
+    return null;
 }
 
-// --- SMART ENTRY / SL / TP helpers (RR bounds enforced 1.5 - 2.5) ---
+// --- SMART ENTRY / SL / TP helpers (RR bounds from params.rr, 1.5 - 2.5 by default) ---
+// analysis.orderBlocks / fairValueGaps only hold unmitigated zones, so entries never come from used ones
 function findOptimalLongEntry(currentPrice, analysis, multiTimeframeAnalysis) {
     const relevantOBs = analysis.orderBlocks.filter(ob => ob.type === 'bullish' && currentPrice > ob.low && currentPrice < ob.high * 1.02);
     if (relevantOBs.length > 0) {
         const bestOB = relevantOBs.reduce((best, cur) => cur.strength > best.strength ? cur : best);
-        return bestOB.low * 0.998;
+        return { price: bestOB.low * 0.998, source: 'orderblock', zone: bestOB };
     }
     const relevantFVGs = analysis.fairValueGaps.filter(fvg => fvg.type === 'bullish' && currentPrice > fvg.low && currentPrice < fvg.high);
     if (relevantFVGs.length > 0) {
-        const bestFVG = relevantFVGs[0];
-        return Math.max(bestFVG.low, currentPrice * 0.995);
+        const bestFVG = relevantFVGs.reduce((best, cur) => cur.strength > best.strength ? cur : best);
+        return { price: Math.max(bestFVG.low, currentPrice * 0.995), source: 'fvg', zone: bestFVG };
     }
     const supports = analysis.liquidityLevels.filter(l => l.type === 'support').map(l => l.price).filter(p => p < currentPrice).sort((a,b)=>b-a);
-    if (supports.length > 0) return supports[0] * 1.001;
-    return currentPrice * 0.998;
+    if (supports.length > 0) return { price: supports[0] * 1.001, source: 'liquidity', zone: { type: 'support', price: supports[0] } };
+    return { price: currentPrice * 0.998, source: 'market', zone: null };
 }
 
 function findOptimalShortEntry(currentPrice, analysis, multiTimeframeAnalysis) {
     const relevantOBs = analysis.orderBlocks.filter(ob => ob.type === 'bearish' && currentPrice < ob.high && currentPrice > ob.low * 0.98);
     if (relevantOBs.length > 0) {
         const bestOB = relevantOBs.reduce((best, cur) => cur.strength > best.strength ? cur : best);
-        return bestOB.high * 1.002;
+        return { price: bestOB.high * 1.002, source: 'orderblock', zone: bestOB };
     }
     const relevantFVGs = analysis.fairValueGaps.filter(fvg => fvg.type === 'bearish' && currentPrice < fvg.high && currentPrice > fvg.low);
     if (relevantFVGs.length > 0) {
-        const bestFVG = relevantFVGs[0];
-        return Math.min(bestFVG.high, currentPrice * 1.005);
+        const bestFVG = relevantFVGs.reduce((best, cur) => cur.strength > best.strength ? cur : best);
+        return { price: Math.min(bestFVG.high, currentPrice * 1.005), source: 'fvg', zone: bestFVG };
     }
     const resistances = analysis.liquidityLevels.filter(l => l.type === 'resistance').map(l => l.price).filter(p => p > currentPrice).sort((a,b)=>a-b);
-    if (resistances.length > 0) return resistances[0] * 0.999;
-    return currentPrice * 1.002;
+    if (resistances.length > 0) return { price: resistances[0] * 0.999, source: 'liquidity', zone: { type: 'resistance', price: resistances[0] } };
+    return { price: currentPrice * 1.002, source: 'market', zone: null };
 }
 
 // SL calculation uses ATR (analysis.atr)
-function calculateSmartStopLoss(entry, direction, analysis, multiTimeframeAnalysis) {
+function calculateSmartStopLoss(entry, direction, analysis, multiTimeframeAnalysis, params = DEFAULT_PARAMS) {
     const atr = (analysis && analysis.atr) ? analysis.atr : 0.0001;
+    const p = params.stopLoss;
     if (direction === 'LONG') {
-        const supports = analysis.liquidityLevels.filter(l => l.type === 'support').map(l => l.price).filter(price => price < entry && price >= entry - (atr * 1.5)).sort((a,b)=>b-a);
+        const supports = analysis.liquidityLevels.filter(l => l.type === 'support').map(l => l.price).filter(price => price < entry && price >= entry - (atr * p.structureRangeAtr)).sort((a,b)=>b-a);
         if (supports.length > 0) {
             const nearestSupport = supports[0];
-            const atrSL = entry - (atr * 0.6);
+            const atrSL = entry - (atr * p.structureBufferAtr);
             return Math.min(nearestSupport, atrSL);
         }
-        return entry - (atr * 0.8);
+        return entry - (atr * p.fallbackAtr);
     } else {
-        const resistances = analysis.liquidityLevels.filter(l => l.type === 'resistance').map(l => l.price).filter(price => price > entry && price <= entry + (atr * 1.5)).sort((a,b)=>a-b);
+        const resistances = analysis.liquidityLevels.filter(l => l.type === 'resistance').map(l => l.price).filter(price => price > entry && price <= entry + (atr * p.structureRangeAtr)).sort((a,b)=>a-b);
         if (resistances.length > 0) {
             const nearestResistance = resistances[0];
-            const atrSL = entry + (atr * 0.6);
+            const atrSL = entry + (atr * p.structureBufferAtr);
             return Math.max(nearestResistance, atrSL);
         }
-        return entry + (atr * 0.8);
+        return entry + (atr * p.fallbackAtr);
     }
 }
 
-function calculateSmartTakeProfit(entry, sl, direction, analysis, multiTimeframeAnalysis) {
+function calculateSmartTakeProfit(entry, sl, direction, analysis, multiTimeframeAnalysis, params = DEFAULT_PARAMS) {
     const risk = Math.abs(entry - sl);
     const atr = (analysis && analysis.atr) ? analysis.atr : Math.max(Math.abs(entry*0.01), 0.0001);
+    const p = params.takeProfit;
     if (direction === 'LONG') {
-        const nearbyResistances = analysis.liquidityLevels.filter(l => l.type === 'resistance').map(l => l.price).filter(price => price > entry && price <= entry + (atr * 1.2)).sort((a,b)=>a-b);
-        let tp = nearbyResistances.length > 0 ? nearbyResistances[0] : entry + (atr * 0.8);
-        // Bound TP using RR rules min 1.5 - max 2.5
-        const minTP = entry + risk * 1.5;
-        const maxTP = entry + risk * 2.5;
+        const nearbyResistances = analysis.liquidityLevels.filter(l => l.type === 'resistance').map(l => l.price).filter(price => price > entry && price <= entry + (atr * p.structureRangeAtr)).sort((a,b)=>a-b);
+        let tp = nearbyResistances.length > 0 ? nearbyResistances[0] : entry + (atr * p.fallbackAtr);
+        // Bound TP using RR rules (params.rr)
+        const minTP = entry + risk * params.rr.min;
+        const maxTP = entry + risk * params.rr.max;
         tp = Math.max(tp, minTP);
         tp = Math.min(tp, maxTP);
         return tp;
     } else {
-        const nearbySupports = analysis.liquidityLevels.filter(l => l.type === 'support').map(l => l.price).filter(price => price < entry && price >= entry - (atr * 1.2)).sort((a,b)=>b-a);
-        let tp = nearbySupports.length > 0 ? nearbySupports[0] : entry - (atr * 0.8);
-        const minTP = entry - risk * 1.5;
-        const maxTP = entry - risk * 2.5;
+        const nearbySupports = analysis.liquidityLevels.filter(l => l.type === 'support').map(l => l.price).filter(price => price < entry && price >= entry - (atr * p.structureRangeAtr)).sort((a,b)=>b-a);
+        let tp = nearbySupports.length > 0 ? nearbySupports[0] : entry - (atr * p.fallbackAtr);
+        const minTP = entry - risk * params.rr.min;
+        const maxTP = entry - risk * params.rr.max;
         tp = Math.min(tp, minTP);
         tp = Math.max(tp, maxTP);
         return tp;
     }
 }
 
-// validateLevels ensures rr between 1.5 and 2.5
-function validateLevels(entry, sl, tp, currentPrice, atr) {
+// validateLevels ensures rr between params.rr.min and params.rr.max
+function validateLevels(entry, sl, tp, currentPrice, atr, params = DEFAULT_PARAMS) {
     if (!atr || atr <= 0) atr = Math.abs(entry - sl) || 1;
-    // Ensure SL not too far (bounded by atr*2.5)
-    const maxDistance = atr * 2.5;
+    const { min: minRR, max: maxRR } = params.rr;
+    // Ensure SL not too far (bounded by atr * maxDistanceAtr)
+    const maxDistance = atr * params.stopLoss.maxDistanceAtr;
     if (Math.abs(entry - sl) > maxDistance) {
-        if (entry > sl) sl = entry - (atr * 1.0);
-        else sl = entry + (atr * 1.0);
+        if (entry > sl) sl = entry - (atr * params.stopLoss.resetAtr);
+        else sl = entry + (atr * params.stopLoss.resetAtr);
     }
     // Ensure TP not too far
     if (Math.abs(entry - tp) > maxDistance) {
-        if (entry < tp) tp = entry + (atr * 1.5);
-        else tp = entry - (atr * 1.5);
+        if (entry < tp) tp = entry + (atr * params.takeProfit.resetAtr);
+        else tp = entry - (atr * params.takeProfit.resetAtr);
     }
 
     let rr = Math.abs(tp - entry) / Math.abs(entry - sl);
-    // enforce rr bounds 1.5 - 2.5
-    if (rr < 1.5) {
+    // enforce rr bounds
+    if (rr < minRR) {
         // expand TP to minimum
-        if (entry < tp) tp = entry + Math.abs(entry - sl) * 1.5;
-        else tp = entry - Math.abs(entry - sl) * 1.5;
+        if (entry < tp) tp = entry + Math.abs(entry - sl) * minRR;
+        else tp = entry - Math.abs(entry - sl) * minRR;
         rr = Math.abs(tp - entry) / Math.abs(entry - sl);
-    } else if (rr > 2.5) {
+    } else if (rr > maxRR) {
         // shrink TP to maximum
-        if (entry < tp) tp = entry + Math.abs(entry - sl) * 2.5;
-        else tp = entry - Math.abs(entry - sl) * 2.5;
+        if (entry < tp) tp = entry + Math.abs(entry - sl) * maxRR;
+        else tp = entry - Math.abs(entry - sl) * maxRR;
         rr = Math.abs(tp - entry) / Math.abs(entry - sl);
     }
 
     return { entry, sl, tp, rr: rr.toFixed(2) };
 }
 
-function calculateSmartLevels(direction, currentPrice, analysis, multiTimeframeAnalysis) {
+function calculateSmartLevels(direction, currentPrice, analysis, multiTimeframeAnalysis, params = DEFAULT_PARAMS) {
     const atr = (analysis && analysis.atr) ? analysis.atr : 0.0001;
     if (direction === 'LONG') {
-        const entry = findOptimalLongEntry(currentPrice, analysis, multiTimeframeAnalysis);
-        let sl = calculateSmartStopLoss(entry, direction, analysis, multiTimeframeAnalysis);
-        let tp = calculateSmartTakeProfit(entry, sl, direction, analysis, multiTimeframeAnalysis);
-        const validated = validateLevels(entry, sl, tp, currentPrice, atr);
-        return { entry: validated.entry, sl: validated.sl, tp: validated.tp, rr: validated.rr };
+        const found = findOptimalLongEntry(currentPrice, analysis, multiTimeframeAnalysis);
+        const entry = found.price;
+        let sl = calculateSmartStopLoss(entry, direction, analysis, multiTimeframeAnalysis, params);
+        let tp = calculateSmartTakeProfit(entry, sl, direction, analysis, multiTimeframeAnalysis, params);
+        const validated = validateLevels(entry, sl, tp, currentPrice, atr, params);
+        return { entry: validated.entry, sl: validated.sl, tp: validated.tp, rr: validated.rr, entrySource: found.source, entryZone: found.zone };
     } else {
-        const entry = findOptimalShortEntry(currentPrice, analysis, multiTimeframeAnalysis);
-        let sl = calculateSmartStopLoss(entry, direction, analysis, multiTimeframeAnalysis);
-        let tp = calculateSmartTakeProfit(entry, sl, direction, analysis, multiTimeframeAnalysis);
-        const validated = validateLevels(entry, sl, tp, currentPrice, atr);
-        return { entry: validated.entry, sl: validated.sl, tp: validated.tp, rr: validated.rr };
+        const found = findOptimalShortEntry(currentPrice, analysis, multiTimeframeAnalysis);
+        const entry = found.price;
+        let sl = calculateSmartStopLoss(entry, direction, analysis, multiTimeframeAnalysis, params);
+        let tp = calculateSmartTakeProfit(entry, sl, direction, analysis, multiTimeframeAnalysis, params);
+        const validated = validateLevels(entry, sl, tp, currentPrice, atr, params);
+        return { entry: validated.entry, sl: validated.sl, tp: validated.tp, rr: validated.rr, entrySource: found.source, entryZone: found.zone };
     }
 }
 
-function calculatePositionSize(riskPercent, accountBalance, entry, sl, direction) {
-    const riskAmount = accountBalance * (riskPercent / 100);
-    const riskPerUnit = Math.abs(entry - sl);
-    const size = riskPerUnit === 0 ? 0 : (riskAmount / riskPerUnit).toFixed(4);
-    return { size: size, maxLoss: riskAmount.toFixed(2) };
+// --- MULTI-TARGET TRADE PLAN ---
+// TP2 is always the RR-bounded tp from validateLevels (the one the tracker resolves against);
+// TP1 is the nearest structure target between 1R and TP2, TP3 the next one beyond TP2 (max params.tp3MaxR).
+
+// liquidity levels, FVG and OB edges on the profit side of the entry, nearest first
+function collectTargetCandidates(entry, direction, analysis) {
+    const candidates = [];
+    const isLong = direction === 'LONG';
+    analysis.liquidityLevels
+        .filter(l => l.type === (isLong ? 'resistance' : 'support'))
+        .forEach(l => candidates.push({ price: l.price, source: 'liquidity' }));
+    analysis.fairValueGaps.forEach(g => candidates.push({ price: isLong ? g.low : g.high, source: 'fvg' }));
+    analysis.orderBlocks
+        .filter(ob => ob.type === (isLong ? 'bearish' : 'bullish'))
+        .forEach(ob => candidates.push({ price: isLong ? ob.low : ob.high, source: 'orderblock' }));
+    return candidates
+        .filter(c => isLong ? c.price > entry : c.price < entry)
+        .sort((a, b) => Math.abs(a.price - entry) - Math.abs(b.price - entry));
+}
+
+function buildTradePlan(levels, direction, analysis, params = DEFAULT_PARAMS) {
+    const entry = parseFloat(levels.entry);
+    const sl = parseFloat(levels.sl);
+    const tp = parseFloat(levels.tp);
+    const risk = Math.abs(entry - sl);
+    const sign = direction === 'LONG' ? 1 : -1;
+    const rOf = price => risk === 0 ? 0 : sign * (price - entry) / risk;
+    const mainR = rOf(tp);
+    const candidates = collectTargetCandidates(entry, direction, analysis);
+
+    const tp1 = candidates.find(c => rOf(c.price) >= 1 && rOf(c.price) < mainR - 0.25) || { price: entry + sign * risk * 1, source: 'rr' };
+    const tp3 = candidates.find(c => rOf(c.price) > mainR + 0.25 && rOf(c.price) <= params.tp3MaxR) || { price: entry + sign * risk * Math.min(params.tp3MaxR, mainR + 1), source: 'rr' };
+    const targets = [tp1, { price: tp, source: 'main' }, tp3].map((t, i) => ({
+        price: t.price,
+        rr: parseFloat(rOf(t.price).toFixed(2)),
+        closePercent: params.tpClosePercents[i],
+        source: t.source
+    }));
+
+    const atr = analysis.atr || 0;
+    const multiplier = params.trailingAtrMultiplier;
+    return {
+        targets,
+        breakeven: { after: 'TP1', price: entry },
+        trailing: atr > 0 ? { activateAfter: 'TP2', atrMultiplier: multiplier, distance: atr * multiplier } : null
+    };
+}
+
+// --- EXPLANATION ---
+// Structured "why" behind a result: per-TF structure and score components, confluence and bias.
+// primaryTf / entry are filled in once levels are computed.
+function buildExplanation(results, biasInfo, confidenceInfo, params = DEFAULT_PARAMS) {
+    const timeframes = {};
+    for (const [tf, data] of Object.entries(results.timeframes)) {
+        const a = data.analysis;
+        if (!a) continue;
+        timeframes[tf] = {
+            trend: a.trend,
+            breakOfStructure: a.marketStructure.breakOfStructure,
+            changeOfCharacter: a.marketStructure.changeOfCharacter,
+            volumeDelta: a.volumeAnalysis.volumeDelta,
+            orderBlocks: a.orderBlocks.length,
+            fairValueGaps: a.fairValueGaps.length,
+            zoneStats: a.zoneStats,
+            liquidityLevels: a.liquidityLevels.length,
+            atr: a.atr,
+            indicators: summarizeIndicators(a.indicators),
+            score: confidenceInfo.timeframes[tf]
+        };
+    }
+    return {
+        timeframes,
+        confluence: confidenceInfo.confluence,
+        totalScore: confidenceInfo.totalScore,
+        maxScore: confidenceInfo.maxScore,
+        bias: biasInfo.bias,
+        biasContributions: biasInfo.contributions,
+        profile: params.name,
+        minConfidence: params.minConfidence,
+        biasThreshold: params.biasThreshold,
+        filters: params.filters.length,
+        primaryTf: null,
+        entry: null
+    };
+}
+
+function summarizeIndicators(ind) {
+    if (!ind) return null;
+    return {
+        rsi: ind.rsi,
+        adx: ind.adx ? ind.adx.adx : null,
+        macdHistogram: ind.macd ? ind.macd.histogram : null,
+        emaStack: ind.emaStack.alignment,
+        vwapDeviation: ind.vwap ? ind.vwapDeviation : null,
+        squeeze: ind.squeeze
+    };
+}
+
+// --- SIGNAL PIPELINE (pure: shared by live analysis and backtest) ---
+// candlesByTf: { D1: [...], H4: [...], H1: [...], '15M': [...] } — missing TFs are skipped (except the bias TF)
+// params: a strategy profile (getProfile(name)), the default profile when omitted
+// stack: getStack(name), the profile's timeframeStack when omitted
+function evaluateSignal(symbol, candlesByTf, params = getProfile(), stack = getStack(params.timeframeStack)) {
+    const results = { timeframes: {}, marketStructure: {}, volumeAnalysis: {}, signals: {}, ictConcepts: {} };
+
+    for (const tf of stack.timeframes) {
+        const candles = candlesByTf[tf.label];
+        if (candles && candles.length > 0) {
+            results.timeframes[tf.label] = {
+                label: tf.label,
+                candles,
+                price: candles[candles.length - 1].close,
+                analysis: analyzeTimeframeICT(candles, tf.label, params)
+            };
+        }
+    }
+
+    const tfs = Object.values(results.timeframes);
+    if (tfs.length === 0) {
+        return { symbol, profile: params.name, direction: 'NO_TRADE', confidence: 0, reason: 'No data' };
+    }
+    if (!results.timeframes[stack.bias]) {
+        return { symbol, profile: params.name, direction: 'NO_TRADE', confidence: 0, reason: `No ${stack.bias} data (bias TF of the ${stack.name} stack)` };
+    }
+
+    // entry TF close: in the replay the higher TF closes can be up to a bar of that TF old
+    const currentPrice = (results.timeframes[stack.entry] || tfs[tfs.length - 1]).price;
+    const biasInfo = explainMultiTFBias(tfs, params);
+    const confidenceInfo = explainConfidence(results, params);
+    const bias = biasInfo.bias;
+    const confidence = Math.round(confidenceInfo.confidence);
+    const explanation = buildExplanation(results, biasInfo, confidenceInfo, params);
+    explanation.stack = stack.name;
+
+    const profile = params.name;
+    const regimeTf = results.timeframes[stack.structure] || tfs[tfs.length - 1];
+    const regime = classifyRegime(regimeTf.candles, regimeTf.analysis, params.regime, INTERVAL_MS[TIMEFRAME_INTERVALS[regimeTf.label]]);
+    const regimeActions = regime ? params.regime[regime.id] : null;
+    explanation.regime = regime;
+    if (regimeActions && regimeActions.skip) {
+        return { symbol, profile, regime, direction: 'NO_TRADE', confidence, reason: `Regime ${regime.id}: signals skipped`, explanation };
+    }
+
+    const minConfidence = params.minConfidence + (regimeActions ? regimeActions.minConfidenceAdjust : 0);
+    explanation.minConfidence = minConfidence;
+    if (confidence < minConfidence) {
+        return { symbol, profile, regime, direction: 'NO_TRADE', confidence, reason: `Confidence ${confidence}% < ${minConfidence}%`, explanation };
+    }
+
+    const direction = bias > params.biasThreshold ? 'LONG' : bias < -params.biasThreshold ? 'SHORT' : 'NEUTRAL';
+    if (direction === 'NEUTRAL') {
+        return { symbol, profile, regime, direction: 'NEUTRAL', confidence, reason: 'No clear bias', explanation };
+    }
+
+    const blocked = findBlockingFilter(results, direction, params);
+    if (blocked) {
+        return { symbol, profile, regime, direction: 'NO_TRADE', confidence, reason: `${direction} blocked by filter: ${blocked.reason}`, explanation };
+    }
+
+    const primary = tfs.find(tf => tf.analysis && tf.analysis.confidence > params.primaryTfConfidence) || tfs[0];
+    if (!primary.analysis) return { symbol, profile, regime, direction: 'NO_TRADE', confidence: 0, reason: 'No valid primary analysis', explanation };
+
+    const levelParams = applyRegimeToParams(params, regimeActions);
+    const levels = calculateSmartLevels(direction, currentPrice, primary.analysis, results, levelParams);
+    const plan = buildTradePlan(levels, direction, primary.analysis, levelParams);
+    explanation.primaryTf = primary.label;
+    explanation.entry = { source: levels.entrySource, zone: levels.entryZone };
+
+    return {
+        symbol,
+        profile,
+        regime,
+        direction,
+        confidence,
+        entry: parseFloat(levels.entry).toFixed(4),
+        sl: parseFloat(levels.sl).toFixed(4),
+        tp: parseFloat(levels.tp).toFixed(4),
+        rr: levels.rr,
+        targets: plan.targets.map(t => ({ ...t, price: t.price.toFixed(4) })),
+        breakeven: { after: plan.breakeven.after, price: plan.breakeven.price.toFixed(4) },
+        trailing: plan.trailing ? { ...plan.trailing, distance: plan.trailing.distance.toFixed(4) } : null,
+        explanation
+    };
 }
 
 // --- MAIN analyzeSymbol ---
-async function analyzeSymbol(symbol) {
+// profileName: strategy profile to use (unknown / empty = default profile)
+// stackName: timeframe stack overriding the profile's timeframeStack
+async function analyzeSymbol(symbol, profileName, stackName) {
     try {
-        const results = { timeframes: {}, marketStructure: {}, volumeAnalysis: {}, signals: {}, ictConcepts: {} };
+        const params = getProfile(profileName);
+        const stack = getStack(stackName || params.timeframeStack);
+        const candlesByTf = {};
+        const sources = {};
 
-        // load multiple timeframes with fallback
-        for (const tf of TIMEFRAMES) {
+        // load multiple timeframes from the shared candle cache
+        for (const tf of stack.timeframes) {
             try {
-                const candles = await loadCandles(symbol, tf.interval, 300);
-                if (candles && candles.length > 0) {
-                    results.timeframes[tf.label] = {
-                        candles,
-                        price: candles[candles.length - 1].close,
-                        analysis: analyzeTimeframeICT(candles, tf.label)
-                    };
-                }
+                const loaded = await getCandlesWithSource(symbol, tf.interval, 300);
+                candlesByTf[tf.label] = loaded.candles;
+                sources[tf.label] = loaded.source;
             } catch (e) {
                 // skip tf if error
             }
         }
 
-        const tfs = Object.values(results.timeframes);
-        if (tfs.length === 0) {
-            return { symbol, direction: 'NO_TRADE', confidence: 0, reason: 'No data' };
-        }
-
-        const currentPrice = tfs[0].price;
-        const bias = calculateMultiTFBias(tfs);
-        const confidence = Math.round(calculateRealConfidence(results));
-
-        if (confidence < 60) {
-            return { symbol, direction: 'NO_TRADE', confidence, reason: `Confidence ${confidence}% < 60%` };
-        }
-
-        const direction = bias > 0.5 ? 'LONG' : bias < -0.5 ? 'SHORT' : 'NEUTRAL';
-        if (direction === 'NEUTRAL') {
-            return { symbol, direction: 'NEUTRAL', confidence, reason: 'No clear bias' };
-        }
-
-        const primary = tfs.find(tf => tf.analysis && tf.analysis.confidence > 70) || tfs[0];
-        if (!primary.analysis) return { symbol, direction: 'NO_TRADE', confidence: 0, reason: 'No valid primary analysis' };
-
-        const levels = calculateSmartLevels(direction, currentPrice, primary.analysis, results);
-        const pos = calculatePositionSize(2, 1000, parseFloat(levels.entry), parseFloat(levels.sl), direction);
-
-        return {
-            symbol,
-            direction,
-            confidence,
-            entry: parseFloat(levels.entry).toFixed(4),
-            sl: parseFloat(levels.sl).toFixed(4),
-            tp: parseFloat(levels.tp).toFixed(4),
-            rr: levels.rr,
-            positionSize: pos.size,
-            maxLoss: pos.maxLoss
-        };
+        return { ...evaluateSignal(symbol, candlesByTf, params, stack), sources, stack: stack.name };
 
     } catch (e) {
         console.error(`Analysis error for ${symbol}:`, e.message || e);
-        return { symbol, direction: 'NO_TRADE', confidence: 0, reason: `Analysis error: ${e.message || e}` };
+        return { symbol, profile: getProfile(profileName).name, direction: 'NO_TRADE', confidence: 0, reason: `Analysis error: ${e.message || e}` };
     }
 }
 
-module.exports = { analyzeSymbol };
+module.exports = {
+    analyzeSymbol,
+    evaluateSignal,
+    loadCandles,
+    findOrderBlocks,
+    findFairValueGaps,
+    analyzeAdvancedMarketStructure,
+    analyzeVolumeProfile,
+    INTERVAL_MS
+};
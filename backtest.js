@@ -0,0 +1,231 @@
+const fs = require('fs');
+const { evaluateSignal, INTERVAL_MS } = require('./analysis');
+const { resolveSignal } = require('./outcome');
+const { loadCandleFile } = require('./exchanges/local-file');
+const { loadStrategyConfig, getProfile, hasProfile, listProfiles } = require('./strategy');
+const { getStack, hasStack, listStacks } = require('./timeframes');
+
+// --- HISTORICAL BACKTEST ---
+// Replays evaluateSignal bar by bar over local candle files (offline).
+// Files live in one directory, named <SYMBOL>_<interval>.csv or .json, e.g. BTCUSDT_15m.csv
+// (format: see exchanges/local-file.js)
+
+const DEFAULT_OPTIONS = {
+    window: 300,          // bars per timeframe handed to the analysis, same as live
+    warmup: 50,           // every loaded TF needs this many closed bars before trading
+    step: 1,              // evaluate every N entry-TF bars
+    minConfidence: 60,
+    fillBars: 16,
+    maxBars: 96,
+    balance: 1000,
+    riskPercent: 1,
+    params: undefined,    // strategy profile (getProfile(name)); default profile when unset
+    stack: undefined,     // timeframe stack name; the profile's timeframeStack when unset
+    from: undefined,      // only take decisions in [from, to) (ms); earlier bars still serve as history
+    to: undefined
+};
+
+// --- DATA LOADING ---
+function listSymbols(dataDir) {
+    const symbols = new Set();
+    for (const file of fs.readdirSync(dataDir)) {
+        const m = file.match(/^([A-Z0-9]+)_\w+\.(csv|json)$/);
+        if (m) symbols.add(m[1]);
+    }
+    return [...symbols].sort();
+}
+
+// --- METRICS ---
+function summarizeTrades(trades, options) {
+    const closed = trades.filter(t => t.status === 'TP' || t.status === 'SL' || (t.status === 'EXPIRED' && t.filled));
+    const wins = closed.filter(t => t.r > 0);
+    let equity = options.balance;
+    let peak = equity;
+    let maxDrawdown = 0;
+    const ordered = [...closed].sort((a, b) => a.exitTime - b.exitTime);
+    const equityCurve = [{ time: ordered.length ? ordered[0].signalTime : null, equity }];
+    for (const t of ordered) {
+        equity *= 1 + (options.riskPercent / 100) * t.r;
+        peak = Math.max(peak, equity);
+        maxDrawdown = Math.max(maxDrawdown, (peak - equity) / peak);
+        equityCurve.push({ time: t.exitTime, equity: parseFloat(equity.toFixed(2)) });
+    }
+    const totalR = closed.reduce((s, t) => s + t.r, 0);
+    return {
+        signals: trades.length,
+        filled: closed.length,
+        unfilled: trades.filter(t => !t.filled && t.status === 'EXPIRED').length,
+        wins: wins.length,
+        losses: closed.length - wins.length,
+        winRate: closed.length ? (wins.length / closed.length) * 100 : 0,
+        expectancy: closed.length ? totalR / closed.length : 0,
+        averageRR: closed.length ? closed.reduce((s, t) => s + parseFloat(t.rr), 0) / closed.length : 0,
+        totalR,
+        maxDrawdown: maxDrawdown * 100,
+        finalEquity: equity,
+        equityCurve
+    };
+}
+
+function resolveStack(options) {
+    return getStack(options.stack || (options.params || getProfile()).timeframeStack);
+}
+
+// --- ENGINE ---
+function backtestSymbol(symbol, seriesByTf, options) {
+    const stack = resolveStack(options);
+    const entryTf = stack.timeframes.find(tf => tf.label === stack.entry);
+    const entryCandles = seriesByTf[entryTf.label];
+    const trades = [];
+    if (!entryCandles || entryCandles.length === 0) return trades;
+
+    const loaded = stack.timeframes.filter(tf => seriesByTf[tf.label] && seriesByTf[tf.label].length > 0);
+    const pointers = {};
+    loaded.forEach(tf => { pointers[tf.label] = 0; });
+
+    let i = 0;
+    while (i < entryCandles.length - 1) {
+        // decision is made at the close of entry bar i, so only fully closed bars are visible
+        const decisionTime = entryCandles[i].t + INTERVAL_MS[entryTf.interval];
+        const candlesByTf = {};
+        let ready = true;
+        for (const tf of loaded) {
+            const series = seriesByTf[tf.label];
+            let p = pointers[tf.label];
+            while (p < series.length && series[p].t + INTERVAL_MS[tf.interval] <= decisionTime) p++;
+            pointers[tf.label] = p;
+            if (p < options.warmup) { ready = false; break; }
+            candlesByTf[tf.label] = series.slice(Math.max(0, p - options.window), p);
+        }
+        if (!ready || (options.from !== undefined && decisionTime < options.from)) { i += options.step; continue; }
+        if (options.to !== undefined && decisionTime >= options.to) break;
+
+        const result = evaluateSignal(symbol, candlesByTf, options.params || getProfile(), stack);
+        const isSignal = (result.direction === 'LONG' || result.direction === 'SHORT') && result.confidence >= options.minConfidence;
+        if (!isSignal) { i += options.step; continue; }
+
+        const future = entryCandles.slice(i + 1);
+        const outcome = resolveSignal(result, future, options);
+        trades.push({
+            symbol,
+            direction: result.direction,
+            confidence: result.confidence,
+            entry: parseFloat(result.entry),
+            sl: parseFloat(result.sl),
+            tp: parseFloat(result.tp),
+            rr: result.rr,
+            signalTime: decisionTime,
+            ...outcome
+        });
+
+        // one position per symbol: resume scanning after this trade is done
+        if (outcome.status === 'PENDING' || outcome.status === 'OPEN') break;
+        i = i + 1 + outcome.exitIndex;
+    }
+    return trades;
+}
+
+// { SYMBOL: { D1: [...], H4: [...], ... } } for every (or the given) symbol in dataDir
+// timeframes: the stack's [{ label, interval }] (getStack(name).timeframes)
+function loadDataset(dataDir, symbols, timeframes = getStack().timeframes) {
+    const dataset = {};
+    for (const symbol of symbols && symbols.length ? symbols : listSymbols(dataDir)) {
+        const seriesByTf = {};
+        for (const tf of timeframes) {
+            const candles = loadCandleFile(dataDir, symbol, tf.interval);
+            if (candles) seriesByTf[tf.label] = candles;
+        }
+        dataset[symbol] = seriesByTf;
+    }
+    return dataset;
+}
+
+function runBacktest(dataDir, userOptions = {}) {
+    return runBacktestOnDataset(loadDataset(dataDir, userOptions.symbols, resolveStack(userOptions).timeframes), userOptions);
+}
+
+// same as runBacktest on already loaded candles (the optimizer replays one dataset many times)
+function runBacktestOnDataset(dataset, userOptions = {}) {
+    const options = { ...DEFAULT_OPTIONS, ...userOptions };
+    const perSymbol = {};
+    let allTrades = [];
+
+    for (const [symbol, seriesByTf] of Object.entries(dataset)) {
+        const trades = backtestSymbol(symbol, seriesByTf, options);
+        perSymbol[symbol] = { trades, stats: summarizeTrades(trades, options) };
+        allTrades = allTrades.concat(trades);
+    }
+
+    return { options, perSymbol, overall: summarizeTrades(allTrades, options), trades: allTrades };
+}
+
+// --- CLI ---
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) continue;
+        const key = argv[i].slice(2).replace(/-([a-z])/g, (_, ch) => ch.toUpperCase());
+        const next = argv[i + 1];
+        if (next === undefined || next.startsWith('--')) args[key] = true;
+        else { args[key] = next; i++; }
+    }
+    return args;
+}
+
+function fmtStats(label, s) {
+    return `${label.padEnd(14)} signals=${s.signals} filled=${s.filled} win=${s.winRate.toFixed(1)}% ` +
+        `exp=${s.expectancy.toFixed(2)}R avgRR=${s.averageRR.toFixed(2)} maxDD=${s.maxDrawdown.toFixed(1)}% ` +
+        `equity=${s.finalEquity.toFixed(2)}`;
+}
+
+if (require.main === module) {
+    const args = parseArgs(process.argv.slice(2));
+    if (!args.data) {
+        console.log('Usage: node backtest.js --data <dir> [--symbols BTCUSDT,ETHUSDT] [--min-confidence 60] [--balance 1000] [--risk-percent 1] [--fill-bars 16] [--max-bars 96] [--step 1] [--profile default] [--stack standard|swing|scalp] [--strategy strategy.json] [--out result.json]');
+        process.exit(1);
+    }
+    const options = {};
+    for (const key of Object.keys(DEFAULT_OPTIONS)) {
+        if (!['params', 'stack', 'from', 'to'].includes(key) && args[key] !== undefined) options[key] = parseFloat(args[key]);
+    }
+    try {
+        loadStrategyConfig(args.strategy || undefined);
+    } catch (e) {
+        if (args.strategy) { console.error(e.message); process.exit(1); }
+        console.warn(`⚠️ ${e.message} — using built-in defaults`);
+    }
+    if (args.profile && !hasProfile(args.profile)) {
+        console.error(`Unknown profile "${args.profile}". Available: ${listProfiles().join(', ')}`);
+        process.exit(1);
+    }
+    options.params = getProfile(args.profile);
+    if (args.stack) {
+        if (!hasStack(args.stack)) {
+            console.error(`Unknown timeframe stack "${args.stack}". Available: ${listStacks().join(', ')}`);
+            process.exit(1);
+        }
+        options.stack = args.stack;
+    }
+    if (args.symbols) options.symbols = String(args.symbols).split(',').map(s => s.trim().toUpperCase());
+
+    const report = runBacktest(args.data, options);
+    for (const [symbol, data] of Object.entries(report.perSymbol)) {
+        console.log(fmtStats(symbol, data.stats));
+    }
+    console.log(fmtStats('OVERALL', report.overall));
+    if (args.out) {
+        fs.writeFileSync(args.out, JSON.stringify(report, null, 2));
+        console.log(`📝 Report written to ${args.out}`);
+    }
+}
+
+module.exports = {
+    DEFAULT_OPTIONS,
+    runBacktest,
+    runBacktestOnDataset,
+    loadDataset,
+    resolveStack,
+    backtestSymbol,
+    summarizeTrades,
+    parseArgs
+};
@@ -0,0 +1,212 @@
+const fs = require('fs');
+const path = require('path');
+const { getAdapters, validateCandles } = require('./exchanges');
+
+// --- CANDLE LOADING + SHARED CACHE ---
+// One in-process store keyed by symbol/interval, shared by the scheduler and every command.
+// After the first full load only bars from the last cached open time onwards are requested
+// (the last bar is usually still forming), so a D1 series costs a 2-bar request per refresh.
+// Set CANDLE_CACHE_DIR to mirror series to disk (same JSON format the local file adapter reads).
+
+// fixed-length intervals only ('1M' months vary, so those series are always fully reloaded)
+const INTERVAL_MS = {
+    '1m': 60 * 1000,
+    '3m': 3 * 60 * 1000,
+    '5m': 5 * 60 * 1000,
+    '15m': 15 * 60 * 1000,
+    '30m': 30 * 60 * 1000,
+    '1h': 60 * 60 * 1000,
+    '2h': 2 * 60 * 60 * 1000,
+    '4h': 4 * 60 * 60 * 1000,
+    '6h': 6 * 60 * 60 * 1000,
+    '8h': 8 * 60 * 60 * 1000,
+    '12h': 12 * 60 * 60 * 1000,
+    '1d': 24 * 60 * 60 * 1000,
+    '3d': 3 * 24 * 60 * 60 * 1000,
+    '1w': 7 * 24 * 60 * 60 * 1000
+};
+
+const FRESH_MS = 30 * 1000;               // reuse a series without any request inside this window
+const MAX_BARS = 1000;                    // bars kept per series
+const MAX_SERIES = 400;                   // least recently used series are evicted beyond this
+const IDLE_TTL_MS = 6 * 60 * 60 * 1000;   // series not read for this long are dropped
+const CACHE_DIR = process.env.CANDLE_CACHE_DIR || null;
+
+// key -> { candles, source, depth, fetchedAt, lastAccess } — depth: largest limit fully loaded
+const cache = new Map();
+const inFlight = new Map();
+const cacheStats = { hits: 0, incremental: 0, full: 0, evicted: 0 };
+
+// --- LOADER WITH MULTI-SOURCE FALLBACK ---
+// Tries each exchange adapter in order; returns the candles and the name of the source that served them
+async function loadCandlesWithSource(symbol, interval, limit = 500, options = {}) {
+    const failures = [];
+    for (const adapter of getAdapters()) {
+        if (!adapter.mapInterval(interval)) continue; // interval not offered by this exchange
+        if (options.source && adapter.name !== options.source) continue;
+        try {
+            const candles = await adapter.fetchKlines(symbol, interval, { limit, startTime: options.startTime });
+            validateCandles(candles, adapter.name);
+            return { candles, source: adapter.name };
+        } catch (e) {
+            // continue to next source (a rate-limited source is paused by exchanges/ratelimit.js, not waited on here)
+            const status = e.response ? e.response.status : (e.code || e.message);
+            failures.push(`${adapter.name}: ${status}`);
+            continue;
+        }
+    }
+    throw new Error(`All sources failed for ${symbol} ${interval}${failures.length ? ` (${failures.join('; ')})` : ''}`);
+}
+
+// Uncached fetch
+async function loadCandles(symbol, interval, limit = 500) {
+    const { candles } = await loadCandlesWithSource(symbol, interval, limit);
+    return candles;
+}
+
+// --- DISK MIRROR ---
+function cacheFile(symbol, interval) {
+    return path.join(CACHE_DIR, `${symbol}_${interval}.json`);
+}
+
+function readDisk(symbol, interval) {
+    if (!CACHE_DIR) return null;
+    try {
+        const file = cacheFile(symbol, interval);
+        if (!fs.existsSync(file)) return null;
+        const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+        return { candles: saved.candles, source: saved.source, depth: saved.candles.length, fetchedAt: 0, lastAccess: Date.now() };
+    } catch (e) {
+        console.warn(`Candle cache read failed for ${symbol} ${interval}: ${e.message}`);
+        return null;
+    }
+}
+
+function writeDisk(symbol, interval, entry) {
+    if (!CACHE_DIR) return;
+    try {
+        fs.mkdirSync(CACHE_DIR, { recursive: true });
+        fs.writeFileSync(cacheFile(symbol, interval), JSON.stringify({ source: entry.source, candles: entry.candles }));
+    } catch (e) {
+        console.warn(`Candle cache write failed for ${symbol} ${interval}: ${e.message}`);
+    }
+}
+
+// --- CACHE ---
+function mergeCandles(cached, fresh) {
+    const firstNew = fresh[0].t;
+    const kept = cached.filter(c => c.t < firstNew);
+    return kept.concat(fresh).slice(-MAX_BARS);
+}
+
+function evictStale(now) {
+    for (const [key, entry] of cache) {
+        if (now - entry.lastAccess > IDLE_TTL_MS) {
+            cache.delete(key);
+            cacheStats.evicted++;
+        }
+    }
+    if (cache.size <= MAX_SERIES) return;
+    const byAge = [...cache.entries()].sort((a, b) => a[1].lastAccess - b[1].lastAccess);
+    for (const [key] of byAge.slice(0, cache.size - MAX_SERIES)) {
+        cache.delete(key);
+        cacheStats.evicted++;
+    }
+}
+
+async function refreshSeries(symbol, interval, limit) {
+    const key = `${symbol}:${interval}`;
+    const now = Date.now();
+    let entry = cache.get(key) || readDisk(symbol, interval);
+    const step = INTERVAL_MS[interval];
+
+    const canIncrement = entry && step && entry.depth >= limit &&
+        (now - entry.candles[entry.candles.length - 1].t) / step + 1 <= MAX_BARS;
+
+    if (canIncrement) {
+        const lastOpen = entry.candles[entry.candles.length - 1].t;
+        const missing = Math.ceil((now - lastOpen) / step) + 1;
+        try {
+            const fresh = await loadCandlesWithSource(symbol, interval, Math.min(missing, MAX_BARS), { startTime: lastOpen, source: entry.source });
+            entry = { ...entry, candles: mergeCandles(entry.candles, fresh.candles), source: fresh.source, fetchedAt: now, lastAccess: now };
+            cacheStats.incremental++;
+        } catch (e) {
+            // cached source is down: fall back to a full load from whichever source answers
+            entry = null;
+        }
+    }
+
+    if (!canIncrement || !entry) {
+        const full = await loadCandlesWithSource(symbol, interval, Math.max(limit, 1));
+        entry = { candles: full.candles.slice(-MAX_BARS), source: full.source, depth: limit, fetchedAt: now, lastAccess: now };
+        cacheStats.full++;
+    }
+
+    cache.set(key, entry);
+    writeDisk(symbol, interval, entry);
+    evictStale(now);
+    return entry;
+}
+
+// Cached candles for symbol/interval: { candles (last `limit` bars), source }
+async function getCandlesWithSource(symbol, interval, limit = 300) {
+    const key = `${symbol}:${interval}`;
+    const now = Date.now();
+    const cached = cache.get(key);
+    if (cached && cached.depth >= limit && now - cached.fetchedAt < FRESH_MS) {
+        cached.lastAccess = now;
+        cacheStats.hits++;
+        return { candles: cached.candles.slice(-limit), source: cached.source };
+    }
+
+    // concurrent callers share one request per series
+    if (!inFlight.has(key)) {
+        inFlight.set(key, refreshSeries(symbol, interval, limit).finally(() => inFlight.delete(key)));
+    }
+    const entry = await inFlight.get(key);
+    return { candles: entry.candles.slice(-limit), source: entry.source };
+}
+
+async function getCandles(symbol, interval, limit = 300) {
+    const { candles } = await getCandlesWithSource(symbol, interval, limit);
+    return candles;
+}
+
+// --- STREAM UPDATES ---
+// Applies a live kline to an already cached series. Returns false when the bar does not
+// continue the series (missed bars) — the series is then marked stale so the next read backfills via REST.
+function applyStreamCandle(symbol, interval, candle) {
+    const entry = cache.get(`${symbol}:${interval}`);
+    if (!entry || entry.candles.length === 0) return false;
+    const last = entry.candles[entry.candles.length - 1];
+    const step = INTERVAL_MS[interval];
+    if (candle.t < last.t) return true; // late duplicate
+    if (step && candle.t > last.t + step) {
+        entry.fetchedAt = 0;
+        return false;
+    }
+    entry.candles = mergeCandles(entry.candles, [candle]);
+    entry.fetchedAt = Date.now();
+    return true;
+}
+
+// Force the next read of a series to go to REST (e.g. after a stream disconnect)
+function markStale(symbol, interval) {
+    const entry = cache.get(`${symbol}:${interval}`);
+    if (entry) entry.fetchedAt = 0;
+}
+
+function getCacheStats() {
+    return { series: cache.size, ...cacheStats };
+}
+
+module.exports = {
+    getCandles,
+    getCandlesWithSource,
+    loadCandles,
+    loadCandlesWithSource,
+    getCacheStats,
+    applyStreamCandle,
+    markStale,
+    INTERVAL_MS
+};
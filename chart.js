@@ -0,0 +1,243 @@
+const zlib = require('zlib');
+const { findOrderBlocks, findFairValueGaps, analyzeAdvancedMarketStructure, analyzeVolumeProfile } = require('./analysis');
+
+// --- CHART RENDERING ---
+// Candlestick PNG drawn in pure JS (RGB buffer + zlib PNG encoder), so it runs on any
+// host without a browser, native canvas or external chart service.
+
+const WIDTH = 900;
+const HEIGHT = 500;
+const PAD_TOP = 28;
+const PAD_BOTTOM = 14;
+const PAD_LEFT = 8;
+const AXIS_WIDTH = 78;
+const MAX_BARS = 120;
+
+const COLORS = {
+    background: [19, 23, 34],
+    grid: [42, 46, 57],
+    text: [200, 204, 214],
+    up: [38, 166, 154],
+    down: [239, 83, 80],
+    entry: [66, 165, 245],
+    sl: [239, 83, 80],
+    tp: [102, 187, 106],
+    poc: [255, 167, 38],
+    bullZone: [38, 166, 154],
+    bearZone: [239, 83, 80],
+    fvg: [171, 71, 188],
+    swing: [255, 238, 88]
+};
+
+// --- 5x7 BITMAP FONT (rows top to bottom, 5 bits each) ---
+const FONT = {
+    '0': [14, 17, 19, 21, 25, 17, 14], '1': [4, 12, 4, 4, 4, 4, 14], '2': [14, 17, 1, 2, 4, 8, 31],
+    '3': [31, 2, 4, 2, 1, 17, 14], '4': [2, 6, 10, 18, 31, 2, 2], '5': [31, 16, 30, 1, 1, 17, 14],
+    '6': [6, 8, 16, 30, 17, 17, 14], '7': [31, 1, 2, 4, 8, 8, 8], '8': [14, 17, 17, 14, 17, 17, 14],
+    '9': [14, 17, 17, 15, 1, 2, 12],
+    'A': [14, 17, 17, 31, 17, 17, 17], 'B': [30, 17, 17, 30, 17, 17, 30], 'C': [14, 17, 16, 16, 16, 17, 14],
+    'D': [28, 18, 17, 17, 17, 18, 28], 'E': [31, 16, 16, 30, 16, 16, 31], 'F': [31, 16, 16, 30, 16, 16, 16],
+    'G': [14, 17, 16, 23, 17, 17, 15], 'H': [17, 17, 17, 31, 17, 17, 17], 'I': [14, 4, 4, 4, 4, 4, 14],
+    'J': [7, 2, 2, 2, 2, 18, 12], 'K': [17, 18, 20, 24, 20, 18, 17], 'L': [16, 16, 16, 16, 16, 16, 31],
+    'M': [17, 27, 21, 21, 17, 17, 17], 'N': [17, 17, 25, 21, 19, 17, 17], 'O': [14, 17, 17, 17, 17, 17, 14],
+    'P': [30, 17, 17, 30, 16, 16, 16], 'Q': [14, 17, 17, 17, 21, 18, 13], 'R': [30, 17, 17, 30, 20, 18, 17],
+    'S': [15, 16, 16, 14, 1, 1, 30], 'T': [31, 4, 4, 4, 4, 4, 4], 'U': [17, 17, 17, 17, 17, 17, 14],
+    'V': [17, 17, 17, 17, 17, 10, 4], 'W': [17, 17, 17, 21, 21, 21, 10], 'X': [17, 17, 10, 4, 10, 17, 17],
+    'Y': [17, 17, 17, 10, 4, 4, 4], 'Z': [31, 1, 2, 4, 8, 16, 31],
+    '.': [0, 0, 0, 0, 0, 12, 12], '-': [0, 0, 0, 31, 0, 0, 0], ':': [0, 12, 12, 0, 12, 12, 0],
+    '/': [1, 1, 2, 4, 8, 16, 16], '%': [24, 25, 2, 4, 8, 19, 3], '+': [0, 4, 4, 31, 4, 4, 0],
+    ' ': [0, 0, 0, 0, 0, 0, 0]
+};
+
+// --- RASTER CANVAS ---
+function createCanvas(width, height, background) {
+    const data = Buffer.alloc(width * height * 3);
+    for (let i = 0; i < width * height; i++) data.set(background, i * 3);
+
+    function setPixel(x, y, color, alpha = 1) {
+        x = Math.round(x); y = Math.round(y);
+        if (x < 0 || y < 0 || x >= width || y >= height) return;
+        const i = (y * width + x) * 3;
+        for (let c = 0; c < 3; c++) {
+            data[i + c] = alpha >= 1 ? color[c] : Math.round(data[i + c] * (1 - alpha) + color[c] * alpha);
+        }
+    }
+
+    function fillRect(x, y, w, h, color, alpha = 1) {
+        const x0 = Math.max(0, Math.round(Math.min(x, x + w))), x1 = Math.min(width, Math.round(Math.max(x, x + w)));
+        const y0 = Math.max(0, Math.round(Math.min(y, y + h))), y1 = Math.min(height, Math.round(Math.max(y, y + h)));
+        for (let yy = y0; yy < Math.max(y1, y0 + 1); yy++) {
+            for (let xx = x0; xx < Math.max(x1, x0 + 1); xx++) setPixel(xx, yy, color, alpha);
+        }
+    }
+
+    function hline(x0, x1, y, color, dash = 0) {
+        for (let x = Math.round(x0); x <= Math.round(x1); x++) {
+            if (dash && Math.floor((x - x0) / dash) % 2 === 1) continue;
+            setPixel(x, y, color);
+        }
+    }
+
+    function vline(x, y0, y1, color) {
+        for (let y = Math.round(Math.min(y0, y1)); y <= Math.round(Math.max(y0, y1)); y++) setPixel(x, y, color);
+    }
+
+    function text(str, x, y, color, scale = 1) {
+        let cx = x;
+        for (const ch of String(str).toUpperCase()) {
+            const glyph = FONT[ch] || FONT[' '];
+            for (let row = 0; row < 7; row++) {
+                for (let col = 0; col < 5; col++) {
+                    if (glyph[row] & (1 << (4 - col))) fillRect(cx + col * scale, y + row * scale, scale, scale, color);
+                }
+            }
+            cx += 6 * scale;
+        }
+    }
+
+    return { width, height, data, setPixel, fillRect, hline, vline, text };
+}
+
+// --- PNG ENCODER ---
+const CRC_TABLE = (() => {
+    const table = new Int32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c;
+    }
+    return table;
+})();
+
+function crc32(buf) {
+    let c = -1;
+    for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xFF] ^ (c >>> 8);
+    return (c ^ -1) >>> 0;
+}
+
+function pngChunk(type, body) {
+    const len = Buffer.alloc(4);
+    len.writeUInt32BE(body.length);
+    const typed = Buffer.concat([Buffer.from(type, 'ascii'), body]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(typed));
+    return Buffer.concat([len, typed, crc]);
+}
+
+function encodePNG(canvas) {
+    const { width, height, data } = canvas;
+    const raw = Buffer.alloc((width * 3 + 1) * height);
+    for (let y = 0; y < height; y++) {
+        raw[y * (width * 3 + 1)] = 0; // filter: none
+        data.copy(raw, y * (width * 3 + 1) + 1, y * width * 3, (y + 1) * width * 3);
+    }
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;  // bit depth
+    header[9] = 2;  // colour type: RGB
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlib.deflateSync(raw)),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+function fmtAxis(n) {
+    return n > 10 ? n.toFixed(2) : n.toPrecision(5);
+}
+
+// --- SIGNAL CHART ---
+// candles: full series of the timeframe (overlays are detected on all of it, the last MAX_BARS are drawn)
+// levels (optional): { entry, sl, tp, targets: [{ price }] }
+function renderSignalChart({ symbol, timeframe, candles, levels }) {
+    const canvas = createCanvas(WIDTH, HEIGHT, COLORS.background);
+    const start = Math.max(0, candles.length - MAX_BARS);
+    const shown = candles.slice(start);
+
+    const structure = analyzeAdvancedMarketStructure(candles);
+    const orderBlocks = findOrderBlocks(candles);
+    const fairValueGaps = findFairValueGaps(candles);
+    const { poc } = analyzeVolumeProfile(candles);
+
+    const levelPrices = [];
+    if (levels) {
+        ['entry', 'sl', 'tp'].forEach(k => levels[k] !== undefined && levelPrices.push(parseFloat(levels[k])));
+        (levels.targets || []).forEach(t => levelPrices.push(parseFloat(t.price)));
+    }
+    let max = Math.max(...shown.map(c => c.high), ...levelPrices);
+    let min = Math.min(...shown.map(c => c.low), ...levelPrices);
+    const pad = (max - min) * 0.05 || max * 0.01;
+    max += pad; min -= pad;
+
+    const plotW = WIDTH - PAD_LEFT - AXIS_WIDTH;
+    const plotH = HEIGHT - PAD_TOP - PAD_BOTTOM;
+    const slot = plotW / MAX_BARS;
+    const x = i => PAD_LEFT + (i - start) * slot + slot / 2;           // i: index into candles
+    const y = p => PAD_TOP + (max - p) / (max - min) * plotH;
+    const right = PAD_LEFT + plotW;
+    const timeToIndex = t => candles.findIndex(c => c.t === t);
+
+    // grid + price axis
+    for (let i = 0; i <= 5; i++) {
+        const p = min + (max - min) * i / 5;
+        canvas.hline(PAD_LEFT, right, y(p), COLORS.grid, 4);
+        canvas.text(fmtAxis(p), right + 6, y(p) - 3, COLORS.text);
+    }
+
+    // zones first so candles draw on top; active zones extend to the right edge,
+    // mitigated / invalidated ones stop (fainter) at the candle that used them
+    const drawZone = (zone, color, alpha) => {
+        const endTime = zone.mitigatedAt || zone.invalidatedAt;
+        const endIndex = endTime ? timeToIndex(endTime) : -1;
+        if (endTime && endIndex < start) return;
+        const i = Math.max(start, timeToIndex(zone.time));
+        const x1 = endTime ? x(endIndex) + slot / 2 : right;
+        canvas.fillRect(x(i) - slot / 2, y(zone.high), x1 - x(i) + slot / 2, y(zone.low) - y(zone.high), color, endTime ? alpha / 3 : alpha);
+    };
+    for (const ob of orderBlocks) drawZone(ob, ob.type === 'bullish' ? COLORS.bullZone : COLORS.bearZone, 0.18);
+    for (const gap of fairValueGaps) drawZone(gap, COLORS.fvg, 0.22);
+
+    // candles
+    const bodyW = Math.max(1, slot * 0.6);
+    shown.forEach((c, k) => {
+        const i = start + k;
+        const color = c.close >= c.open ? COLORS.up : COLORS.down;
+        canvas.vline(x(i), y(c.high), y(c.low), color);
+        canvas.fillRect(x(i) - bodyW / 2, y(Math.max(c.open, c.close)), bodyW, Math.max(1, y(Math.min(c.open, c.close)) - y(Math.max(c.open, c.close))), color);
+    });
+
+    // swing highs / lows
+    for (const s of structure.swingHighs) {
+        if (s.index >= start) canvas.fillRect(x(s.index) - 2, y(s.price) - 7, 5, 3, COLORS.swing);
+    }
+    for (const s of structure.swingLows) {
+        if (s.index >= start) canvas.fillRect(x(s.index) - 2, y(s.price) + 5, 5, 3, COLORS.swing);
+    }
+
+    // horizontal levels with labels on the axis
+    const drawLevel = (price, color, label, dash) => {
+        if (!(price > min && price < max)) return;
+        canvas.hline(PAD_LEFT, right, y(price), color, dash);
+        canvas.fillRect(right + 2, y(price) - 5, AXIS_WIDTH - 4, 11, color);
+        canvas.text(`${label} ${fmtAxis(price)}`.slice(0, 12), right + 4, y(price) - 3, COLORS.background);
+    };
+    if (poc) drawLevel(poc, COLORS.poc, 'POC', 6);
+    if (levels) {
+        const targets = levels.targets && levels.targets.length ? levels.targets : [{ price: levels.tp }];
+        targets.forEach((t, i) => drawLevel(parseFloat(t.price), COLORS.tp, targets.length > 1 ? `TP${i + 1}` : 'TP', 0));
+        drawLevel(parseFloat(levels.sl), COLORS.sl, 'SL', 0);
+        drawLevel(parseFloat(levels.entry), COLORS.entry, 'E', 0);
+    }
+
+    canvas.text(`${symbol} ${timeframe}`, PAD_LEFT + 2, 8, COLORS.text, 2);
+    let legendX = WIDTH - AXIS_WIDTH - 150;
+    for (const [label, color] of [['OB+', COLORS.bullZone], ['OB-', COLORS.bearZone], ['FVG', COLORS.fvg], ['POC', COLORS.poc], ['SWING', COLORS.swing]]) {
+        canvas.text(label, legendX, 12, color);
+        legendX += (label.length + 2) * 6;
+    }
+    return encodePNG(canvas);
+}
+
+module.exports = { renderSignalChart, createCanvas, encodePNG };
@@ -0,0 +1,120 @@
+const { getJson, parseKlineArray } = require('./common');
+
+// --- BINANCE USDⓈ-M FUTURES ---
+const BASE_URL = process.env.BINANCE_FUTURES_URL || 'https://fapi.binance.com';
+const SOURCE = { source: 'binance-futures' };
+
+const INTERVALS = {
+    '1m': '1m', '3m': '3m', '5m': '5m', '15m': '15m', '30m': '30m',
+    '1h': '1h', '2h': '2h', '4h': '4h', '6h': '6h', '8h': '8h', '12h': '12h',
+    '1d': '1d', '3d': '3d', '1w': '1w', '1M': '1M'
+};
+
+// exchangeInfo covers every contract and is large, so it is fetched at most once an hour
+const EXCHANGE_INFO_TTL_MS = 60 * 60 * 1000;
+let exchangeInfoCache = null;
+
+// request weight of /fapi/v1/klines grows with the limit
+function klinesWeight(limit) {
+    if (limit < 100) return 1;
+    if (limit < 500) return 2;
+    if (limit <= 1000) return 5;
+    return 10;
+}
+
+async function getExchangeInfo() {
+    if (!exchangeInfoCache || Date.now() - exchangeInfoCache.at > EXCHANGE_INFO_TTL_MS) {
+        exchangeInfoCache = { at: Date.now(), data: await getJson(`${BASE_URL}/fapi/v1/exchangeInfo`, undefined, SOURCE) };
+    }
+    return exchangeInfoCache.data;
+}
+
+// raw { exchangeInfo, tickers (ticker/24hr), bookTickers } -> one row per contract (also used for the universe fixture)
+function parseMarketSnapshot({ exchangeInfo, tickers, bookTickers }) {
+    const tickerBySymbol = new Map((tickers || []).map(t => [t.symbol, t]));
+    const bookBySymbol = new Map((bookTickers || []).map(b => [b.symbol, b]));
+    return (exchangeInfo.symbols || []).map(info => {
+        const t = tickerBySymbol.get(info.symbol);
+        const b = bookBySymbol.get(info.symbol);
+        return {
+            symbol: info.symbol,
+            status: info.status,
+            tradable: info.status === 'TRADING' && info.contractType === 'PERPETUAL' && info.quoteAsset === 'USDT',
+            onboardDate: info.onboardDate || 0,
+            last: t ? parseFloat(t.lastPrice) : 0,
+            high: t ? parseFloat(t.highPrice) : 0,
+            low: t ? parseFloat(t.lowPrice) : 0,
+            quoteVolume: t ? parseFloat(t.quoteVolume) : 0,
+            trades: t ? parseInt(t.count, 10) || 0 : 0,
+            bid: b ? parseFloat(b.bidPrice) : 0,
+            ask: b ? parseFloat(b.askPrice) : 0
+        };
+    });
+}
+
+module.exports = {
+    id: 'binance-futures',
+    name: 'Binance Futures',
+    priority: 1,
+
+    normalizeSymbol(symbol) {
+        return symbol.toUpperCase().replace(/[-_/]/g, '');
+    },
+
+    mapInterval(interval) {
+        return INTERVALS[interval] || null;
+    },
+
+    async fetchKlines(symbol, interval, { limit = 500, startTime } = {}) {
+        const data = await getJson(`${BASE_URL}/fapi/v1/klines`, {
+            symbol: this.normalizeSymbol(symbol),
+            interval: this.mapInterval(interval),
+            limit,
+            startTime
+        }, { ...SOURCE, weight: klinesWeight(limit) });
+        if (!Array.isArray(data)) throw new Error('Invalid Binance Futures response');
+        return data.map(parseKlineArray);
+    },
+
+    async fetchTicker(symbol) {
+        const data = await getJson(`${BASE_URL}/fapi/v1/ticker/24hr`, { symbol: this.normalizeSymbol(symbol) }, SOURCE);
+        return {
+            symbol: data.symbol,
+            last: parseFloat(data.lastPrice),
+            volume24h: parseFloat(data.quoteVolume),
+            change24h: parseFloat(data.priceChangePercent)
+        };
+    },
+
+    // { minQty, stepSize, tickSize, minNotional } from exchangeInfo filters
+    async fetchContractSpecs(symbol) {
+        const data = await getExchangeInfo();
+        const info = (data.symbols || []).find(s => s.symbol === this.normalizeSymbol(symbol));
+        if (!info) throw new Error(`Binance Futures has no contract ${symbol}`);
+        const filter = type => info.filters.find(f => f.filterType === type) || {};
+        return {
+            minQty: parseFloat(filter('LOT_SIZE').minQty),
+            stepSize: parseFloat(filter('LOT_SIZE').stepSize),
+            tickSize: parseFloat(filter('PRICE_FILTER').tickSize),
+            minNotional: parseFloat(filter('MIN_NOTIONAL').notional) || 0
+        };
+    },
+
+    // every contract with its 24h stats and top of book, for universe selection
+    async fetchMarketSnapshot() {
+        const [exchangeInfo, tickers, bookTickers] = await Promise.all([
+            getExchangeInfo(),
+            getJson(`${BASE_URL}/fapi/v1/ticker/24hr`, undefined, { ...SOURCE, weight: 40 }),
+            getJson(`${BASE_URL}/fapi/v1/ticker/bookTicker`, undefined, { ...SOURCE, weight: 5 })
+        ]);
+        return parseMarketSnapshot({ exchangeInfo, tickers, bookTickers });
+    },
+
+    parseMarketSnapshot,
+
+    async healthCheck() {
+        const started = Date.now();
+        await getJson(`${BASE_URL}/fapi/v1/ping`, undefined, SOURCE);
+        return { ok: true, latencyMs: Date.now() - started };
+    }
+};
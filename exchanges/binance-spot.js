@@ -0,0 +1,52 @@
+const { getJson, parseKlineArray } = require('./common');
+
+// --- BINANCE SPOT ---
+const BASE_URL = process.env.BINANCE_SPOT_URL || 'https://api.binance.com';
+const SOURCE = { source: 'binance-spot' };
+
+const INTERVALS = {
+    '1m': '1m', '3m': '3m', '5m': '5m', '15m': '15m', '30m': '30m',
+    '1h': '1h', '2h': '2h', '4h': '4h', '6h': '6h', '8h': '8h', '12h': '12h',
+    '1d': '1d', '3d': '3d', '1w': '1w', '1M': '1M'
+};
+
+module.exports = {
+    id: 'binance-spot',
+    name: 'Binance Spot',
+    priority: 2,
+
+    normalizeSymbol(symbol) {
+        return symbol.toUpperCase().replace(/[-_/]/g, '');
+    },
+
+    mapInterval(interval) {
+        return INTERVALS[interval] || null;
+    },
+
+    async fetchKlines(symbol, interval, { limit = 500, startTime } = {}) {
+        const data = await getJson(`${BASE_URL}/api/v3/klines`, {
+            symbol: this.normalizeSymbol(symbol),
+            interval: this.mapInterval(interval),
+            limit,
+            startTime
+        }, { ...SOURCE, weight: 2 });
+        if (!Array.isArray(data)) throw new Error('Invalid Binance Spot response');
+        return data.map(parseKlineArray);
+    },
+
+    async fetchTicker(symbol) {
+        const data = await getJson(`${BASE_URL}/api/v3/ticker/24hr`, { symbol: this.normalizeSymbol(symbol) }, { ...SOURCE, weight: 2 });
+        return {
+            symbol: data.symbol,
+            last: parseFloat(data.lastPrice),
+            volume24h: parseFloat(data.quoteVolume),
+            change24h: parseFloat(data.priceChangePercent)
+        };
+    },
+
+    async healthCheck() {
+        const started = Date.now();
+        await getJson(`${BASE_URL}/api/v3/ping`, undefined, SOURCE);
+        return { ok: true, latencyMs: Date.now() - started };
+    }
+};
@@ -0,0 +1,82 @@
+const { getJson } = require('./common');
+
+// --- BYBIT LINEAR PERPETUALS ---
+const BASE_URL = process.env.BYBIT_URL || 'https://api.bybit.com';
+const SOURCE = { source: 'bybit' };
+
+const INTERVALS = {
+    '1m': '1', '3m': '3', '5m': '5', '15m': '15', '30m': '30',
+    '1h': '60', '2h': '120', '4h': '240', '6h': '360', '12h': '720',
+    '1d': 'D', '1w': 'W', '1M': 'M'
+};
+
+function unwrap(data) {
+    if (!data || data.retCode !== 0 || !data.result) {
+        throw new Error(`Invalid Bybit response${data && data.retMsg ? `: ${data.retMsg}` : ''}`);
+    }
+    return data.result;
+}
+
+module.exports = {
+    id: 'bybit',
+    name: 'Bybit',
+    priority: 3,
+
+    normalizeSymbol(symbol) {
+        return symbol.toUpperCase().replace(/[-_/]/g, '');
+    },
+
+    mapInterval(interval) {
+        return INTERVALS[interval] || null;
+    },
+
+    async fetchKlines(symbol, interval, { limit = 500, startTime } = {}) {
+        const result = unwrap(await getJson(`${BASE_URL}/v5/market/kline`, {
+            category: 'linear',
+            symbol: this.normalizeSymbol(symbol),
+            interval: this.mapInterval(interval),
+            limit: Math.min(limit, 1000),
+            start: startTime
+        }, SOURCE));
+        if (!Array.isArray(result.list)) throw new Error('Invalid Bybit response: missing list');
+        // Bybit returns newest first
+        return result.list.map(c => ({
+            open: parseFloat(c[1]),
+            high: parseFloat(c[2]),
+            low: parseFloat(c[3]),
+            close: parseFloat(c[4]),
+            vol: parseFloat(c[5]),
+            t: parseFloat(c[0])
+        })).reverse();
+    },
+
+    async fetchTicker(symbol) {
+        const result = unwrap(await getJson(`${BASE_URL}/v5/market/tickers`, { category: 'linear', symbol: this.normalizeSymbol(symbol) }, SOURCE));
+        const t = result.list && result.list[0];
+        if (!t) throw new Error(`Bybit ticker not found for ${symbol}`);
+        return {
+            symbol: t.symbol,
+            last: parseFloat(t.lastPrice),
+            volume24h: parseFloat(t.turnover24h),
+            change24h: parseFloat(t.price24hPcnt) * 100
+        };
+    },
+
+    async fetchContractSpecs(symbol) {
+        const result = unwrap(await getJson(`${BASE_URL}/v5/market/instruments-info`, { category: 'linear', symbol: this.normalizeSymbol(symbol) }, SOURCE));
+        const info = result.list && result.list[0];
+        if (!info) throw new Error(`Bybit has no contract ${symbol}`);
+        return {
+            minQty: parseFloat(info.lotSizeFilter.minOrderQty),
+            stepSize: parseFloat(info.lotSizeFilter.qtyStep),
+            tickSize: parseFloat(info.priceFilter.tickSize),
+            minNotional: parseFloat(info.lotSizeFilter.minNotionalValue) || 0
+        };
+    },
+
+    async healthCheck() {
+        const started = Date.now();
+        unwrap(await getJson(`${BASE_URL}/v5/market/time`, undefined, SOURCE));
+        return { ok: true, latencyMs: Date.now() - started };
+    }
+};
@@ -0,0 +1,65 @@
+const axios = require('axios');
+const { acquire, recordResponse, recordRateLimit } = require('./ratelimit');
+
+// --- SHARED ADAPTER HELPERS ---
+
+// source: adapter id for rate limiting (see ratelimit.js); weight: what the exchange charges for this request
+async function getJson(url, params, { source, weight = 1 } = {}) {
+    if (source) await acquire(source, weight);
+    let response;
+    try {
+        response = await axios.get(url, {
+            params,
+            timeout: 10000,
+            headers: {
+                'User-Agent': 'Mozilla/5.0 (compatible; TradingBot/1.0)',
+                'Accept': 'application/json'
+            }
+        });
+    } catch (e) {
+        if (source && e.response && (e.response.status === 418 || e.response.status === 429)) {
+            recordRateLimit(source, e.response.status, e.response.headers);
+        }
+        throw e;
+    }
+    if (source) recordResponse(source, response.headers);
+    if (response.status !== 200 || !response.data) {
+        throw new Error(`Unexpected HTTP ${response.status} from ${url}`);
+    }
+    return response.data;
+}
+
+// [openTime, open, high, low, close, volume, ...] -> candle
+function parseKlineArray(c) {
+    return {
+        open: parseFloat(c[1]),
+        high: parseFloat(c[2]),
+        low: parseFloat(c[3]),
+        close: parseFloat(c[4]),
+        vol: parseFloat(c[5]),
+        t: parseFloat(c[0])
+    };
+}
+
+// Throws when a source hands back something we must not analyze
+function validateCandles(candles, sourceName) {
+    if (!Array.isArray(candles) || candles.length === 0) {
+        throw new Error(`${sourceName}: empty kline response`);
+    }
+    for (let i = 0; i < candles.length; i++) {
+        const c = candles[i];
+        const fields = [c.open, c.high, c.low, c.close, c.vol, c.t];
+        if (fields.some(v => typeof v !== 'number' || !isFinite(v))) {
+            throw new Error(`${sourceName}: non-numeric kline at index ${i}`);
+        }
+        if (c.high < c.low || c.high < Math.max(c.open, c.close) || c.low > Math.min(c.open, c.close)) {
+            throw new Error(`${sourceName}: inconsistent OHLC at index ${i}`);
+        }
+        if (i > 0 && c.t <= candles[i - 1].t) {
+            throw new Error(`${sourceName}: klines not in ascending time order at index ${i}`);
+        }
+    }
+    return candles;
+}
+
+module.exports = { getJson, parseKlineArray, validateCandles };
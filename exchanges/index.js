@@ -0,0 +1,66 @@
+const path = require('path');
+const { validateCandles } = require('./common');
+const { createLocalFileAdapter } = require('./local-file');
+const { isPaused, getRateLimitStatus } = require('./ratelimit');
+
+// --- EXCHANGE ADAPTER REGISTRY ---
+// An adapter is a plain object:
+//   { id, name, priority,
+//     normalizeSymbol(symbol) -> exchange symbol,
+//     mapInterval(interval) -> exchange interval or null when unsupported,
+//     fetchKlines(symbol, interval, { limit, startTime }) -> candles (oldest first),
+//     fetchTicker(symbol) -> { symbol, last, volume24h, change24h },
+//     healthCheck() -> { ok, latencyMs },
+//     fetchContractSpecs(symbol) -> { minQty, stepSize, tickSize, minNotional }   (optional),
+//     fetchMarketSnapshot() -> [{ symbol, tradable, quoteVolume, high, low, last, bid, ask, ... }]   (optional) }
+// EXCHANGE_SOURCES=binance-futures,bybit picks and orders the sources; otherwise all
+// registered adapters are used by priority. LOCAL_CANDLES_DIR adds the local file adapter first.
+// HTTP adapters pass { source: id, weight } to getJson so requests are paced per exchange (ratelimit.js).
+
+const adapters = new Map();
+
+function registerAdapter(adapter) {
+    for (const fn of ['normalizeSymbol', 'mapInterval', 'fetchKlines', 'fetchTicker', 'healthCheck']) {
+        if (typeof adapter[fn] !== 'function') throw new Error(`Adapter ${adapter.id || adapter.name} is missing ${fn}()`);
+    }
+    adapters.set(adapter.id, adapter);
+}
+
+function getAdapter(id) {
+    return adapters.get(id) || null;
+}
+
+function getAdapters() {
+    const wanted = (process.env.EXCHANGE_SOURCES || '').split(',').map(s => s.trim()).filter(Boolean);
+    if (wanted.length > 0) return wanted.map(id => adapters.get(id)).filter(Boolean);
+    return [...adapters.values()].sort((a, b) => a.priority - b.priority);
+}
+
+async function checkAdapters() {
+    const report = [];
+    for (const adapter of getAdapters()) {
+        try {
+            report.push({ id: adapter.id, name: adapter.name, ...(await adapter.healthCheck()) });
+        } catch (e) {
+            report.push({ id: adapter.id, name: adapter.name, ok: false, error: e.message || String(e) });
+        }
+    }
+    return report;
+}
+
+registerAdapter(require('./binance-futures'));
+registerAdapter(require('./binance-spot'));
+registerAdapter(require('./bybit'));
+registerAdapter(require('./okx'));
+if (process.env.LOCAL_CANDLES_DIR) {
+    // the disk cache would feed its own mirror back in at top priority and never hit an exchange again
+    if (process.env.CANDLE_CACHE_DIR && path.resolve(process.env.CANDLE_CACHE_DIR) === path.resolve(process.env.LOCAL_CANDLES_DIR)) {
+        throw new Error(`LOCAL_CANDLES_DIR and CANDLE_CACHE_DIR both point to ${path.resolve(process.env.LOCAL_CANDLES_DIR)} — use separate directories`);
+    }
+    registerAdapter(createLocalFileAdapter(process.env.LOCAL_CANDLES_DIR, 0));
+}
+
+module.exports = {
+    registerAdapter, getAdapter, getAdapters, checkAdapters, validateCandles, createLocalFileAdapter,
+    isPaused, getRateLimitStatus
+};
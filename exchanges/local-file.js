@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+
+// --- LOCAL CANDLE FILES ---
+// Serves klines from <dir>/<SYMBOL>_<interval>.csv|.json — used by the backtest and for offline runs.
+//   CSV : open_time,open,high,low,close,volume[,...]  (header row optional, Binance export works)
+//   JSON: Binance kline arrays or objects { t, open, high, low, close, vol }
+
+function parseCsvCandles(text) {
+    const candles = [];
+    for (const line of text.split(/\r?\n/)) {
+        const cols = line.trim().split(',');
+        if (cols.length < 6 || isNaN(parseFloat(cols[0]))) continue; // skip header / blank
+        candles.push({
+            open: parseFloat(cols[1]),
+            high: parseFloat(cols[2]),
+            low: parseFloat(cols[3]),
+            close: parseFloat(cols[4]),
+            vol: parseFloat(cols[5]),
+            t: parseFloat(cols[0])
+        });
+    }
+    return candles;
+}
+
+function parseJsonCandles(text) {
+    const data = JSON.parse(text);
+    return data.map(c => Array.isArray(c) ? {
+        open: parseFloat(c[1]),
+        high: parseFloat(c[2]),
+        low: parseFloat(c[3]),
+        close: parseFloat(c[4]),
+        vol: parseFloat(c[5]),
+        t: parseFloat(c[0])
+    } : {
+        open: parseFloat(c.open),
+        high: parseFloat(c.high),
+        low: parseFloat(c.low),
+        close: parseFloat(c.close),
+        vol: parseFloat(c.vol !== undefined ? c.vol : c.volume),
+        t: parseFloat(c.t !== undefined ? c.t : c.time)
+    });
+}
+
+function loadCandleFile(dataDir, symbol, interval) {
+    for (const ext of ['csv', 'json']) {
+        const file = path.join(dataDir, `${symbol}_${interval}.${ext}`);
+        if (!fs.existsSync(file)) continue;
+        const text = fs.readFileSync(file, 'utf8');
+        const candles = ext === 'csv' ? parseCsvCandles(text) : parseJsonCandles(text);
+        return candles.sort((a, b) => a.t - b.t);
+    }
+    return null;
+}
+
+function createLocalFileAdapter(dataDir, priority = 0) {
+    return {
+        id: 'local-file',
+        name: `Local files (${dataDir})`,
+        priority,
+
+        normalizeSymbol(symbol) {
+            return symbol.toUpperCase().replace(/[-_/]/g, '');
+        },
+
+        // any interval works as long as the file exists
+        mapInterval(interval) {
+            return interval;
+        },
+
+        async fetchKlines(symbol, interval, { limit = 500, startTime } = {}) {
+            const candles = loadCandleFile(dataDir, this.normalizeSymbol(symbol), interval);
+            if (!candles) throw new Error(`No local file for ${symbol} ${interval}`);
+            const filtered = startTime !== undefined ? candles.filter(c => c.t >= startTime) : candles;
+            return startTime !== undefined ? filtered.slice(0, limit) : filtered.slice(-limit);
+        },
+
+        async fetchTicker(symbol) {
+            const candles = await this.fetchKlines(symbol, '1m', { limit: 1440 }).catch(() => this.fetchKlines(symbol, '15m', { limit: 96 }));
+            const last = candles[candles.length - 1].close;
+            const first = candles[0].open;
+            return {
+                symbol: this.normalizeSymbol(symbol),
+                last,
+                volume24h: candles.reduce((s, c) => s + c.vol * c.close, 0),
+                change24h: first ? ((last - first) / first) * 100 : 0
+            };
+        },
+
+        async healthCheck() {
+            if (!fs.existsSync(dataDir)) throw new Error(`Directory not found: ${dataDir}`);
+            return { ok: true, latencyMs: 0 };
+        }
+    };
+}
+
+module.exports = { createLocalFileAdapter, loadCandleFile, parseCsvCandles, parseJsonCandles };
@@ -0,0 +1,74 @@
+const { getJson } = require('./common');
+
+// --- OKX USDT PERPETUAL SWAPS ---
+const BASE_URL = process.env.OKX_URL || 'https://www.okx.com';
+const SOURCE = { source: 'okx' };
+
+// OKX daily/weekly bars default to HK time; the *utc variants match the other exchanges
+const INTERVALS = {
+    '1m': '1m', '3m': '3m', '5m': '5m', '15m': '15m', '30m': '30m',
+    '1h': '1H', '2h': '2H', '4h': '4H', '6h': '6Hutc', '12h': '12Hutc',
+    '1d': '1Dutc', '1w': '1Wutc', '1M': '1Mutc'
+};
+
+function unwrap(data) {
+    if (!data || data.code !== '0' || !Array.isArray(data.data)) {
+        throw new Error(`Invalid OKX response${data && data.msg ? `: ${data.msg}` : ''}`);
+    }
+    return data.data;
+}
+
+module.exports = {
+    id: 'okx',
+    name: 'OKX',
+    priority: 4,
+
+    // BTCUSDT -> BTC-USDT-SWAP
+    normalizeSymbol(symbol) {
+        const s = symbol.toUpperCase().replace(/[-_/]/g, '').replace(/SWAP$/, '');
+        const quote = s.endsWith('USDT') ? 'USDT' : s.endsWith('USDC') ? 'USDC' : 'USD';
+        return `${s.slice(0, s.length - quote.length)}-${quote}-SWAP`;
+    },
+
+    mapInterval(interval) {
+        return INTERVALS[interval] || null;
+    },
+
+    async fetchKlines(symbol, interval, { limit = 500, startTime } = {}) {
+        const rows = unwrap(await getJson(`${BASE_URL}/api/v5/market/candles`, {
+            instId: this.normalizeSymbol(symbol),
+            bar: this.mapInterval(interval),
+            limit: Math.min(limit, 300),
+            // "before" returns records newer than the timestamp
+            before: startTime !== undefined ? startTime - 1 : undefined
+        }, SOURCE));
+        // OKX returns newest first
+        return rows.map(c => ({
+            open: parseFloat(c[1]),
+            high: parseFloat(c[2]),
+            low: parseFloat(c[3]),
+            close: parseFloat(c[4]),
+            vol: parseFloat(c[5]),
+            t: parseFloat(c[0])
+        })).reverse();
+    },
+
+    async fetchTicker(symbol) {
+        const t = unwrap(await getJson(`${BASE_URL}/api/v5/market/ticker`, { instId: this.normalizeSymbol(symbol) }, SOURCE))[0];
+        if (!t) throw new Error(`OKX ticker not found for ${symbol}`);
+        const last = parseFloat(t.last);
+        const open = parseFloat(t.sodUtc0);
+        return {
+            symbol: t.instId,
+            last,
+            volume24h: parseFloat(t.volCcy24h) * last,
+            change24h: open ? ((last - open) / open) * 100 : 0
+        };
+    },
+
+    async healthCheck() {
+        const started = Date.now();
+        unwrap(await getJson(`${BASE_URL}/api/v5/public/time`, undefined, SOURCE));
+        return { ok: true, latencyMs: Date.now() - started };
+    }
+};
@@ -0,0 +1,138 @@
+// --- PER-SOURCE RATE LIMITS ---
+// Every adapter request goes through acquire(source, weight) before it is sent:
+//   - one token bucket per source, refilled at capacity per windowMs and charged the request's weight
+//     (Binance counts weight, Bybit/OKX count requests); only `share` of the exchange limit is used
+//   - used-weight headers from responses re-sync the bucket with the exchange's own count
+//   - 418 / 429 pause the source until Retry-After, or an escalating backoff when the header is missing;
+//     while paused requests fail fast (code RATE_LIMITED) so the candle loader moves on to the next source
+// Sources without an entry in LIMITS (local files, mocks) are never throttled.
+
+const LIMITS = {
+    'binance-futures': { capacity: 2400, windowMs: 60 * 1000, usedWeightHeader: 'x-mbx-used-weight-1m' },
+    'binance-spot': { capacity: 6000, windowMs: 60 * 1000, usedWeightHeader: 'x-mbx-used-weight-1m' },
+    'bybit': { capacity: 600, windowMs: 5 * 1000 },
+    'okx': { capacity: 20, windowMs: 2 * 1000 }
+};
+
+const SHARE = 0.8;                      // headroom for other clients on the same IP
+const BACKOFF_BASE_MS = 30 * 1000;
+const BACKOFF_MAX_MS = 30 * 60 * 1000;
+const BAN_MIN_MS = 2 * 60 * 1000;       // Binance IP bans (418) last at least 2 minutes
+
+// source -> { tokens, updatedAt, queue, pausedUntil, strikes, usedWeight, throttled, limited }
+const buckets = new Map();
+
+function getBucket(source) {
+    const limit = LIMITS[source];
+    if (!limit) return null;
+    if (!buckets.has(source)) {
+        buckets.set(source, {
+            tokens: limit.capacity * SHARE,
+            updatedAt: Date.now(),
+            queue: Promise.resolve(),
+            pausedUntil: 0,
+            strikes: 0,
+            usedWeight: null,
+            throttled: 0,
+            limited: 0
+        });
+    }
+    return buckets.get(source);
+}
+
+function refill(bucket, limit, now) {
+    const capacity = limit.capacity * SHARE;
+    bucket.tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / limit.windowMs) * capacity);
+    bucket.updatedAt = now;
+}
+
+function rateLimitedError(source, pausedUntil) {
+    const err = new Error(`${source} rate limited for ${Math.ceil((pausedUntil - Date.now()) / 1000)}s`);
+    err.code = 'RATE_LIMITED';
+    return err;
+}
+
+function isPaused(source) {
+    const bucket = buckets.get(source);
+    return Boolean(bucket && bucket.pausedUntil > Date.now());
+}
+
+async function take(source, weight) {
+    const limit = LIMITS[source];
+    const bucket = getBucket(source);
+    const cost = Math.min(weight, limit.capacity * SHARE);
+    for (;;) {
+        if (bucket.pausedUntil > Date.now()) throw rateLimitedError(source, bucket.pausedUntil);
+        refill(bucket, limit, Date.now());
+        if (bucket.tokens >= cost) {
+            bucket.tokens -= cost;
+            return;
+        }
+        bucket.throttled++;
+        const waitMs = ((cost - bucket.tokens) / (limit.capacity * SHARE)) * limit.windowMs;
+        await new Promise(r => setTimeout(r, Math.ceil(waitMs)));
+    }
+}
+
+// waits for `weight` tokens; callers are served in arrival order per source
+function acquire(source, weight = 1) {
+    const bucket = getBucket(source);
+    if (!bucket) return Promise.resolve();
+    const turn = bucket.queue.then(() => take(source, weight));
+    bucket.queue = turn.catch(() => {});
+    return turn;
+}
+
+// response headers -> bucket; a successful response also clears the backoff strikes
+function recordResponse(source, headers = {}) {
+    const limit = LIMITS[source];
+    const bucket = getBucket(source);
+    if (!bucket) return;
+    bucket.strikes = 0;
+    const used = limit.usedWeightHeader ? parseInt(headers[limit.usedWeightHeader], 10) : NaN;
+    if (!isNaN(used)) {
+        bucket.usedWeight = used;
+        refill(bucket, limit, Date.now());
+        bucket.tokens = Math.min(bucket.tokens, limit.capacity * SHARE - used);
+    }
+}
+
+// 418 / 429 -> pause the source; Retry-After (seconds) wins over the escalating backoff
+function recordRateLimit(source, status, headers = {}) {
+    const bucket = getBucket(source);
+    if (!bucket) return;
+    bucket.strikes++;
+    bucket.limited++;
+    bucket.tokens = 0;
+    const retryAfter = parseInt(headers['retry-after'], 10);
+    let pauseMs = !isNaN(retryAfter) ? retryAfter * 1000 : Math.min(BACKOFF_BASE_MS * 2 ** (bucket.strikes - 1), BACKOFF_MAX_MS);
+    if (status === 418) pauseMs = Math.max(pauseMs, BAN_MIN_MS);
+    bucket.pausedUntil = Math.max(bucket.pausedUntil, Date.now() + pauseMs);
+    console.warn(`🚦 ${source} answered ${status}: paused for ${Math.round(pauseMs / 1000)}s`);
+}
+
+function getRateLimitStatus() {
+    const now = Date.now();
+    return Object.keys(LIMITS).filter(source => buckets.has(source)).map(source => {
+        const bucket = buckets.get(source);
+        refill(bucket, LIMITS[source], now);
+        return {
+            source,
+            tokens: Math.floor(bucket.tokens),
+            capacity: Math.floor(LIMITS[source].capacity * SHARE),
+            usedWeight: bucket.usedWeight,
+            pausedForMs: Math.max(0, bucket.pausedUntil - now),
+            throttled: bucket.throttled,
+            limited: bucket.limited
+        };
+    });
+}
+
+module.exports = {
+    LIMITS,
+    acquire,
+    recordResponse,
+    recordRateLimit,
+    isPaused,
+    getRateLimitStatus
+};
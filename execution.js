@@ -0,0 +1,417 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { roundToStep } = require('./sizing');
+
+// --- ORDER EXECUTION (BINANCE USDⓈ-M FUTURES) ---
+// Opt-in per user: a signal becomes a LIMIT entry protected from the start by a closePosition
+// STOP_MARKET (SL). The TAKE_PROFIT_MARKET ladder is reduce-only, which Binance refuses while there is
+// no position, so it is kept as a pending exit and placed by checkPendingExits once the entry has filled.
+// Hedge-mode accounts get positionSide on every order (and no reduceOnly, which hedge mode rejects).
+// Dry-run (the default) only reads the account and reports what would be sent. Going live also needs
+// EXECUTION_LIVE=true on the server. Point EXECUTION_BASE_URL at mock/exchange-server.js to test
+// without real keys; `npm run check:execution` runs executeSignal against it.
+
+const BASE_URL = process.env.EXECUTION_BASE_URL || 'https://fapi.binance.com';
+const LIVE_ALLOWED = process.env.EXECUTION_LIVE === 'true';
+const RECV_WINDOW = 5000;
+
+const DEFAULT_EXECUTION = {
+    enabled: false,
+    dryRun: true,
+    maxOpenPositions: 3,          // open positions + resting entry orders
+    maxExposurePercent: 300,      // total notional as % of wallet balance
+    apiKey: null,                 // encrypted (encryptSecret)
+    apiSecret: null
+};
+
+function getExecutionSettings(userData) {
+    return { ...DEFAULT_EXECUTION, ...(userData && userData.execution) };
+}
+
+// --- SECRET STORAGE (AES-256-GCM) ---
+// Key derived from EXECUTION_SECRET; stored form is "v1:<iv>:<tag>:<ciphertext>" (base64 parts)
+let cipherKey = null;
+
+function getCipherKey() {
+    if (!process.env.EXECUTION_SECRET) throw new Error('EXECUTION_SECRET chưa được cấu hình trên server');
+    if (!cipherKey) cipherKey = crypto.scryptSync(process.env.EXECUTION_SECRET, 'scalp-bot-execution', 32);
+    return cipherKey;
+}
+
+function encryptSecret(plain) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getCipherKey(), iv);
+    const data = Buffer.concat([cipher.update(String(plain), 'utf8'), cipher.final()]);
+    return ['v1', iv.toString('base64'), cipher.getAuthTag().toString('base64'), data.toString('base64')].join(':');
+}
+
+function decryptSecret(stored) {
+    const [version, iv, tag, data] = String(stored).split(':');
+    if (version !== 'v1' || !iv || !tag || !data) throw new Error('Unsupported encrypted secret format');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getCipherKey(), Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+}
+
+// --- SIGNED CLIENT ---
+function createFuturesClient({ apiKey, apiSecret, baseUrl = BASE_URL }) {
+    async function signedRequest(method, path, params = {}) {
+        const query = new URLSearchParams();
+        for (const [k, v] of Object.entries(params)) {
+            if (v !== undefined && v !== null) query.append(k, String(v));
+        }
+        query.append('recvWindow', String(RECV_WINDOW));
+        query.append('timestamp', String(Date.now()));
+        const signature = crypto.createHmac('sha256', apiSecret).update(query.toString()).digest('hex');
+        try {
+            const response = await axios({
+                method,
+                url: `${baseUrl}${path}?${query.toString()}&signature=${signature}`,
+                headers: { 'X-MBX-APIKEY': apiKey },
+                timeout: 10000
+            });
+            return response.data;
+        } catch (e) {
+            const body = e.response && e.response.data;
+            if (body && body.msg) throw new Error(`Binance ${body.code}: ${body.msg}`);
+            throw e;
+        }
+    }
+
+    return {
+        signedRequest,
+        getBalance: () => signedRequest('GET', '/fapi/v2/balance'),
+        getPositions: () => signedRequest('GET', '/fapi/v2/positionRisk'),
+        getOpenOrders: () => signedRequest('GET', '/fapi/v1/openOrders'),
+        getPositionMode: () => signedRequest('GET', '/fapi/v1/positionSide/dual'),
+        getOrder: (symbol, orderId) => signedRequest('GET', '/fapi/v1/order', { symbol, orderId }),
+        setLeverage: (symbol, leverage) => signedRequest('POST', '/fapi/v1/leverage', { symbol, leverage }),
+        placeOrder: order => signedRequest('POST', '/fapi/v1/order', order),
+        cancelOrder: (symbol, orderId) => signedRequest('DELETE', '/fapi/v1/order', { symbol, orderId }),
+        cancelAllOrders: symbol => signedRequest('DELETE', '/fapi/v1/allOpenOrders', { symbol })
+    };
+}
+
+function createUserClient(execution) {
+    if (!execution.apiKey || !execution.apiSecret) {
+        const err = new Error('Chưa có API key. Dùng /exec keys <apiKey> <apiSecret>');
+        err.code = 'ERR_NO_KEYS';
+        throw err;
+    }
+    return createFuturesClient({ apiKey: decryptSecret(execution.apiKey), apiSecret: decryptSecret(execution.apiSecret) });
+}
+
+// --- ORDER PLAN ---
+// result: analyzeSymbol output with levels already rounded to the tick (roundLevels),
+// sizing: { position, specs } from buildUserSizing; hedgeMode: the account's dual-side position setting
+// -> { symbol, leverage, notional, positionSide, orders (placed now: entry + SL), exits (TP ladder, placed on fill) }
+function buildOrderPlan(result, sizing, hedgeMode = false) {
+    const { position, specs } = sizing;
+    const side = result.direction === 'LONG' ? 'BUY' : 'SELL';
+    const exitSide = side === 'BUY' ? 'SELL' : 'BUY';
+    const positionSide = hedgeMode ? result.direction : null;
+    // hedge mode: every order names its side, and closing orders must not carry reduceOnly
+    const forMode = order => {
+        if (!positionSide) return order;
+        const { reduceOnly, ...rest } = order;
+        return { ...rest, positionSide };
+    };
+    const qty = position.qty;
+    const orders = [{
+        role: 'entry',
+        symbol: result.symbol,
+        side,
+        type: 'LIMIT',
+        timeInForce: 'GTC',
+        quantity: qty,
+        price: parseFloat(result.entry)
+    }, {
+        // closePosition needs no open position, so the entry is protected while it rests
+        role: 'sl',
+        symbol: result.symbol,
+        side: exitSide,
+        type: 'STOP_MARKET',
+        stopPrice: parseFloat(result.sl),
+        closePosition: true,
+        workingType: 'MARK_PRICE'
+    }].map(forMode);
+
+    const targets = result.targets && result.targets.length ? result.targets : [{ price: result.tp, closePercent: 100 }];
+    const exits = [];
+    let remaining = qty;
+    targets.forEach((t, i) => {
+        const last = i === targets.length - 1;
+        const sliceQty = last ? remaining : Math.min(remaining, roundToStep(qty * t.closePercent / 100, specs.stepSize, 'floor'));
+        if (sliceQty <= 0 || (specs.minQty && sliceQty < specs.minQty)) return;
+        remaining = roundToStep(remaining - sliceQty, specs.stepSize);
+        exits.push(forMode({
+            role: `tp${i + 1}`,
+            symbol: result.symbol,
+            side: exitSide,
+            type: 'TAKE_PROFIT_MARKET',
+            stopPrice: parseFloat(t.price),
+            quantity: sliceQty,
+            reduceOnly: true,
+            workingType: 'MARK_PRICE'
+        }));
+    });
+    // slices too small to place fold into the last target
+    if (remaining > 0 && exits.length > 0) {
+        const lastTp = exits[exits.length - 1];
+        lastTp.quantity = roundToStep(lastTp.quantity + remaining, specs.stepSize);
+    }
+    return { symbol: result.symbol, leverage: position.leverage, notional: position.notional, positionSide, orders, exits };
+}
+
+// --- GUARDS ---
+// account: { balance, positions: [{ symbol, notional }], entryOrders: [{ symbol, notional }] }
+function checkGuards(plan, account, execution) {
+    const errors = [];
+    const busy = new Set([...account.positions, ...account.entryOrders].map(p => p.symbol));
+    if (busy.has(plan.symbol)) errors.push(`Đã có vị thế hoặc lệnh chờ ${plan.symbol}`);
+    if (busy.size >= execution.maxOpenPositions) {
+        errors.push(`Đã đạt tối đa ${execution.maxOpenPositions} vị thế/lệnh chờ`);
+    }
+    const exposure = [...account.positions, ...account.entryOrders].reduce((s, p) => s + p.notional, 0);
+    const maxExposure = account.balance * execution.maxExposurePercent / 100;
+    if (exposure + plan.notional > maxExposure) {
+        errors.push(`Exposure ${(exposure + plan.notional).toFixed(2)} USDT vượt giới hạn ${maxExposure.toFixed(2)} USDT (${execution.maxExposurePercent}% số dư)`);
+    }
+    return errors;
+}
+
+async function loadAccountState(client) {
+    const [balances, positions, openOrders, mode] = await Promise.all([
+        client.getBalance(), client.getPositions(), client.getOpenOrders(), client.getPositionMode()
+    ]);
+    const usdt = (balances || []).find(b => b.asset === 'USDT');
+    return {
+        balance: usdt ? parseFloat(usdt.balance) : 0,
+        hedgeMode: Boolean(mode && mode.dualSidePosition),
+        positions: (positions || [])
+            .filter(p => parseFloat(p.positionAmt) !== 0)
+            .map(p => ({ symbol: p.symbol, notional: Math.abs(parseFloat(p.positionAmt) * parseFloat(p.markPrice)) })),
+        entryOrders: (openOrders || [])
+            .filter(o => !o.reduceOnly && o.type === 'LIMIT')
+            .map(o => ({ symbol: o.symbol, notional: parseFloat(o.origQty) * parseFloat(o.price) }))
+    };
+}
+
+// --- EXECUTE ---
+// Returns { dryRun, plan, placed: [{ role, orderId }], errors: [], pending }. Live mode places the entry
+// and its SL; when the SL fails the orders placed so far are cancelled (by id, other orders on the symbol
+// are left alone), so an entry is never left without its SL. pending: the TP ladder waiting for the fill,
+// to be handed to addPendingExit.
+async function executeSignal(client, result, sizing, execution) {
+    const dryRun = execution.dryRun || !LIVE_ALLOWED;
+    if (!sizing.position || sizing.position.qty <= 0) {
+        return { dryRun, plan: null, placed: [], errors: ['Khối lượng bằng 0 — kiểm tra /account'], pending: null };
+    }
+    const account = await loadAccountState(client);
+    const plan = buildOrderPlan(result, sizing, account.hedgeMode);
+    const errors = checkGuards(plan, account, execution);
+    if (errors.length > 0 || dryRun) return { dryRun, plan, placed: [], errors, pending: null };
+
+    const placed = [];
+    try {
+        await client.setLeverage(plan.symbol, plan.leverage);
+        for (const order of plan.orders) {
+            const { role, ...params } = order;
+            const response = await client.placeOrder(params);
+            placed.push({ role, orderId: response.orderId });
+        }
+    } catch (e) {
+        errors.push(`Đặt lệnh thất bại: ${e.message || e}`);
+        const cancelErrors = [];
+        for (const { orderId } of placed) {
+            try {
+                await client.cancelOrder(plan.symbol, orderId);
+            } catch (cancelErr) {
+                cancelErrors.push(cancelErr.message || cancelErr);
+            }
+        }
+        if (cancelErrors.length > 0) errors.push(`⚠️ Không hủy được lệnh đã đặt, kiểm tra tay: ${cancelErrors.join('; ')}`);
+        else if (placed.length > 0) errors.push('Đã hủy các lệnh vừa đặt');
+        return { dryRun, plan, placed, errors, pending: null };
+    }
+    const pending = {
+        symbol: plan.symbol,
+        positionSide: plan.positionSide,
+        entryOrderId: placed.find(p => p.role === 'entry').orderId,
+        slOrderId: placed.find(p => p.role === 'sl').orderId,
+        exits: plan.exits,
+        createdAt: Date.now()
+    };
+    return { dryRun, plan, placed, errors, pending };
+}
+
+// --- PENDING EXITS ---
+// TP ladders waiting for their entry to fill: [{ chatId, replyTo, symbol, positionSide, entryOrderId, slOrderId, exits, createdAt }]
+let pendingExits = [];
+
+function addPendingExit(chatId, pending, replyTo) {
+    pendingExits.push({ chatId, replyTo, ...pending });
+}
+
+function getPendingExits() {
+    return pendingExits;
+}
+
+function loadPendingExits(entries) {
+    pendingExits = Array.isArray(entries) ? entries : [];
+}
+
+// signed position size on the pending's side (0 when flat)
+async function getPositionAmount(client, pending) {
+    const positions = await client.getPositions();
+    const row = (positions || []).find(p => p.symbol === pending.symbol && (!pending.positionSide || p.positionSide === pending.positionSide));
+    return row ? parseFloat(row.positionAmt) : 0;
+}
+
+// clientFor(chatId) -> futures client (throws when the user has no keys any more)
+// returns [{ chatId, pending, type: 'EXITS_PLACED' | 'CLOSED' | 'ENTRY_CANCELLED' | 'ERROR', placed, errors }]
+async function checkPendingExits(clientFor) {
+    const events = [];
+    for (const pending of [...pendingExits]) {
+        const done = event => {
+            pendingExits = pendingExits.filter(p => p !== pending);
+            events.push({ chatId: pending.chatId, pending, placed: [], errors: [], ...event });
+        };
+        try {
+            const client = clientFor(pending.chatId);
+            const entry = await client.getOrder(pending.symbol, pending.entryOrderId);
+            if (entry.status === 'NEW' || entry.status === 'PARTIALLY_FILLED') continue;
+            if (entry.status !== 'FILLED') {
+                // the closePosition SL would otherwise rest on an empty symbol
+                const errors = [];
+                await client.cancelOrder(pending.symbol, pending.slOrderId).catch(e => errors.push(`Không hủy được SL: ${e.message || e}`));
+                done({ type: 'ENTRY_CANCELLED', errors });
+                continue;
+            }
+            if (await getPositionAmount(client, pending) === 0) {
+                done({ type: 'CLOSED' });
+                continue;
+            }
+            const placed = [];
+            const errors = [];
+            for (const order of pending.exits) {
+                const { role, ...params } = order;
+                try {
+                    const response = await client.placeOrder(params);
+                    placed.push({ role, orderId: response.orderId });
+                } catch (e) {
+                    errors.push(`${role.toUpperCase()}: ${e.message || e}`);
+                }
+            }
+            done({ type: 'EXITS_PLACED', placed, errors });
+        } catch (e) {
+            if (e.code === 'ERR_NO_KEYS') done({ type: 'ERROR', errors: [e.message] });
+            else console.warn(`Pending exits check failed for ${pending.symbol} (${pending.chatId}): ${e.message || e}`);
+        }
+    }
+    return events;
+}
+
+// --- /exec COMMAND ---
+// returns the updated settings; throws a user-facing message on bad input
+function applyExecutionCommand(execution, action, args) {
+    const next = { ...execution };
+    switch (action) {
+        case 'keys':
+            if (args.length !== 2) throw new Error('Ví dụ: /exec keys <apiKey> <apiSecret>');
+            next.apiKey = encryptSecret(args[0]);
+            next.apiSecret = encryptSecret(args[1]);
+            break;
+        case 'on':
+            if (!next.apiKey) throw new Error('Chưa có API key. Dùng /exec keys <apiKey> <apiSecret> (chat riêng với bot)');
+            next.enabled = true;
+            break;
+        case 'off':
+            next.enabled = false;
+            break;
+        case 'live':
+            if (!LIVE_ALLOWED) throw new Error('Server chưa bật EXECUTION_LIVE — chỉ dùng được dry-run');
+            next.dryRun = false;
+            break;
+        case 'dry':
+            next.dryRun = true;
+            break;
+        case 'maxpos': {
+            const value = parseInt(args[0], 10);
+            if (!(value >= 1 && value <= 20)) throw new Error('Số vị thế tối đa phải từ 1 đến 20.');
+            next.maxOpenPositions = value;
+            break;
+        }
+        case 'maxexposure': {
+            const value = parseFloat(String(args[0]).replace(',', '.'));
+            if (!(value >= 10 && value <= 2000)) throw new Error('Exposure tối đa (%) phải từ 10 đến 2000.');
+            next.maxExposurePercent = value;
+            break;
+        }
+        case 'clear':
+            return { ...DEFAULT_EXECUTION };
+        default:
+            throw new Error('Lệnh: /exec keys <apiKey> <apiSecret>, /exec on|off, /exec live|dry, /exec maxpos <n>, /exec maxexposure <%>, /exec clear');
+    }
+    return next;
+}
+
+// --- FORMATTING ---
+function formatExecutionResult(outcome, formatPrice) {
+    const tag = outcome.dryRun ? '🧾 DRY-RUN' : '⚡ LIVE';
+    if (!outcome.plan) return `${tag}: ❌ ${outcome.errors.join('; ')}`;
+    let text = `${tag} ${outcome.plan.symbol} x${outcome.plan.leverage}${outcome.plan.positionSide ? ` (hedge ${outcome.plan.positionSide})` : ''}\n`;
+    for (const o of outcome.plan.orders) text += `- ${formatOrderLine(o, formatPrice)}\n`;
+    for (const o of outcome.plan.exits) text += `- ${formatOrderLine(o, formatPrice)} · sau khi khớp entry\n`;
+    if (outcome.errors.length > 0) text += `❌ ${outcome.errors.join('\n❌ ')}`;
+    else if (outcome.dryRun) text += `ℹ️ Chưa gửi lệnh nào (dry-run)`;
+    else text += `✅ Đã đặt ${outcome.placed.length} lệnh, TP đặt khi entry khớp`;
+    return text;
+}
+
+function formatOrderLine(o, formatPrice) {
+    const price = o.price !== undefined ? o.price : o.stopPrice;
+    const qty = o.closePosition ? 'toàn bộ' : o.quantity;
+    const flag = o.closePosition ? ' (close-position)' : o.reduceOnly ? ' (reduce-only)' : '';
+    return `${o.role.toUpperCase()}: ${o.side} ${o.type} ${qty} @ ${formatPrice(price)}${flag}`;
+}
+
+function formatPendingExitEvent(event) {
+    const tag = `⚡ LIVE ${event.pending.symbol}`;
+    if (event.type === 'ENTRY_CANCELLED') return `${tag}: entry không còn hiệu lực, đã bỏ SL và TP${event.errors.length ? `\n❌ ${event.errors.join('\n❌ ')}` : ''}`;
+    if (event.type === 'CLOSED') return `${tag}: entry đã khớp nhưng vị thế đã đóng trước khi đặt TP`;
+    if (event.type === 'ERROR') return `${tag}: ❌ không đặt được TP — ${event.errors.join('; ')}`;
+    let text = `${tag}: entry đã khớp, đặt ${event.placed.length}/${event.pending.exits.length} lệnh TP`;
+    if (event.errors.length > 0) text += `\n❌ ${event.errors.join('\n❌ ')}\n🛡️ SL close-position vẫn bảo vệ vị thế`;
+    return text;
+}
+
+function formatExecutionSettings(execution) {
+    return `⚡ AUTO EXECUTION: ${execution.enabled ? '✅ Bật' : '⏸️ Tắt'}\n` +
+        `🧾 Chế độ: ${execution.dryRun || !LIVE_ALLOWED ? 'Dry-run' : 'LIVE'}${LIVE_ALLOWED ? '' : ' (server chưa cho phép live)'}\n` +
+        `🔑 API key: ${execution.apiKey ? 'đã lưu (mã hóa)' : 'chưa có'}\n` +
+        `📂 Tối đa vị thế/lệnh chờ: ${execution.maxOpenPositions}\n` +
+        `📈 Exposure tối đa: ${execution.maxExposurePercent}% số dư\n\n` +
+        `Lệnh: /exec keys <apiKey> <apiSecret>, /exec on|off, /exec live|dry, /exec maxpos <n>, /exec maxexposure <%>, /exec clear`;
+}
+
+module.exports = {
+    DEFAULT_EXECUTION,
+    LIVE_ALLOWED,
+    getExecutionSettings,
+    encryptSecret,
+    decryptSecret,
+    createFuturesClient,
+    createUserClient,
+    buildOrderPlan,
+    checkGuards,
+    executeSignal,
+    addPendingExit,
+    getPendingExits,
+    loadPendingExits,
+    checkPendingExits,
+    applyExecutionCommand,
+    formatExecutionResult,
+    formatPendingExitEvent,
+    formatExecutionSettings
+};
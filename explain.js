@@ -0,0 +1,79 @@
+const { formatRegime } = require('./regime');
+
+// --- /explain RENDERING ---
+// Turns analyzeSymbol(...).explanation into a readable Telegram message.
+
+const ENTRY_SOURCES = {
+    orderblock: 'Order Block',
+    fvg: 'Fair Value Gap',
+    liquidity: 'Liquidity level',
+    market: 'Giá hiện tại (không có vùng phù hợp)'
+};
+
+function fmt(n, digits = 1) {
+    return (n >= 0 ? '+' : '') + n.toFixed(digits);
+}
+
+function fmtPrice(n) {
+    return n > 10 ? n.toFixed(2) : n.toFixed(4);
+}
+
+function formatIndicators(i) {
+    const parts = [];
+    if (i.rsi !== null) parts.push(`RSI ${i.rsi.toFixed(0)}`);
+    if (i.adx !== null) parts.push(`ADX ${i.adx.toFixed(0)}`);
+    if (i.macdHistogram !== null) parts.push(`MACD ${i.macdHistogram >= 0 ? '▲' : '▼'}`);
+    parts.push(`EMA ${i.emaStack}`);
+    if (i.vwapDeviation !== null) parts.push(`VWAP ${fmt(i.vwapDeviation)}σ`);
+    if (i.squeeze) parts.push('squeeze');
+    return parts.join(' · ');
+}
+
+// zones no longer tradable (mitigated or invalidated), e.g. " · đã dùng OB 3 / FVG 5"
+function formatUsedZones(stats) {
+    if (!stats) return '';
+    const used = k => stats[k].mitigated + stats[k].invalidated;
+    return ` · đã dùng OB ${used('orderBlocks')} / FVG ${used('fairValueGaps')}`;
+}
+
+function formatExplanation(result) {
+    const e = result.explanation;
+    const coin = result.symbol.replace('USDT', '');
+    if (!e) return `❌ Không có dữ liệu giải thích cho ${coin}: ${result.reason || 'No data'}`;
+
+    let text = `🧠 GIẢI THÍCH #${coin} — ${result.direction} (Conf: ${result.confidence}%)\n`;
+    text += `⚙️ Profile: ${e.profile}${e.stack ? ` · khung ${e.stack}` : ''} (confidence tối thiểu ${e.minConfidence}%${e.filters ? `, ${e.filters} bộ lọc chỉ báo` : ''})\n`;
+    if (result.reason) text += `ℹ️ ${result.reason}\n`;
+    if (e.regime) text += `🌡️ Regime: ${formatRegime(e.regime)} · ${e.regime.quoteVolume.toLocaleString('en-US')} USDT/giờ · cách POC ${e.regime.pocDistanceAtr} ATR\n`;
+
+    text += `\n📊 Từng khung thời gian:\n`;
+    for (const [tf, t] of Object.entries(e.timeframes)) {
+        const s = t.score;
+        const flags = [t.breakOfStructure ? 'BOS' : null, t.changeOfCharacter ? 'CHoCH' : null].filter(Boolean).join(', ') || '—';
+        text += `\n[${tf}] ${t.trend.toUpperCase()} | ${flags} | Vol Δ ${t.volumeDelta.toFixed(2)}x\n` +
+            `  OB ${t.orderBlocks} · FVG ${t.fairValueGaps} · Liq ${t.liquidityLevels}${formatUsedZones(t.zoneStats)}\n` +
+            `  Điểm ${s.total.toFixed(0)}/100 (x${s.weight}): trend ${s.trend}, BOS ${s.bos}, CHoCH ${s.choch}, vol ${fmt(s.volume)}, ` +
+            `OB ${s.orderBlocks}, FVG ${s.fairValueGaps}, liq ${s.liquidity + s.nearLiquidity}${s.indicators ? `, ind ${s.indicators}` : ''}\n`;
+        if (t.indicators) text += `  ${formatIndicators(t.indicators)}\n`;
+    }
+
+    if (e.confluence) {
+        text += `\n🔗 Confluence: ${e.confluence.bullishSignals} bullish / ${e.confluence.bearishSignals} bearish TF có OB cùng chiều → +${e.confluence.bonus}\n`;
+    }
+    text += `🧮 Tổng điểm: ${e.totalScore.toFixed(1)} / ${e.maxScore.toFixed(1)}\n`;
+
+    const contributions = e.biasContributions.map(c => `${c.tf} ${fmt(c.value, 2)}`).join(', ');
+    const threshold = e.biasThreshold.toFixed(2);
+    text += `\n🧭 Bias: ${fmt(e.bias, 2)} (${contributions}) — cần > +${threshold} cho LONG, < -${threshold} cho SHORT\n`;
+
+    if (e.entry) {
+        text += `\n🎯 Entry từ ${ENTRY_SOURCES[e.entry.source] || e.entry.source} trên ${e.primaryTf}`;
+        const z = e.entry.zone;
+        if (z && z.high !== undefined) text += ` (${z.type} ${fmtPrice(z.low)} - ${fmtPrice(z.high)}, ${z.status}, strength ${z.strength})`;
+        else if (z && z.price !== undefined) text += ` (${z.type} ${fmtPrice(z.price)})`;
+        text += `\n`;
+    }
+    return text;
+}
+
+module.exports = { formatExplanation };
@@ -3,10 +3,58 @@ const TelegramBot = require('node-telegram-bot-api');
 const moment = require('moment-timezone');
 const express = require('express');
 const { analyzeSymbol } = require('./analysis');
+const { TIMEFRAME_INTERVALS, DEFAULT_STACK, getStack, hasStack, listStacks, formatStack } = require('./timeframes');
+const { recordSignal, checkSignals, getSignals, loadSignals, isActive } = require('./tracker');
+const { createStorage } = require('./storage');
+const { classifySignal, applySignalUpdate, formatSignalUpdate, formatFlipNotice } = require('./registry');
+const { computeStats, getCalibration, formatStats, formatDailySummary, buildCsvReport, buildHtmlReport } = require('./stats');
+const { checkAdapters, getAdapters, isPaused, getRateLimitStatus } = require('./exchanges');
+const { getCandles, getCacheStats } = require('./candles');
+const { createKlineStream } = require('./stream');
+const { PRIORITY, scheduleJob, getJobQueueStats } = require('./scheduler');
+const {
+    getSettings, normalizeSymbol, parseQuietHours, parseMinConfidence, parseDirection,
+    parseBalance, parseRiskPercent, parseLeverage, parseContractSpecs,
+    isQuietTime, shouldReceiveSignal, formatSettings, formatAccount
+} = require('./settings');
+const { formatExplanation } = require('./explain');
+const { formatRegime } = require('./regime');
+const { getMarketContext, createCorrelationLimiter, applyMarketFilter, formatMarketLine } = require('./market');
+const { UNIVERSE_DEFAULTS, loadMarketSnapshot, buildUniverse, formatUniverse } = require('./universe');
+const { renderSignalChart } = require('./chart');
+const { getContractSpecs, calculatePositionSize, roundLevels, formatQty, formatPrice } = require('./sizing');
+const { loadStrategyConfig, watchStrategyConfig, listProfiles, hasProfile, resolveProfileName, getProfile } = require('./strategy');
+const {
+    getPaperAccount, isPaperEnabled, enablePaper, disablePaper, setPaperRisk, openPaperPosition,
+    markPaperPositions, getPaperAccounts, loadPaperAccounts,
+    formatPaperEvent, formatPaperStatus, formatPositions, formatPnl, formatJournal
+} = require('./paper');
+const {
+    getExecutionSettings, createUserClient, executeSignal, applyExecutionCommand,
+    addPendingExit, getPendingExits, loadPendingExits, checkPendingExits,
+    formatExecutionResult, formatExecutionSettings, formatPendingExitEvent
+} = require('./execution');
 
 // --- CẤU HÌNH ---
 const token = process.env.TELEGRAM_BOT_TOKEN || 'YOUR_TELEGRAM_BOT_TOKEN_HERE';
 
+// --- STRATEGY PROFILES ---
+// strategy.json (or STRATEGY_CONFIG); an invalid file stops startup, later edits are hot-reloaded
+try {
+    loadStrategyConfig();
+    watchStrategyConfig();
+    console.log(`🧩 Strategy profiles: ${listProfiles().join(', ')}`);
+} catch (e) {
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+}
+
+// --- LƯU TRỮ ---
+const storage = createStorage({
+    backend: process.env.STORAGE_BACKEND || 'file',
+    path: process.env.STORAGE_PATH || './data/bot-state.json'
+});
+
 // --- BOT POLLING ---
 const bot = new TelegramBot(token, {
     polling: {
@@ -26,31 +74,78 @@ bot.on("polling_error", (err) => {
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// TARGET_COINS - cập nhật theo yêu cầu
-const TARGET_COINS = [
+// --- QUYỀN ADMIN ---
+// ADMIN_IDS: Telegram user ids, comma separated
+const ADMIN_IDS = (process.env.ADMIN_IDS || '').split(',').map(s => s.trim()).filter(Boolean);
+if (ADMIN_IDS.length === 0) console.warn('⚠️ ADMIN_IDS is empty — admin commands are disabled for everyone.');
+
+// DEFAULT_TARGET_COINS - cập nhật theo yêu cầu (admins can edit the live list with /addcoin, /removecoin)
+const DEFAULT_TARGET_COINS = [
     'BTCUSDT', 'ETHUSDT', 'BNBUSDT', 'SOLUSDT', 'XRPUSDT',
     'ADAUSDT', 'AVAXUSDT', 'DOTUSDT', 'TRXUSDT', 'LINKUSDT',
-    'MATICUSDT', 'LTCUSDT', 'ATOMUSDT', 'ETCUSDT', 'XLMUSDT',
+    'POLUSDT', 'LTCUSDT', 'ATOMUSDT', 'ETCUSDT', 'XLMUSDT',
     'BCHUSDT', 'FILUSDT', 'ALGOUSDT', 'NEARUSDT', 'UNIUSDT',
     'DOGEUSDT', 'ZECUSDT', '1000PEPEUSDT', 'ZENUSDT', 'HYPEUSDT',
     'WIFUSDT', 'MEMEUSDT', 'BOMEUSDT', 'POPCATUSDT', 'MYROUSDT',
     'TOSHIUSDT', 'TURBOUSDT', 'NFPUSDT', 'PEOPLEUSDT', 'ARCUSDT',
     'BTCDOMUSDT', 'TRUMPUSDT', 'DASHUSDT', 'APTUSDT', 'ARBUSDT',
     'OPUSDT', 'SUIUSDT', 'SEIUSDT', 'TIAUSDT', 'INJUSDT',
-    'RNDRUSDT', 'FETUSDT', 'AGIXUSDT', 'OCEANUSDT', 'JASMYUSDT',
+    'RENDERUSDT', 'FETUSDT', 'JASMYUSDT',
     'GALAUSDT', 'SANDUSDT', 'MANAUSDT', 'ENJUSDT', 'CHZUSDT',
     'APEUSDT', 'GMTUSDT', 'LDOUSDT'
 ];
+const TARGET_COINS = [...storage.get('targetCoins', DEFAULT_TARGET_COINS)];
 
-// subscribedUsers map: chatId -> { userInfo, activatedAt }
-const subscribedUsers = new Map();
+// subscribedUsers map: chatId -> { userInfo, activatedAt, settings }
+const subscribedUsers = new Map(
+    storage.get('subscribers', []).map(([chatId, data]) => [chatId, { ...data, activatedAt: new Date(data.activatedAt) }])
+);
 
 // --- TRẠNG THÁI ---
-let signalCountToday = 0;
+const savedState = storage.get('state', {});
+let signalCountToday = savedState.signalCountDate === getTradingDay() ? (savedState.signalCountToday || 0) : 0;
 let isAutoAnalysisRunning = false;
+let isAutoAnalysisPaused = savedState.autoAnalysisPaused === true;
 let consecutiveErrors = 0;
 const MAX_CONSECUTIVE_ERRORS = 5;
 
+loadSignals(storage.get('signals', []));
+loadPaperAccounts(storage.get('paperAccounts', []));
+loadPendingExits(storage.get('pendingExits', []));
+console.log(`💾 Storage ${storage.backend}: ${subscribedUsers.size} subscribers, ${getSignals().length} signals, ${getPaperAccounts().length} paper accounts restored`);
+
+function saveSubscribers() {
+    storage.set('subscribers', [...subscribedUsers.entries()]);
+}
+
+function saveState() {
+    storage.set('state', { signalCountToday, signalCountDate: getTradingDay(), autoAnalysisPaused: isAutoAnalysisPaused });
+}
+
+function saveTargetCoins() {
+    storage.set('targetCoins', TARGET_COINS);
+}
+
+function saveSignals() {
+    storage.set('signals', getSignals());
+}
+
+function savePaperAccounts() {
+    storage.set('paperAccounts', getPaperAccounts());
+}
+
+function savePendingExits() {
+    storage.set('pendingExits', getPendingExits());
+}
+
+// flush pending writes before the process goes away (redeploys send SIGTERM)
+for (const sig of ['SIGINT', 'SIGTERM']) {
+    process.on(sig, () => {
+        storage.flush();
+        process.exit(0);
+    });
+}
+
 // --- SERVER EXPRESS (KEEP-ALIVE) ---
 app.get('/', (req, res) => {
     res.json({
@@ -65,10 +160,19 @@ app.get('/health', (req, res) => {
         status: 'healthy',
         uptime: process.uptime(),
         users: subscribedUsers.size,
-        signals: signalCountToday
+        signals: signalCountToday,
+        candleCache: getCacheStats(),
+        jobs: getJobQueueStats(),
+        rateLimits: getRateLimitStatus(),
+        stream: klineStream ? klineStream.status : null
     });
 });
 
+// exchange adapter health (hits every enabled source once)
+app.get('/health/sources', async (req, res) => {
+    res.json({ sources: await checkAdapters() });
+});
+
 app.listen(PORT, () => {
     console.log(`🚀 Server is running on port ${PORT}`);
 });
@@ -78,6 +182,16 @@ function getVietnamTime() {
     return moment().tz("Asia/Ho_Chi_Minh");
 }
 
+// trading day rolls over at 04:00 VN time, same as the daily counter reset
+function getTradingDay() {
+    return getVietnamTime().subtract(4, 'hours').format('YYYY-MM-DD');
+}
+
+// timestamp at which a trading day (YYYY-MM-DD) starts
+function tradingDayStart(day = getTradingDay()) {
+    return moment.tz(`${day} 04:00`, 'YYYY-MM-DD HH:mm', 'Asia/Ho_Chi_Minh').valueOf();
+}
+
 function fmtNumForMsg(num) {
     if (num === undefined || num === null) return 'N/A';
     const n = parseFloat(num);
@@ -85,26 +199,82 @@ function fmtNumForMsg(num) {
     return n > 10 ? n.toFixed(2) : n.toFixed(4);
 }
 
-function formatSignalMessage(data, signalIndex) {
+// sizing (optional): { position, specs } from buildUserSizing — prices are then rounded to the contract tick
+function formatSignalMessage(data, signalIndex, sizing) {
     const icon = data.direction === 'LONG' ? '🟢' : '🔴';
-    const base = `🤖 Tín hiệu [${signalIndex} trong ngày]\n#${data.symbol.replace('USDT','')} – [${data.direction}] 📌\n\n` +
-        `${icon} Entry: ${fmtNumForMsg(data.entry)}\n` +
-        `🆗 Take Profit: ${fmtNumForMsg(data.tp)}\n` +
-        `🙅‍♂️ Stop-Loss: ${fmtNumForMsg(data.sl)}\n` +
-        `🪙 Tỉ lệ RR: ${data.rr} (Conf: ${data.confidence}%)\n\n` +
-        `⚠️ Tuân thủ quản lý rủi ro – Đi tối đa 1-2% risk. Bot chỉ để tham khảo.`;
+    const levels = sizing ? roundLevels(data, sizing.specs) : data;
+    const price = v => sizing ? formatPrice(v, sizing.specs) : fmtNumForMsg(v);
+    let base = `🤖 Tín hiệu [${signalIndex} trong ngày]\n#${data.symbol.replace('USDT','')} – [${data.direction}] 📌\n\n` +
+        `${icon} Entry: ${price(levels.entry)}\n`;
+    if (levels.targets && levels.targets.length > 0) {
+        levels.targets.forEach((t, i) => {
+            base += `🆗 TP${i + 1}: ${price(t.price)} (${t.rr}R) – chốt ${t.closePercent}%\n`;
+        });
+    } else {
+        base += `🆗 Take Profit: ${price(levels.tp)}\n`;
+    }
+    base += `🙅‍♂️ Stop-Loss: ${price(levels.sl)}\n` +
+        `🪙 Tỉ lệ RR: ${data.rr} (Conf: ${data.confidence}%)\n`;
+    const calibration = getCalibration(getSignals(), data.confidence);
+    if (calibration) base += `📏 Thực tế nhóm ${calibration.label}: thắng ${calibration.winRate.toFixed(0)}% / ${calibration.trades} lệnh (TB ${calibration.avgR >= 0 ? '+' : ''}${calibration.avgR.toFixed(2)}R)\n`;
+    if (data.flipOf) base += `🔄 Đảo chiều: ngược với tín hiệu ${data.flipOf.direction} #${data.flipOf.id} còn đang mở\n`;
+    if (data.profile && data.profile !== resolveProfileName()) base += `🧩 Profile: ${data.profile}\n`;
+    if (data.stack && data.stack !== DEFAULT_STACK) base += `🕰️ Khung: ${formatStack(getStack(data.stack))}\n`;
+    if (data.regime) base += `🌡️ Regime: ${formatRegime(data.regime)}\n`;
+    const marketLine = formatMarketLine(data.market);
+    if (marketLine) base += `${marketLine}\n`;
+    if (data.breakeven) base += `🔒 Dời SL về Entry khi chạm ${data.breakeven.after}\n`;
+    if (data.trailing) base += `🧵 Trailing: sau ${data.trailing.activateAfter}, kéo SL cách giá ${data.trailing.atrMultiplier}×ATR (≈ ${price(parseFloat(data.trailing.distance))})\n`;
+    base += `\n`;
+    if (sizing) {
+        const pos = sizing.position;
+        const coin = data.symbol.replace('USDT','');
+        base += `💼 Khối lượng: ${formatQty(pos.qty, sizing.specs)} ${coin} (~${pos.notional.toFixed(2)} USDT)\n` +
+            `🏦 Margin x${pos.leverage}: ${pos.margin.toFixed(2)} USDT | Rủi ro: ${pos.riskAmount.toFixed(2)} USDT\n` +
+            `☠️ Giá thanh lý ước tính: ${pos.liquidationPrice !== null ? price(pos.liquidationPrice) : 'N/A'}\n`;
+        for (const w of pos.warnings) base += `⚠️ ${w}\n`;
+        base += `\n`;
+    }
+    base += `⚠️ Tuân thủ quản lý rủi ro – Đi tối đa 1-2% risk. Bot chỉ để tham khảo.`;
     return base;
 }
 
+// position size for one user's account; specs: exchange specs, overridden by the user's own
+function buildUserSizing(result, userData, exchangeSpecs) {
+    const settings = getSettings(userData);
+    const specs = { ...exchangeSpecs, ...settings.contractSpecs[result.symbol] };
+    const levels = roundLevels(result, specs);
+    const position = calculatePositionSize(settings.account, specs, levels.entry, levels.sl, result.direction);
+    return { position, specs };
+}
+
+function formatOutcomeMessage(record) {
+    const tag = `#${record.symbol.replace('USDT','')} ${record.direction}`;
+    const r = `${record.r >= 0 ? '+' : ''}${record.r.toFixed(2)}R`;
+    const after = record.targetsHit ? ` sau TP${record.targetsHit}` : '';
+    if (record.status === 'TP') return `✅ ${tag} — Chạm ${record.exitType || 'Take Profit'} ${fmtNumForMsg(record.exitPrice)}, đóng hết (${r})`;
+    if (record.exitType === 'BE') return `🔒 ${tag} — Về Entry${after}, đóng phần còn lại (${r})`;
+    if (record.exitType === 'TRAIL') return `🧵 ${tag} — Chạm trailing stop ${fmtNumForMsg(record.exitPrice)}${after} (${r})`;
+    if (record.status === 'SL') return `❌ ${tag} — Chạm Stop-Loss ${fmtNumForMsg(record.sl)}${after} (${r})`;
+    if (!record.filled) return `⌛ ${tag} — Hết hạn, Entry ${fmtNumForMsg(record.entry)} không khớp`;
+    return `⌛ ${tag} — Hết thời gian giữ lệnh, đóng tại ${fmtNumForMsg(record.exitPrice)} (${r})`;
+}
+
 // Broadcast with retries and prune blocked users
-async function broadcastToAllUsers(message) {
+// message may be a function (chatId, userData) -> text for per-user content
+// filter(chatId, userData) limits the recipients; returns sent message ids so follow-ups can reply to the original signal
+async function broadcastToAllUsers(message, filter) {
     let success = 0, fail = 0;
+    const messages = [];
     for (const [chatId, userData] of subscribedUsers) {
+        if (filter && !filter(chatId, userData)) continue;
         let sent = false;
         let retries = 0;
         while (!sent && retries < 3) {
             try {
-                await bot.sendMessage(chatId, message);
+                const text = typeof message === 'function' ? message(chatId, userData) : message;
+                const sentMsg = await bot.sendMessage(chatId, text);
+                messages.push({ chatId, messageId: sentMsg.message_id });
                 success++;
                 sent = true;
                 // small delay
@@ -115,6 +285,7 @@ async function broadcastToAllUsers(message) {
                 if (e.response && (e.response.statusCode === 403 || e.response.statusCode === 410)) {
                     // user blocked or chat not found - remove
                     subscribedUsers.delete(chatId);
+                    saveSubscribers();
                     console.log(`Removed blocked user ${chatId}`);
                     sent = true; // stop retrying for this user
                     fail++;
@@ -129,11 +300,333 @@ async function broadcastToAllUsers(message) {
         }
     }
     console.log(`📤 Broadcast result: success=${success}, fail=${fail}`);
-    return { success, fail };
+    return { success, fail, messages };
+}
+
+// --- CHARTS ---
+const CHARTS_ENABLED = process.env.CHARTS !== 'off';
+
+// PNG of the signal's primary timeframe (or tfLabel), null when candles can't be loaded
+async function buildChart(symbol, tfLabel, levels) {
+    const label = TIMEFRAME_INTERVALS[tfLabel] ? tfLabel : getStack(DEFAULT_STACK).structure;
+    const tf = { label, interval: TIMEFRAME_INTERVALS[label] };
+    try {
+        const candles = await getCandles(symbol, tf.interval, 300);
+        return renderSignalChart({ symbol, timeframe: tf.label, candles, levels });
+    } catch (e) {
+        console.warn(`Chart ${symbol} ${tf.label} failed: ${e.message || e}`);
+        return null;
+    }
+}
+
+function buildSignalChart(result) {
+    if (!CHARTS_ENABLED) return Promise.resolve(null);
+    return buildChart(result.symbol, result.explanation && result.explanation.primaryTf, result);
+}
+
+async function sendChart(chatId, png, options = {}) {
+    try {
+        await bot.sendPhoto(chatId, png, options, { filename: 'chart.png', contentType: 'image/png' });
+    } catch (e) {
+        console.warn(`Failed to send chart to ${chatId}: ${e.message}`);
+    }
+}
+
+// --- PAPER TRADING ---
+// place the signal into the user's paper account (if enabled) and say so under the signal message
+async function executePaperSignal(chatId, result, specs, replyTo) {
+    if (!isPaperEnabled(chatId)) return;
+    const { position, error } = openPaperPosition(chatId, roundLevels(result, specs), specs);
+    savePaperAccounts();
+    const text = position
+        ? `🧪 Paper #${position.id}: đặt lệnh chờ ${formatQty(position.qty, specs)} ${result.symbol.replace('USDT', '')} @ ${formatPrice(position.entry, specs)}`
+        : `🧪 Paper: bỏ qua tín hiệu — ${error}`;
+    try {
+        await bot.sendMessage(chatId, text, { reply_to_message_id: replyTo });
+    } catch (e) {
+        console.warn(`Failed to send paper update to ${chatId}: ${e.message}`);
+    }
+}
+
+// --- ORDER EXECUTION ---
+// send the signal to the user's exchange account (dry-run unless they switched to live) and report under the signal
+async function executeExchangeSignal(chatId, result, sizing, replyTo) {
+    const execution = getExecutionSettings(subscribedUsers.get(chatId));
+    if (!execution.enabled) return;
+    let text;
+    try {
+        const outcome = await executeSignal(createUserClient(execution), roundLevels(result, sizing.specs), sizing, execution);
+        if (outcome.pending) {
+            addPendingExit(chatId, outcome.pending, replyTo);
+            savePendingExits();
+        }
+        text = formatExecutionResult(outcome, v => formatPrice(v, sizing.specs));
+        if (!outcome.dryRun) console.log(`⚡ Execution ${result.symbol} for ${chatId}: ${outcome.placed.length} orders, ${outcome.errors.length} errors`);
+    } catch (e) {
+        text = `⚡ Execution: ❌ ${e.message || e}`;
+    }
+    try {
+        await bot.sendMessage(chatId, text, { reply_to_message_id: replyTo });
+    } catch (e) {
+        console.warn(`Failed to send execution update to ${chatId}: ${e.message}`);
+    }
+}
+
+// place the TP ladder of live executions whose entry has filled
+async function checkExecutions() {
+    if (getPendingExits().length === 0) return;
+    const events = await checkPendingExits(chatId => createUserClient(getExecutionSettings(subscribedUsers.get(chatId))));
+    if (events.length === 0) return;
+    savePendingExits();
+    for (const event of events) {
+        console.log(`⚡ Execution ${event.pending.symbol} for ${event.chatId}: ${event.type}, ${event.placed.length} orders, ${event.errors.length} errors`);
+        try {
+            await bot.sendMessage(event.chatId, formatPendingExitEvent(event), { reply_to_message_id: event.pending.replyTo });
+        } catch (e) {
+            console.warn(`Failed to send execution update to ${event.chatId}: ${e.message}`);
+        }
+    }
+}
+
+async function checkPaperPositions() {
+    let events;
+    try {
+        events = await markPaperPositions();
+    } catch (e) {
+        console.error('💥 Paper trading error:', e.message || e);
+        return;
+    }
+    savePaperAccounts();
+    for (const { chatId, position, event } of events) {
+        try {
+            await bot.sendMessage(chatId, formatPaperEvent(position, event));
+        } catch (e) {
+            console.warn(`Failed to send paper event to ${chatId}: ${e.message}`);
+        }
+        await new Promise(r => setTimeout(r, 120));
+    }
+}
+
+// --- SIGNAL FOLLOW-UPS ---
+// replies under every copy of a tracked signal
+async function replyToSignal(record, text) {
+    for (const { chatId, messageId } of record.messages) {
+        try {
+            await bot.sendMessage(chatId, text, { reply_to_message_id: messageId });
+        } catch (e) {
+            console.warn(`Failed to send follow-up for #${record.id} to ${chatId}: ${e.message}`);
+        }
+        await new Promise(r => setTimeout(r, 120));
+    }
+}
+
+async function checkTrackedSignals() {
+    let resolved;
+    try {
+        resolved = await checkSignals();
+    } catch (e) {
+        console.error('💥 Signal tracker error:', e.message || e);
+        return;
+    }
+    saveSignals();
+    for (const record of resolved) {
+        const text = formatOutcomeMessage(record);
+        console.log(`📌 Signal #${record.id} ${record.symbol} resolved: ${record.status} (${record.r.toFixed(2)}R)`);
+        await replyToSignal(record, text);
+    }
 }
 
 // --- AUTO ANALYSIS ---
+// subscribers outside their own quiet hours (default 23:30 - 04:00)
+function getActiveSubscriberCount(now) {
+    let count = 0;
+    for (const userData of subscribedUsers.values()) {
+        if (!isQuietTime(getSettings(userData), now)) count++;
+    }
+    return count;
+}
+
+// strategy profiles subscribers are using (each one is scanned separately)
+function getActiveProfiles() {
+    const profiles = new Set();
+    for (const userData of subscribedUsers.values()) {
+        profiles.add(resolveProfileName(getSettings(userData).profile));
+    }
+    return [...profiles];
+}
+
+// --- SCAN UNIVERSE ---
+// By default TARGET_COINS are scanned as-is. With UNIVERSE=on the list is rebuilt from the exchange every cycle:
+// TARGET_COINS stay pinned (while tradable) and the best ranked contracts fill up to UNIVERSE_SIZE.
+// UNIVERSE_SIZE caps the whole list, pinned coins included; pinned coins past it are logged and not scanned.
+// Unset values fall back to UNIVERSE_DEFAULTS (universe.js).
+const UNIVERSE_ENABLED = process.env.UNIVERSE === 'on';
+const UNIVERSE_OPTIONS = {
+    maxSize: parseInt(process.env.UNIVERSE_SIZE, 10) || UNIVERSE_DEFAULTS.maxSize,
+    minSize: parseInt(process.env.UNIVERSE_MIN_SIZE, 10) || UNIVERSE_DEFAULTS.minSize,
+    minQuoteVolume: parseFloat(process.env.UNIVERSE_MIN_VOLUME) || UNIVERSE_DEFAULTS.minQuoteVolume,
+    maxSpreadBps: parseFloat(process.env.UNIVERSE_MAX_SPREAD_BPS) || UNIVERSE_DEFAULTS.maxSpreadBps
+};
+let currentUniverse = null;
+
+// keeps the previous universe (or TARGET_COINS) when the exchange can't be reached
+async function refreshUniverse() {
+    if (!UNIVERSE_ENABLED) return;
+    try {
+        const contracts = await loadMarketSnapshot();
+        const previous = getScanList().join(',');
+        currentUniverse = buildUniverse(contracts, TARGET_COINS, UNIVERSE_OPTIONS);
+        console.log(`🌐 Universe: ${currentUniverse.symbols.length} coins (${contracts.length} contracts)`);
+        if (currentUniverse.dropped.length > 0) {
+            console.log(`🗑️ Not tradable, skipped: ${currentUniverse.dropped.map(d => `${d.symbol} (${d.reason})`).join(', ')}`);
+        }
+        if (currentUniverse.overflow.length > 0) {
+            console.warn(`✂️ ${currentUniverse.overflow.length} pinned coins exceed UNIVERSE_SIZE=${UNIVERSE_OPTIONS.maxSize}, not scanned: ${currentUniverse.overflow.join(', ')}`);
+        }
+        if (previous !== getScanList().join(',')) startStream();
+    } catch (e) {
+        console.warn(`⚠️ Universe refresh failed, keeping ${currentUniverse ? 'previous universe' : 'TARGET_COINS'}: ${e.message || e}`);
+    }
+}
+
+// coins analyzed for everyone (users without a watchlist get signals for these)
+function getUniverseSymbols() {
+    return currentUniverse ? currentUniverse.symbols : TARGET_COINS;
+}
+
+// universe plus every coin somebody put on their watchlist
+function getScanList() {
+    const coins = new Set(getUniverseSymbols());
+    for (const userData of subscribedUsers.values()) {
+        getSettings(userData).watchlist.forEach(c => coins.add(c));
+    }
+    return [...coins];
+}
+
+// the bar analysis applied (profile minConfidence + regime adjustment); checked again after a market downgrade
+function isTradeSignal(result) {
+    if (!result || !result.direction || result.direction === 'NO_TRADE' || result.direction === 'NEUTRAL') return false;
+    const conf = result.confidence || 0;
+    const minConfidence = result.explanation?.minConfidence ?? getProfile(result.profile).minConfidence;
+    return conf >= minConfidence && conf <= 100;
+}
+
+// repeats of a signal within SIGNAL_COOLDOWN_HOURS become replies under it or are dropped (registry.js)
+const REGISTRY_OPTIONS = { cooldownMs: (parseFloat(process.env.SIGNAL_COOLDOWN_HOURS) || 4) * 60 * 60 * 1000 };
+// profile:symbol:direction keys between the registry check and recordSignal (scan and stream can overlap)
+const emittingSignals = new Set();
+
+// count, broadcast and start tracking an automatically found signal; false when the registry
+// turned it into an update of an earlier signal or dropped it, or the correlation cap is full.
+// limiter: the cycle's correlation limiter — a slot is only taken for signals that are sent
+async function emitAutoSignal(result, limiter) {
+    const key = `${result.profile}:${result.symbol}:${result.direction}`;
+    if (emittingSignals.has(key)) {
+        console.log(`🔁 ${result.symbol} ${result.direction} [${result.profile}] not sent: already being sent`);
+        return false;
+    }
+    const decision = classifySignal(result, getSignals(), Date.now(), REGISTRY_OPTIONS);
+    if (decision.action === 'repeat' || decision.action === 'cooldown') {
+        console.log(`🔁 ${result.symbol} ${result.direction} [${result.profile}] not sent: ${decision.reason}`);
+        return false;
+    }
+    if (decision.action === 'update') {
+        const update = applySignalUpdate(decision.original, result);
+        saveSignals();
+        console.log(`🔁 ${result.symbol} ${result.direction} [${result.profile}] ${decision.reason}`);
+        await replyToSignal(decision.original, formatSignalUpdate(decision.original, update, fmtNumForMsg));
+        return false;
+    }
+    if (decision.action === 'flip') {
+        result = { ...result, flipOf: { id: decision.original.id, direction: decision.original.direction } };
+        console.log(`🔄 ${result.symbol} ${result.direction} ${decision.reason}`);
+    }
+    const market = getProfile(result.profile).market;
+    if (limiter && result.market && !limiter.take(result, result.market, market)) {
+        console.log(`🚫 ${result.symbol} ${result.direction} [${result.profile}] held back: already ${market.maxCorrelatedPerCycle} correlated ${result.direction} signals this cycle`);
+        return false;
+    }
+
+    emittingSignals.add(key);
+    try {
+        await sendAutoSignal(result);
+    } finally {
+        emittingSignals.delete(key);
+    }
+    if (decision.action === 'flip') await replyToSignal(decision.original, formatFlipNotice(decision.original, result));
+    return true;
+}
+
+async function sendAutoSignal(result) {
+    signalCountToday++;
+    saveState();
+    const signalIndex = signalCountToday;
+    const specs = await getContractSpecs(result.symbol);
+    const msg = (chatId, userData) => formatSignalMessage(result, signalIndex, buildUserSizing(result, userData, specs));
+    console.log(`✅ Signal: ${result.symbol} ${result.direction} conf=${result.confidence}%`);
+    const now = getVietnamTime();
+    const sent = await broadcastToAllUsers(msg, (chatId, userData) => shouldReceiveSignal(getSettings(userData), result, now, getUniverseSymbols()));
+    recordSignal(result, 'AUTO', sent.messages);
+    saveSignals();
+    for (const { chatId, messageId } of sent.messages) {
+        await executePaperSignal(chatId, result, specs, messageId);
+        await executeExchangeSignal(chatId, result, buildUserSizing(result, subscribedUsers.get(chatId), specs), messageId);
+    }
+
+    const png = sent.messages.length > 0 ? await buildSignalChart(result) : null;
+    if (!png) return;
+    for (const { chatId, messageId } of sent.messages) {
+        await sendChart(chatId, png, { reply_to_message_id: messageId });
+        await new Promise(r => setTimeout(r, 120));
+    }
+}
+
+// BTC correlation / bias check before a signal goes out; null when it is held back
+async function filterByMarket(result, limiter, context) {
+    const { result: adjusted, fit } = await applyMarketFilter(result, limiter, context);
+    if (!adjusted) {
+        console.log(`🚫 ${result.symbol} ${result.direction} [${result.profile}] held back: ${fit.reason}`);
+        return null;
+    }
+    if (fit.action === 'downgrade') console.log(`↘️ ${result.symbol} ${result.direction} downgraded: ${fit.reason}`);
+    return isTradeSignal(adjusted) ? adjusted : null;
+}
+
+// every candle source is backing off from a 418/429 — further requests would only fail
+function allSourcesRateLimited() {
+    const adapters = getAdapters();
+    return adapters.length > 0 && adapters.every(a => isPaused(a.id));
+}
+
+function tripCircuitBreaker() {
+    console.log('🔌 Circuit breaker triggered. Cooling down 10 minutes...');
+    setTimeout(() => {
+        consecutiveErrors = 0;
+        console.log('🔋 Circuit breaker reset');
+    }, 10 * 60 * 1000);
+}
+
+// every profile for one coin -> trade-grade results (before the BTC/market check)
+async function scanCoin(coin, profiles) {
+    const candidates = [];
+    for (const profile of profiles) {
+        const result = await analyzeSymbol(coin, profile);
+        if (result && result.direction && result.direction !== 'NO_TRADE' && result.direction !== 'NEUTRAL') {
+            if (isTradeSignal(result)) candidates.push(result);
+            else console.log(`⏭️ Skip ${coin} [${profile}]: confidence ${result.confidence || 0}%`);
+        } else {
+            console.log(`➖ No signal for ${coin} [${profile}]: ${result?.direction || result?.reason || 'NO_TRADE'}`);
+        }
+    }
+    return candidates;
+}
+
 async function runAutoAnalysis() {
+    if (isAutoAnalysisPaused) {
+        console.log('⏸️ Auto analysis paused by admin. Skipping.');
+        return;
+    }
+
     if (isAutoAnalysisRunning) {
         console.log('⏳ Auto analysis already running, skipping this cycle.');
         return;
@@ -146,75 +639,65 @@ async function runAutoAnalysis() {
     }
 
     const now = getVietnamTime();
-    const hour = now.hours();
-    const minute = now.minutes();
-
-    // keep same operating hours 04:00 - 23:30
-    if (hour < 4 || (hour === 23 && minute > 30)) {
-        console.log('💤 Out of operating hours (04:00 - 23:30). Skipping.');
+    if (subscribedUsers.size === 0) {
+        console.log('👥 No subscribers. Skipping auto analysis.');
         return;
     }
 
-    if (subscribedUsers.size === 0) {
-        console.log('👥 No subscribers. Skipping auto analysis.');
+    if (getActiveSubscriberCount(now) === 0) {
+        console.log('💤 All subscribers are in their quiet hours. Skipping.');
         return;
     }
 
     isAutoAnalysisRunning = true;
-    console.log(`🔄 Starting Auto Analysis at ${now.format('HH:mm')} - ${subscribedUsers.size} users`);
+    await refreshUniverse();
+    const scanList = getScanList();
+    const profiles = getActiveProfiles();
+    console.log(`🔄 Starting Auto Analysis at ${now.format('HH:mm')} - ${subscribedUsers.size} users, ${scanList.length} coins, profiles: ${profiles.join(', ')}`);
 
+    const startedAt = Date.now();
     let signalsFound = 0;
     let analyzedCount = 0;
 
     try {
-        for (const coin of TARGET_COINS) {
-            analyzedCount++;
-            // polite dynamic delay to avoid rate-limits
-            const delayMs = 8000 + (Math.floor(analyzedCount / 10) * 1000) + Math.random() * 2000;
-            await new Promise(r => setTimeout(r, delayMs));
+        // market context first: BTC bias per profile, refreshed every cycle
+        const contexts = {};
+        for (const profile of profiles) contexts[profile] = await getMarketContext(profile, 0);
+        const limiter = createCorrelationLimiter();
 
-            try {
-                console.log(`🔍 Analyzing ${coin} (${analyzedCount}/${TARGET_COINS.length})`);
-                const result = await analyzeSymbol(coin);
-
-                if (result && result.direction && result.direction !== 'NO_TRADE' && result.direction !== 'NEUTRAL') {
-                    const conf = result.confidence || 0;
-                    if (conf >= 60 && conf <= 100) {
-                        signalCountToday++;
-                        signalsFound++;
-                        const msg = formatSignalMessage(result, signalCountToday);
-                        console.log(`✅ Signal: ${coin} ${result.direction} conf=${conf}%`);
-                        await broadcastToAllUsers(msg);
-                        // small delay after sending
-                        await new Promise(r => setTimeout(r, 2500));
-                    } else {
-                        console.log(`⏭️ Skip ${coin}: confidence ${conf}%`);
-                    }
-                } else {
-                    console.log(`➖ No signal for ${coin}: ${result?.direction || result?.reason || 'NO_TRADE'}`);
-                }
-            } catch (coinErr) {
-                console.error(`❌ Error analyzing ${coin}:`, coinErr.message || coinErr);
-                const m = String(coinErr.message || coinErr);
-                if (m.includes('418') || m.includes('429')) {
-                    consecutiveErrors++;
-                    console.log(`🚨 Consecutive errors: ${consecutiveErrors}/${MAX_CONSECUTIVE_ERRORS}`);
-                    if (consecutiveErrors >= MAX_CONSECUTIVE_ERRORS) {
-                        console.log('🔌 Circuit breaker triggered. Cooling down 10 minutes...');
-                        setTimeout(() => {
-                            consecutiveErrors = 0;
-                            console.log('🔋 Circuit breaker reset');
-                        }, 10 * 60 * 1000);
-                        break;
-                    }
-                } else {
-                    // reset on other errors
-                    consecutiveErrors = 0;
+        // coins are analyzed in parallel through the job queue; signals go out one at a time as coins finish
+        let emitting = Promise.resolve();
+        const emitCandidates = async (coin, candidates) => {
+            for (const result of candidates) {
+                try {
+                    const filtered = await filterByMarket(result, limiter, contexts[result.profile]);
+                    if (!filtered) continue;
+                    if (await emitAutoSignal(filtered, limiter)) signalsFound++;
+                } catch (e) {
+                    console.error(`❌ Error sending ${coin} signal:`, e.message || e);
                 }
             }
-        }
+        };
+
+        await Promise.all(scanList.map(coin => scheduleJob(async () => {
+            if (consecutiveErrors >= MAX_CONSECUTIVE_ERRORS) return;
+            if (allSourcesRateLimited()) {
+                consecutiveErrors++;
+                console.log(`🚨 All sources rate limited, skipping ${coin} (${consecutiveErrors}/${MAX_CONSECUTIVE_ERRORS})`);
+                if (consecutiveErrors === MAX_CONSECUTIVE_ERRORS) tripCircuitBreaker();
+                return;
+            }
+            consecutiveErrors = 0;
+            analyzedCount++;
+            console.log(`🔍 Analyzing ${coin} (${analyzedCount}/${scanList.length})`);
+            const candidates = await scanCoin(coin, profiles);
+            if (candidates.length > 0) emitting = emitting.then(() => emitCandidates(coin, candidates));
+        }, PRIORITY.scan).catch(coinErr => {
+            console.error(`❌ Error analyzing ${coin}:`, coinErr.message || coinErr);
+        })));
+        await emitting;
 
-        console.log(`🎯 Auto analysis finished — signalsFound=${signalsFound}`);
+        console.log(`🎯 Auto analysis finished in ${((Date.now() - startedAt) / 1000).toFixed(1)}s — analyzed=${analyzedCount}/${scanList.length} signalsFound=${signalsFound}`);
 
     } catch (err) {
         console.error('💥 Critical error in runAutoAnalysis:', err);
@@ -223,25 +706,88 @@ async function runAutoAnalysis() {
     }
 }
 
-// Reset daily count & morning greeting at 04:00
-function checkDailyGreeting() {
+// Reset daily count & send the summary of the trading day that just ended at 04:00
+function checkDailySummary() {
     const now = getVietnamTime();
     if (now.hours() === 4 && now.minutes() === 0) {
         signalCountToday = 0;
-        const greeting = "🌞 Chào ngày mới! AI Trading Bot sẵn sàng săn cơ hội. Chúc 1 ngày thắng lợi!";
-        broadcastToAllUsers(greeting);
-        console.log('🌞 Sent morning greeting and reset counters');
+        saveState();
+        const today = getTradingDay();
+        const yesterday = moment(today, 'YYYY-MM-DD').subtract(1, 'day').format('YYYY-MM-DD');
+        const stats = computeStats(getSignals(), tradingDayStart(yesterday), tradingDayStart(today));
+        broadcastToAllUsers(formatDailySummary(stats, moment(yesterday, 'YYYY-MM-DD').format('DD/MM')));
+        console.log(`🌙 Sent daily summary for ${yesterday} (${stats.issued} signals) and reset counters`);
     }
 }
 
+// --- STREAMING MODE ---
+// STREAMING=true re-evaluates a coin whenever its 15M or H1 candle closes (on top of the 2h scan)
+const STREAMING = process.env.STREAMING === 'true';
+const STREAM_EVAL_INTERVALS = ['15m', '1h'];
+const streamEvaluating = new Set();
+// correlated-signal cap for stream-triggered signals, counted per hour
+const streamLimiter = createCorrelationLimiter(60 * 60 * 1000);
+let klineStream = null;
+
+async function onStreamCandleClose(symbol, interval) {
+    // 15M and H1 close together on the hour — evaluate once
+    if (streamEvaluating.has(symbol) || isAutoAnalysisPaused) return;
+    if (consecutiveErrors >= MAX_CONSECUTIVE_ERRORS) return;
+    if (getActiveSubscriberCount(getVietnamTime()) === 0) return;
+
+    streamEvaluating.add(symbol);
+    try {
+        for (const profile of getActiveProfiles()) {
+            const result = await scheduleJob(() => analyzeSymbol(symbol, profile), PRIORITY.stream);
+            if (isTradeSignal(result)) {
+                const filtered = await filterByMarket(result, streamLimiter);
+                if (!filtered) continue;
+                console.log(`📡 ${symbol} ${interval} close triggered a signal [${profile}]`);
+                await emitAutoSignal(filtered, streamLimiter);
+            }
+        }
+    } finally {
+        streamEvaluating.delete(symbol);
+    }
+}
+
+// (re)subscribe to the current scan list, e.g. after an admin edits TARGET_COINS
+function startStream() {
+    if (!STREAMING) return;
+    if (klineStream) klineStream.stop();
+    klineStream = createKlineStream({ symbols: getScanList(), intervals: STREAM_EVAL_INTERVALS, onCandleClose: onStreamCandleClose });
+    klineStream.start();
+}
+
+startStream();
+
 // Scheduling
 const ANALYSIS_INTERVAL = 2 * 60 * 60 * 1000; // 2 hours
 setInterval(runAutoAnalysis, ANALYSIS_INTERVAL);
-setInterval(checkDailyGreeting, 60 * 1000);
+setInterval(checkDailySummary, 60 * 1000);
+setInterval(checkTrackedSignals, 5 * 60 * 1000);
+setInterval(checkPaperPositions, 5 * 60 * 1000);
+setInterval(checkExecutions, 60 * 1000);
 setTimeout(() => { runAutoAnalysis(); }, 10000);
 
 // --- BOT COMMANDS ---
 
+function isAdmin(msg) {
+    return !!msg.from && ADMIN_IDS.includes(String(msg.from.id));
+}
+
+// wraps a command handler so non-admins get a clear refusal
+function adminOnly(handler) {
+    return (msg, match) => {
+        if (!isAdmin(msg)) {
+            console.log(`⛔ Non-admin ${msg.from ? msg.from.id : '?'} tried ${msg.text}`);
+            bot.sendMessage(msg.chat.id, '⛔ Lệnh này chỉ dành cho admin.');
+            return;
+        }
+        return handler(msg, match);
+    };
+}
+
 // /start - đăng ký nhận tin (không cần key)
 bot.onText(/\/start/, (msg) => {
     const chatId = msg.chat.id;
@@ -254,13 +800,16 @@ bot.onText(/\/start/, (msg) => {
         last_name: user.last_name || null
     };
 
+    const existing = subscribedUsers.get(chatId);
     const userData = {
         userInfo,
-        activatedAt: new Date()
+        activatedAt: existing ? existing.activatedAt : new Date(),
+        settings: existing ? existing.settings : undefined
     };
     subscribedUsers.set(chatId, userData);
+    saveSubscribers();
 
-    const welcomeMsg = `👋 Chào ${user.first_name || 'Trader'}!\nBạn đã được đăng ký nhận tín hiệu tự động từ AI Trading Bot.\n\nCác lệnh hỗ trợ:\n/analyzesymbol <SYMBOL>\n/analyzeall\n/users\n/stop\n/ping\n\n⚠️ Bot chỉ gửi tín hiệu tham khảo — luôn tuân thủ quản lý rủi ro.`;
+    const welcomeMsg = `👋 Chào ${user.first_name || 'Trader'}!\nBạn đã được đăng ký nhận tín hiệu tự động từ AI Trading Bot.\n\nCác lệnh hỗ trợ:\n/analyzesymbol <SYMBOL> [profile] [stack]\n/explain <SYMBOL> [profile] [stack]\n/profile\n/chart <SYMBOL> <TF>\n/paper, /positions, /pnl, /journal\n/exec (đặt lệnh thật/dry-run)\n/signals, /stats, /report\n/settings\n/account\n/stop\n/ping\n/admin (lệnh admin)\n\n⚠️ Bot chỉ gửi tín hiệu tham khảo — luôn tuân thủ quản lý rủi ro.`;
     bot.sendMessage(chatId, welcomeMsg);
     console.log(`✅ Subscribed user ${chatId} (${user.username || user.first_name})`);
 });
@@ -270,6 +819,7 @@ bot.onText(/\/stop/, (msg) => {
     const chatId = msg.chat.id;
     if (subscribedUsers.has(chatId)) {
         subscribedUsers.delete(chatId);
+        saveSubscribers();
         bot.sendMessage(chatId, '🗑️ Bạn đã hủy đăng ký nhận tín hiệu. Gõ /start để đăng ký lại.');
         console.log(`User unsubscribed ${chatId}`);
     } else {
@@ -287,19 +837,48 @@ bot.onText(/\/ping/, (msg) => {
     bot.sendMessage(chatId, reply.text);
 });
 
-// /analyzesymbol SYMBOL - phân tích thủ công
+// "<COIN> [profile] [stack]" in any order -> { symbol, profile, stack }
+// profile falls back to the user's setting, stack to the profile's timeframeStack (null).
+// A name that is both (e.g. "scalp") is read as the profile; the scalp profile uses the scalp stack anyway,
+// and "/analyzesymbol BTC default scalp" still reaches the stack.
+function parseAnalyzeArgs(chatId, text) {
+    const [coin, ...rest] = text.trim().split(/\s+/);
+    let profileArg = null, stack = null;
+    for (const arg of rest.map(a => a.toLowerCase())) {
+        if (!profileArg && hasProfile(arg)) profileArg = arg;
+        else if (!stack && hasStack(arg)) stack = arg;
+        else throw new Error(`"${arg}" không phải profile (${listProfiles().join(', ')}) hay bộ khung (${listStacks().join(', ')})`);
+    }
+    const profile = profileArg || getSettings(subscribedUsers.get(chatId)).profile;
+    return { symbol: normalizeSymbol(coin), profile: resolveProfileName(profile), stack };
+}
+
+// /analyzesymbol SYMBOL [profile] [stack] - phân tích thủ công
 bot.onText(/\/analyzesymbol (.+)/, async (msg, match) => {
     const chatId = msg.chat.id;
-    let symbol = match[1].toUpperCase().trim();
-    if (!symbol.endsWith('USDT')) symbol = `${symbol}USDT`;
+    let symbol, profile, stack;
+    try {
+        ({ symbol, profile, stack } = parseAnalyzeArgs(chatId, match[1]));
+    } catch (e) {
+        bot.sendMessage(chatId, `❌ ${e.message}`);
+        return;
+    }
 
-    const processing = await bot.sendMessage(chatId, `⏳ Đang phân tích ${symbol}...`);
+    const processing = await bot.sendMessage(chatId, `⏳ Đang phân tích ${symbol} (${profile}${stack ? `, ${stack}` : ''})...`);
     try {
-        const result = await analyzeSymbol(symbol);
+        const result = await scheduleJob(() => analyzeSymbol(symbol, profile, stack), PRIORITY.manual);
         if (result && result.direction && result.direction !== 'NO_TRADE' && result.direction !== 'NEUTRAL') {
-            const content = formatSignalMessage(result, 'MANUAL');
+            const specs = await getContractSpecs(result.symbol);
+            const sizing = buildUserSizing(result, subscribedUsers.get(chatId), specs);
+            const content = formatSignalMessage(result, 'MANUAL', sizing);
             await bot.deleteMessage(chatId, processing.message_id).catch(()=>{});
-            await bot.sendMessage(chatId, content);
+            const sentMsg = await bot.sendMessage(chatId, content);
+            recordSignal(result, 'MANUAL', [{ chatId, messageId: sentMsg.message_id }]);
+            saveSignals();
+            await executePaperSignal(chatId, result, specs, sentMsg.message_id);
+            await executeExchangeSignal(chatId, result, sizing, sentMsg.message_id);
+            const png = await buildSignalChart(result);
+            if (png) await sendChart(chatId, png, { reply_to_message_id: sentMsg.message_id });
         } else {
             await bot.editMessageText(`❌ Không tìm thấy tín hiệu cho ${symbol}\nReason: ${result?.reason || 'No trade'}`, {
                 chat_id: chatId,
@@ -312,27 +891,70 @@ bot.onText(/\/analyzesymbol (.+)/, async (msg, match) => {
     }
 });
 
-// /analyzeall - phân tích toàn bộ TARGET_COINS
-bot.onText(/\/analyzeall/, async (msg) => {
+// /explain SYMBOL [profile] [stack] - lý do đằng sau confidence
+bot.onText(/^\/explain(?:\s+(.+))?$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    if (!match[1]) {
+        bot.sendMessage(chatId, '❌ Ví dụ: /explain BTC');
+        return;
+    }
+    let symbol, profile, stack;
+    try {
+        ({ symbol, profile, stack } = parseAnalyzeArgs(chatId, match[1]));
+    } catch (e) {
+        bot.sendMessage(chatId, `❌ ${e.message}`);
+        return;
+    }
+    const processing = await bot.sendMessage(chatId, `⏳ Đang phân tích ${symbol} (${profile}${stack ? `, ${stack}` : ''})...`);
+    try {
+        const result = await scheduleJob(() => analyzeSymbol(symbol, profile, stack), PRIORITY.manual);
+        await bot.deleteMessage(chatId, processing.message_id).catch(()=>{});
+        await bot.sendMessage(chatId, formatExplanation(result));
+    } catch (e) {
+        console.error('/explain error:', e.message || e);
+        try { await bot.sendMessage(chatId, `❌ Lỗi phân tích ${symbol}: ${e.message || e}`); } catch {}
+    }
+});
+
+// /chart SYMBOL [TF] - biểu đồ nến kèm OB/FVG/swing/POC
+bot.onText(/^\/chart(?:\s+(\S+))?(?:\s+(\S+))?$/, async (msg, match) => {
     const chatId = msg.chat.id;
-    const processing = await bot.sendMessage(chatId, `⏳ Đang phân tích ${TARGET_COINS.length} coins... Vui lòng chờ.`);
+    const labels = Object.keys(TIMEFRAME_INTERVALS);
+    if (!match[1]) {
+        bot.sendMessage(chatId, `❌ Ví dụ: /chart BTC H1 (khung: ${labels.join(', ')})`);
+        return;
+    }
+    const symbol = normalizeSymbol(match[1]);
+    const tfLabel = (match[2] || 'H1').toUpperCase();
+    if (!labels.includes(tfLabel)) {
+        bot.sendMessage(chatId, `❌ Khung thời gian phải là một trong: ${labels.join(', ')}`);
+        return;
+    }
+    const png = await buildChart(symbol, tfLabel, null);
+    if (!png) {
+        bot.sendMessage(chatId, `❌ Không tải được dữ liệu nến cho ${symbol} ${tfLabel}`);
+        return;
+    }
+    await sendChart(chatId, png, { caption: `📈 ${symbol} ${tfLabel}` });
+});
+
+// /analyzeall - phân tích toàn bộ universe (admin)
+bot.onText(/\/analyzeall/, adminOnly(async (msg) => {
+    const chatId = msg.chat.id;
+    const coins = getUniverseSymbols();
+    const processing = await bot.sendMessage(chatId, `⏳ Đang phân tích ${coins.length} coins... Vui lòng chờ.`);
     try {
         let results = [];
-        for (let i = 0; i < TARGET_COINS.length; i++) {
-            const coin = TARGET_COINS[i];
-            try {
-                const res = await analyzeSymbol(coin);
-                if (res && res.direction && res.direction !== 'NO_TRADE' && (res.confidence || 0) >= 60) {
+        await Promise.all(coins.map(coin => scheduleJob(() => analyzeSymbol(coin), PRIORITY.bulk)
+            .then(res => {
+                if (isTradeSignal(res)) {
                     results.push(res);
                 }
-            } catch (e) {
-                console.warn(`Analyze ${coin} failed: ${e.message || e}`);
-            }
-            await new Promise(r => setTimeout(r, 1200));
-        }
+            })
+            .catch(e => console.warn(`Analyze ${coin} failed: ${e.message || e}`))));
         await bot.deleteMessage(chatId, processing.message_id).catch(()=>{});
         if (results.length === 0) {
-            await bot.sendMessage(chatId, '❌ Không tìm thấy tín hiệu (confidence ≥ 60%) trên toàn bộ danh sách.');
+            await bot.sendMessage(chatId, '❌ Không tìm thấy tín hiệu (đạt confidence tối thiểu của profile) trên toàn bộ danh sách.');
         } else {
             results = results.sort((a,b)=>(b.confidence||0)-(a.confidence||0)).slice(0, 20);
             let text = `🔍 KẾT QUẢ PHÂN TÍCH TOÀN BỘ (${results.length} tín hiệu)\n\n`;
@@ -345,10 +967,396 @@ bot.onText(/\/analyzeall/, async (msg) => {
         console.error('/analyzeall error:', e.message || e);
         try { await bot.sendMessage(chatId, `❌ Lỗi khi phân tích toàn bộ: ${e.message || e}`); } catch {}
     }
+}));
+
+// /signals - recent tracked signals and their outcome
+bot.onText(/\/signals/, (msg) => {
+    const chatId = msg.chat.id;
+    const recent = getSignals().slice(-15).reverse();
+    if (recent.length === 0) {
+        bot.sendMessage(chatId, '📭 Chưa có tín hiệu nào được ghi nhận.');
+        return;
+    }
+    let text = `📒 TÍN HIỆU GẦN ĐÂY (${recent.length})\n\n`;
+    for (const r of recent) {
+        const state = isActive(r) ? (r.filled ? '🟡 OPEN' : '⏳ PENDING') : formatOutcomeMessage(r).split(' — ')[1];
+        const notes = `${r.flipOf ? ` · 🔄 đảo chiều #${r.flipOf}` : ''}${r.updates ? ` · 🔁 ${r.updates} cập nhật` : ''}`;
+        text += `#${r.id} ${r.symbol.replace('USDT','')} ${r.direction} (${r.source}) ${moment(r.createdAt).tz('Asia/Ho_Chi_Minh').format('DD/MM HH:mm')}\n${state}${notes}\n\n`;
+    }
+    bot.sendMessage(chatId, text);
+});
+
+// --- PERFORMANCE ---
+// periods for /stats and /report; a day is the current trading day (from 04:00 VN)
+const STATS_PERIODS = {
+    day: { label: 'Hôm nay', from: () => tradingDayStart() },
+    week: { label: '7 ngày', from: () => Date.now() - 7 * 24 * 60 * 60 * 1000 },
+    month: { label: '30 ngày', from: () => Date.now() - 30 * 24 * 60 * 60 * 1000 },
+    all: { label: 'Toàn bộ', from: () => 0 }
+};
+
+// /stats [day|week|month|all] - win rate, R and breakdowns of auto signals (default: 30 days)
+bot.onText(/^\/stats(?:\s+(\S+))?$/, (msg, match) => {
+    const chatId = msg.chat.id;
+    const period = (match[1] || 'month').toLowerCase();
+    if (!STATS_PERIODS[period]) {
+        bot.sendMessage(chatId, `❌ Khoảng thời gian không hợp lệ. Dùng: ${Object.keys(STATS_PERIODS).join(' | ')}`);
+        return;
+    }
+    const records = getSignals();
+    const periods = ['day', 'week', 'month'].map(key => ({ label: STATS_PERIODS[key].label, stats: computeStats(records, STATS_PERIODS[key].from()) }));
+    const detail = computeStats(records, STATS_PERIODS[period].from());
+    bot.sendMessage(chatId, formatStats(periods, detail, STATS_PERIODS[period].label.toLowerCase()));
+});
+
+// /report [csv|html] [day|week|month|all] - export tracked signals (default: csv, 30 days)
+bot.onText(/^\/report(?:\s+(\S+))?(?:\s+(\S+))?$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const args = [match[1], match[2]].filter(Boolean).map(a => a.toLowerCase());
+    const format = args.find(a => a === 'csv' || a === 'html') || 'csv';
+    const period = args.find(a => STATS_PERIODS[a]) || 'month';
+    if (args.some(a => a !== format && a !== period)) {
+        bot.sendMessage(chatId, `❌ Cú pháp: /report [csv|html] [${Object.keys(STATS_PERIODS).join('|')}]`);
+        return;
+    }
+    const from = STATS_PERIODS[period].from();
+    const records = getSignals().filter(r => r.createdAt >= from);
+    const title = `Báo cáo tín hiệu – ${STATS_PERIODS[period].label} (${getVietnamTime().format('DD/MM/YYYY HH:mm')})`;
+    const content = format === 'html' ? buildHtmlReport(records, computeStats(records, from), title) : buildCsvReport(records);
+    const filename = `signals-${period}-${getVietnamTime().format('YYYYMMDD')}.${format}`;
+    try {
+        await bot.sendDocument(chatId, Buffer.from(content, 'utf8'), { caption: `📄 ${records.length} tín hiệu · ${STATS_PERIODS[period].label}` },
+            { filename, contentType: format === 'html' ? 'text/html' : 'text/csv' });
+    } catch (e) {
+        bot.sendMessage(chatId, `❌ Không gửi được báo cáo: ${e.message || e}`);
+    }
+});
+
+// --- USER SETTINGS ---
+// runs fn(userData) for a subscribed chat, persists and replies; fn returns the reply text
+function updateUserSettings(msg, fn) {
+    const chatId = msg.chat.id;
+    const userData = subscribedUsers.get(chatId);
+    if (!userData) {
+        bot.sendMessage(chatId, 'Bạn chưa đăng ký nhận tín hiệu. Gõ /start để đăng ký.');
+        return;
+    }
+    try {
+        const settings = getSettings(userData);
+        const reply = fn(settings);
+        userData.settings = settings;
+        saveSubscribers();
+        bot.sendMessage(chatId, reply || formatSettings(settings));
+    } catch (e) {
+        bot.sendMessage(chatId, `❌ ${e.message || e}`);
+    }
+}
+
+// /settings - xem cài đặt cá nhân
+bot.onText(/^\/settings/, (msg) => {
+    updateUserSettings(msg, () => null);
+});
+
+// /watch BTC ETH - thêm coin vào watchlist
+bot.onText(/^\/watch(?:\s+(.+))?$/, (msg, match) => {
+    updateUserSettings(msg, (settings) => {
+        if (!match[1]) throw new Error('Ví dụ: /watch BTC ETH SOL');
+        for (const coin of match[1].split(/[\s,]+/).filter(Boolean)) {
+            const symbol = normalizeSymbol(coin);
+            if (!settings.watchlist.includes(symbol)) settings.watchlist.push(symbol);
+        }
+        return null;
+    });
+});
+
+// /unwatch BTC | /unwatch all - bỏ coin khỏi watchlist
+bot.onText(/^\/unwatch(?:\s+(.+))?$/, (msg, match) => {
+    updateUserSettings(msg, (settings) => {
+        if (!match[1]) throw new Error('Ví dụ: /unwatch BTC hoặc /unwatch all');
+        if (match[1].trim().toLowerCase() === 'all') {
+            settings.watchlist = [];
+            return null;
+        }
+        const remove = match[1].split(/[\s,]+/).filter(Boolean).map(normalizeSymbol);
+        settings.watchlist = settings.watchlist.filter(s => !remove.includes(s));
+        return null;
+    });
+});
+
+// /minconf 70|off - confidence tối thiểu (off = theo profile)
+bot.onText(/^\/minconf(?:\s+(.+))?$/, (msg, match) => {
+    updateUserSettings(msg, (settings) => {
+        settings.minConfidence = /^off$/i.test((match[1] || '').trim()) ? null : parseMinConfidence(match[1], settings.profile);
+        return null;
+    });
+});
+
+// /direction LONG|SHORT|BOTH
+bot.onText(/^\/direction(?:\s+(.+))?$/, (msg, match) => {
+    updateUserSettings(msg, (settings) => {
+        settings.direction = parseDirection(match[1] || '');
+        return null;
+    });
+});
+
+// /quiet 23:00-06:00 | /quiet off - giờ im lặng riêng
+bot.onText(/^\/quiet(?:\s+(.+))?$/, (msg, match) => {
+    updateUserSettings(msg, (settings) => {
+        const arg = (match[1] || '').trim();
+        settings.quietHours = arg.toLowerCase() === 'off' ? null : parseQuietHours(arg);
+        return null;
+    });
+});
+
+// /profile [tên] - chọn strategy profile
+bot.onText(/^\/profile(?:\s+(.+))?$/, (msg, match) => {
+    updateUserSettings(msg, (settings) => {
+        const current = resolveProfileName(settings.profile);
+        if (!match[1]) {
+            return `🧩 STRATEGY PROFILE\n\n` +
+                listProfiles().map(p => `${p === current ? '✅' : '▫️'} ${p}${p === resolveProfileName() ? ' (mặc định)' : ''} — ${formatStack(getStack(getProfile(p).timeframeStack))}`).join('\n') +
+                `\n\nLệnh: /profile <tên>\nĐổi bộ khung cho 1 lần phân tích: /analyzesymbol BTC [profile] <${listStacks().join('|')}>`;
+        }
+        const name = match[1].trim().toLowerCase();
+        if (!hasProfile(name)) throw new Error(`Profile "${name}" không tồn tại. Có: ${listProfiles().join(', ')}`);
+        settings.profile = name;
+        return null;
+    });
+});
+
+// --- ADMIN COMMANDS ---
+
+// /admin - danh sách lệnh admin
+bot.onText(/^\/admin/, adminOnly((msg) => {
+    bot.sendMessage(msg.chat.id, `🛠️ LỆNH ADMIN\n\n/users - danh sách subscribers\n/kick <chatId> - hủy đăng ký user\n/broadcast <nội dung> - gửi thông báo\n/pause, /resume - dừng/chạy auto analysis\n/resetbreaker - reset circuit breaker\n/coins - danh sách coin (ghim)\n/addcoin <COIN...>, /removecoin <COIN...>\n/universe - danh sách quét hiện tại\n/analyzeall - phân tích toàn bộ\n/reloadstrategy - nạp lại strategy.json\n\nAuto analysis: ${isAutoAnalysisPaused ? '⏸️ paused' : '▶️ running'} | Breaker: ${consecutiveErrors}/${MAX_CONSECUTIVE_ERRORS}`);
+}));
+
+// /kick <chatId> - remove a subscriber
+bot.onText(/^\/kick(?:\s+(.+))?$/, adminOnly((msg, match) => {
+    const chatId = msg.chat.id;
+    const target = match[1] ? Number(match[1].trim()) : NaN;
+    if (isNaN(target) || !subscribedUsers.has(target)) {
+        bot.sendMessage(chatId, '❌ Không tìm thấy subscriber. Ví dụ: /kick 123456789');
+        return;
+    }
+    subscribedUsers.delete(target);
+    saveSubscribers();
+    bot.sendMessage(target, '🗑️ Bạn đã bị admin hủy đăng ký nhận tín hiệu.').catch(() => {});
+    bot.sendMessage(chatId, `✅ Đã hủy đăng ký ${target}`);
+    console.log(`Admin ${msg.from.id} kicked ${target}`);
+}));
+
+// /broadcast <text> - announcement to every subscriber
+bot.onText(/^\/broadcast(?:\s+([\s\S]+))?$/, adminOnly(async (msg, match) => {
+    const chatId = msg.chat.id;
+    if (!match[1] || !match[1].trim()) {
+        bot.sendMessage(chatId, '❌ Ví dụ: /broadcast Bot bảo trì lúc 22:00');
+        return;
+    }
+    const result = await broadcastToAllUsers(`📢 THÔNG BÁO\n\n${match[1].trim()}`);
+    bot.sendMessage(chatId, `📤 Đã gửi: ${result.success} thành công, ${result.fail} thất bại`);
+}));
+
+// /pause, /resume - auto analysis on/off
+bot.onText(/^\/pause/, adminOnly((msg) => {
+    isAutoAnalysisPaused = true;
+    saveState();
+    bot.sendMessage(msg.chat.id, '⏸️ Auto analysis đã tạm dừng. Gõ /resume để chạy lại.');
+    console.log(`Admin ${msg.from.id} paused auto analysis`);
+}));
+
+bot.onText(/^\/resume/, adminOnly((msg) => {
+    isAutoAnalysisPaused = false;
+    saveState();
+    bot.sendMessage(msg.chat.id, '▶️ Auto analysis đã chạy lại.');
+    console.log(`Admin ${msg.from.id} resumed auto analysis`);
+}));
+
+// /reloadstrategy - reload strategy profiles now (the file is also watched)
+bot.onText(/^\/reloadstrategy/, adminOnly((msg) => {
+    try {
+        loadStrategyConfig();
+        bot.sendMessage(msg.chat.id, `♻️ Đã nạp lại strategy: ${listProfiles().join(', ')}`);
+    } catch (e) {
+        bot.sendMessage(msg.chat.id, `❌ Strategy config bị từ chối, giữ cấu hình cũ:\n${e.message}`);
+    }
+}));
+
+// /resetbreaker - clear the rate-limit circuit breaker
+bot.onText(/^\/resetbreaker/, adminOnly((msg) => {
+    consecutiveErrors = 0;
+    bot.sendMessage(msg.chat.id, '🔋 Circuit breaker đã được reset.');
+    console.log(`Admin ${msg.from.id} reset the circuit breaker`);
+}));
+
+// /coins, /addcoin, /removecoin - edit TARGET_COINS at runtime
+bot.onText(/^\/coins/, adminOnly((msg) => {
+    bot.sendMessage(msg.chat.id, `🪙 TARGET_COINS (${TARGET_COINS.length}):\n${TARGET_COINS.map(c => c.replace('USDT', '')).join(', ')}`);
+}));
+
+// /universe - ranked scan list with the pinned coins that were dropped
+bot.onText(/^\/universe/, adminOnly(async (msg) => {
+    if (!UNIVERSE_ENABLED) {
+        bot.sendMessage(msg.chat.id, '🌐 Universe đang tắt (bật bằng UNIVERSE=on) — quét TARGET_COINS.');
+        return;
+    }
+    if (!currentUniverse) await refreshUniverse();
+    bot.sendMessage(msg.chat.id, formatUniverse(currentUniverse));
+}));
+
+bot.onText(/^\/addcoin(?:\s+(.+))?$/, adminOnly((msg, match) => {
+    const chatId = msg.chat.id;
+    if (!match[1]) {
+        bot.sendMessage(chatId, '❌ Ví dụ: /addcoin PEPE WLD');
+        return;
+    }
+    const added = [];
+    for (const coin of match[1].split(/[\s,]+/).filter(Boolean)) {
+        const symbol = normalizeSymbol(coin);
+        if (!TARGET_COINS.includes(symbol)) {
+            TARGET_COINS.push(symbol);
+            added.push(symbol);
+        }
+    }
+    saveTargetCoins();
+    startStream();
+    bot.sendMessage(chatId, `✅ Đã thêm: ${added.join(', ') || '(không có coin mới)'} — tổng ${TARGET_COINS.length} coins`);
+}));
+
+bot.onText(/^\/removecoin(?:\s+(.+))?$/, adminOnly((msg, match) => {
+    const chatId = msg.chat.id;
+    if (!match[1]) {
+        bot.sendMessage(chatId, '❌ Ví dụ: /removecoin MATIC');
+        return;
+    }
+    const removed = [];
+    for (const coin of match[1].split(/[\s,]+/).filter(Boolean)) {
+        const idx = TARGET_COINS.indexOf(normalizeSymbol(coin));
+        if (idx !== -1) removed.push(...TARGET_COINS.splice(idx, 1));
+    }
+    saveTargetCoins();
+    startStream();
+    bot.sendMessage(chatId, `🗑️ Đã xóa: ${removed.join(', ') || '(không tìm thấy)'} — còn ${TARGET_COINS.length} coins`);
+}));
+
+// --- PAPER TRADING COMMANDS ---
+
+// /paper on [balance] | off | reset [balance] | risk <%>
+bot.onText(/^\/paper(?:\s+(\S+))?(?:\s+(\S+))?$/, (msg, match) => {
+    const chatId = msg.chat.id;
+    const userData = subscribedUsers.get(chatId);
+    if (!userData) {
+        bot.sendMessage(chatId, 'Bạn chưa đăng ký nhận tín hiệu. Gõ /start để đăng ký.');
+        return;
+    }
+    const action = (match[1] || '').toLowerCase();
+    try {
+        const { riskPercent, leverage } = getSettings(userData).account;
+        if (action === 'on' || action === 'reset') {
+            const balance = match[2] ? parseBalance(match[2]) : undefined;
+            const account = enablePaper(chatId, { balance, riskPercent, leverage }, action === 'reset' || balance !== undefined);
+            savePaperAccounts();
+            bot.sendMessage(chatId, `✅ Paper trading đã bật — tín hiệu bạn nhận sẽ được vào lệnh giả lập.\n\n${formatPaperStatus(account)}`);
+        } else if (action === 'off') {
+            const account = disablePaper(chatId);
+            savePaperAccounts();
+            bot.sendMessage(chatId, account ? '⏸️ Paper trading đã tắt. Vị thế đang mở vẫn được theo dõi đến khi đóng.' : formatPaperStatus(null));
+        } else if (action === 'risk') {
+            const account = setPaperRisk(chatId, parseRiskPercent(match[2]));
+            savePaperAccounts();
+            bot.sendMessage(chatId, formatPaperStatus(account));
+        } else {
+            bot.sendMessage(chatId, formatPaperStatus(getPaperAccount(chatId)));
+        }
+    } catch (e) {
+        bot.sendMessage(chatId, `❌ ${e.message || e}`);
+    }
+});
+
+bot.onText(/^\/positions/, (msg) => {
+    bot.sendMessage(msg.chat.id, formatPositions(getPaperAccount(msg.chat.id)));
+});
+
+bot.onText(/^\/pnl/, (msg) => {
+    bot.sendMessage(msg.chat.id, formatPnl(getPaperAccount(msg.chat.id)));
+});
+
+bot.onText(/^\/journal/, (msg) => {
+    bot.sendMessage(msg.chat.id, formatJournal(getPaperAccount(msg.chat.id)));
+});
+
+// --- ORDER EXECUTION COMMANDS ---
+
+// /exec | /exec keys <apiKey> <apiSecret> | on | off | live | dry | maxpos <n> | maxexposure <%> | clear
+bot.onText(/^\/exec(?:\s+(.+))?$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const userData = subscribedUsers.get(chatId);
+    const [action = '', ...args] = (match[1] || '').trim().split(/\s+/);
+    if (action.toLowerCase() === 'keys') {
+        // never leave API secrets in the chat history
+        await bot.deleteMessage(chatId, msg.message_id).catch(() => {});
+        if (msg.chat.type !== 'private') {
+            bot.sendMessage(chatId, '❌ Chỉ gửi API key trong chat riêng với bot. Hãy thu hồi key vừa gửi trên sàn.');
+            return;
+        }
+    }
+    if (!userData) {
+        bot.sendMessage(chatId, 'Bạn chưa đăng ký nhận tín hiệu. Gõ /start để đăng ký.');
+        return;
+    }
+    try {
+        const execution = getExecutionSettings(userData);
+        if (action) {
+            userData.execution = applyExecutionCommand(execution, action.toLowerCase(), args);
+            saveSubscribers();
+        }
+        bot.sendMessage(chatId, formatExecutionSettings(getExecutionSettings(userData)));
+    } catch (e) {
+        bot.sendMessage(chatId, `❌ ${e.message || e}`);
+    }
+});
+
+// --- ACCOUNT / POSITION SIZING ---
+
+// /account - số dư, rủi ro, đòn bẩy
+bot.onText(/^\/account/, (msg) => {
+    updateUserSettings(msg, (settings) => formatAccount(settings));
+});
+
+bot.onText(/^\/balance(?:\s+(.+))?$/, (msg, match) => {
+    updateUserSettings(msg, (settings) => {
+        settings.account.balance = parseBalance(match[1] || '');
+        return formatAccount(settings);
+    });
 });
 
-// /users - list subscribers (open)
-bot.onText(/\/users/, (msg) => {
+bot.onText(/^\/risk(?:\s+(.+))?$/, (msg, match) => {
+    updateUserSettings(msg, (settings) => {
+        settings.account.riskPercent = parseRiskPercent(match[1] || '');
+        return formatAccount(settings);
+    });
+});
+
+bot.onText(/^\/leverage(?:\s+(.+))?$/, (msg, match) => {
+    updateUserSettings(msg, (settings) => {
+        settings.account.leverage = parseLeverage(match[1] || '');
+        return formatAccount(settings);
+    });
+});
+
+// /spec BTC 0.001 0.001 0.1 | /spec BTC reset - override contract specs for one symbol
+bot.onText(/^\/spec(?:\s+(\S+)(?:\s+(.+))?)?$/, (msg, match) => {
+    updateUserSettings(msg, (settings) => {
+        if (!match[1]) throw new Error('Ví dụ: /spec BTC 0.001 0.001 0.1 (minQty stepSize tickSize) hoặc /spec BTC reset');
+        const symbol = normalizeSymbol(match[1]);
+        if ((match[2] || '').trim().toLowerCase() === 'reset') delete settings.contractSpecs[symbol];
+        else settings.contractSpecs[symbol] = parseContractSpecs(match[2] || '');
+        return formatAccount(settings);
+    });
+});
+
+// /users - list subscribers (admin)
+bot.onText(/\/users/, adminOnly((msg) => {
     const chatId = msg.chat.id;
     let text = `📊 Subscribers: ${subscribedUsers.size}\n\n`;
     let i = 0;
@@ -358,8 +1366,8 @@ bot.onText(/\/users/, (msg) => {
         i++;
     }
     bot.sendMessage(chatId, text);
-});
+}));
 
 console.log('🤖 Bot is running.');
-console.log(`⏰ Auto analysis every ${ANALYSIS_INTERVAL/(60*60*1000)} hours (active window 04:00-23:30)`);
-console.log(`🎯 Min confidence: 60% | Target coins: ${TARGET_COINS.length}`);
+console.log(`⏰ Auto analysis every ${ANALYSIS_INTERVAL/(60*60*1000)} hours (per-user quiet hours, default 23:30-04:00)`);
+console.log(`🎯 Min confidence: ${listProfiles().map(p => `${p} ${getProfile(p).minConfidence}%`).join(', ')} | Target coins: ${TARGET_COINS.length}${UNIVERSE_ENABLED ? ` pinned, universe up to ${UNIVERSE_OPTIONS.maxSize}` : ''}`);
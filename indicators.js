@@ -0,0 +1,234 @@
+// --- CLASSIC INDICATORS ---
+// Pure functions over candles ({ t, open, high, low, close, vol }) or value arrays.
+// Series helpers return arrays aligned to the input (null until enough data);
+// calculateIndicators bundles the latest values into the per-timeframe snapshot the analysis scores and filters on.
+
+const DAY_MS = 86400000;
+
+function sma(values, period) {
+    const out = new Array(values.length).fill(null);
+    let sum = 0;
+    for (let i = 0; i < values.length; i++) {
+        sum += values[i];
+        if (i >= period) sum -= values[i - period];
+        if (i >= period - 1) out[i] = sum / period;
+    }
+    return out;
+}
+
+// seeded with the SMA of the first `period` values
+function ema(values, period) {
+    const out = new Array(values.length).fill(null);
+    if (values.length < period) return out;
+    const k = 2 / (period + 1);
+    let prev = values.slice(0, period).reduce((a, b) => a + b, 0) / period;
+    out[period - 1] = prev;
+    for (let i = period; i < values.length; i++) {
+        prev = values[i] * k + prev * (1 - k);
+        out[i] = prev;
+    }
+    return out;
+}
+
+function last(series) {
+    for (let i = series.length - 1; i >= 0; i--) if (series[i] !== null) return series[i];
+    return null;
+}
+
+function trueRanges(candles) {
+    const tr = [];
+    for (let i = 1; i < candles.length; i++) {
+        tr.push(Math.max(
+            candles[i].high - candles[i].low,
+            Math.abs(candles[i].high - candles[i - 1].close),
+            Math.abs(candles[i].low - candles[i - 1].close)
+        ));
+    }
+    return tr;
+}
+
+// Wilder-smoothed ATR, latest value (0 without enough data)
+function calculateATR(candles, period = 14) {
+    if (!candles || candles.length < period + 1) return 0;
+    const tr = trueRanges(candles);
+    let atr = tr.slice(0, period).reduce((a, b) => a + b, 0) / period;
+    for (let i = period; i < tr.length; i++) {
+        atr = (atr * (period - 1) + tr[i]) / period;
+    }
+    return atr;
+}
+
+// Wilder-smoothed ATR for every bar (null until `period` true ranges exist)
+function calculateATRSeries(candles, period = 14) {
+    const out = new Array(candles ? candles.length : 0).fill(null);
+    if (!candles || candles.length < period + 1) return out;
+    const tr = trueRanges(candles);
+    let atr = tr.slice(0, period).reduce((a, b) => a + b, 0) / period;
+    out[period] = atr;
+    for (let i = period; i < tr.length; i++) {
+        atr = (atr * (period - 1) + tr[i]) / period;
+        out[i + 1] = atr;
+    }
+    return out;
+}
+
+// Wilder RSI, latest value
+function calculateRSI(closes, period = 14) {
+    if (closes.length < period + 1) return null;
+    let gain = 0, loss = 0;
+    for (let i = 1; i <= period; i++) {
+        const d = closes[i] - closes[i - 1];
+        if (d > 0) gain += d; else loss -= d;
+    }
+    gain /= period;
+    loss /= period;
+    for (let i = period + 1; i < closes.length; i++) {
+        const d = closes[i] - closes[i - 1];
+        gain = (gain * (period - 1) + Math.max(d, 0)) / period;
+        loss = (loss * (period - 1) + Math.max(-d, 0)) / period;
+    }
+    if (loss === 0) return gain === 0 ? 50 : 100;
+    return 100 - 100 / (1 + gain / loss);
+}
+
+function calculateMACD(closes, fast = 12, slow = 26, signal = 9) {
+    if (closes.length < slow + signal) return null;
+    const fastEma = ema(closes, fast), slowEma = ema(closes, slow);
+    const line = [];
+    for (let i = slow - 1; i < closes.length; i++) line.push(fastEma[i] - slowEma[i]);
+    const signalLine = last(ema(line, signal));
+    const macd = line[line.length - 1];
+    return { macd, signal: signalLine, histogram: macd - signalLine };
+}
+
+// ADX with +DI / -DI (Wilder smoothing)
+function calculateADX(candles, period = 14) {
+    if (!candles || candles.length < period * 2 + 1) return null;
+    const tr = trueRanges(candles);
+    const plusDM = [], minusDM = [];
+    for (let i = 1; i < candles.length; i++) {
+        const up = candles[i].high - candles[i - 1].high;
+        const down = candles[i - 1].low - candles[i].low;
+        plusDM.push(up > down && up > 0 ? up : 0);
+        minusDM.push(down > up && down > 0 ? down : 0);
+    }
+    let atr = tr.slice(0, period).reduce((a, b) => a + b, 0);
+    let plus = plusDM.slice(0, period).reduce((a, b) => a + b, 0);
+    let minus = minusDM.slice(0, period).reduce((a, b) => a + b, 0);
+    const dx = [];
+    let plusDI = 0, minusDI = 0;
+    for (let i = period; i <= tr.length; i++) {
+        if (i > period) {
+            atr = atr - atr / period + tr[i - 1];
+            plus = plus - plus / period + plusDM[i - 1];
+            minus = minus - minus / period + minusDM[i - 1];
+        }
+        plusDI = atr === 0 ? 0 : (plus / atr) * 100;
+        minusDI = atr === 0 ? 0 : (minus / atr) * 100;
+        const sum = plusDI + minusDI;
+        dx.push(sum === 0 ? 0 : (Math.abs(plusDI - minusDI) / sum) * 100);
+    }
+    let adx = dx.slice(0, period).reduce((a, b) => a + b, 0) / period;
+    for (let i = period; i < dx.length; i++) adx = (adx * (period - 1) + dx[i]) / period;
+    return { adx, plusDI, minusDI };
+}
+
+function calculateBollinger(closes, period = 20, stdDev = 2) {
+    if (closes.length < period) return null;
+    const window = closes.slice(-period);
+    const middle = window.reduce((a, b) => a + b, 0) / period;
+    const sd = Math.sqrt(window.reduce((s, v) => s + (v - middle) ** 2, 0) / period);
+    return { middle, upper: middle + sd * stdDev, lower: middle - sd * stdDev, width: middle === 0 ? 0 : (2 * sd * stdDev) / middle };
+}
+
+function calculateKeltner(candles, period = 20, atrMultiplier = 1.5) {
+    if (!candles || candles.length < period + 1) return null;
+    const middle = last(ema(candles.map(c => c.close), period));
+    const atr = calculateATR(candles, period);
+    return { middle, upper: middle + atr * atrMultiplier, lower: middle - atr * atrMultiplier };
+}
+
+// volume-weighted average price since the start of the latest UTC session (day),
+// with bands at +-bandStdDev volume-weighted standard deviations
+function calculateSessionVWAP(candles, bandStdDev = 2) {
+    if (!candles || candles.length === 0) return null;
+    const sessionStart = candles[candles.length - 1].t - (candles[candles.length - 1].t % DAY_MS);
+    let pv = 0, vol = 0, pv2 = 0;
+    for (const c of candles) {
+        if (c.t < sessionStart) continue;
+        const typical = (c.high + c.low + c.close) / 3;
+        pv += typical * c.vol;
+        pv2 += typical * typical * c.vol;
+        vol += c.vol;
+    }
+    if (vol === 0) return null;
+    const vwap = pv / vol;
+    const sd = Math.sqrt(Math.max(0, pv2 / vol - vwap * vwap));
+    return { vwap, stdDev: sd, upper: vwap + sd * bandStdDev, lower: vwap - sd * bandStdDev };
+}
+
+// 'bullish' when fast > mid > slow, 'bearish' when reversed, otherwise 'mixed'
+function calculateEmaStack(closes, periods) {
+    const values = periods.map(p => last(ema(closes, p)));
+    if (values.some(v => v === null)) return { values, alignment: 'mixed' };
+    const bullish = values.every((v, i) => i === 0 || values[i - 1] > v);
+    const bearish = values.every((v, i) => i === 0 || values[i - 1] < v);
+    return { values, alignment: bullish ? 'bullish' : bearish ? 'bearish' : 'mixed' };
+}
+
+// settings: params.indicators
+function calculateIndicators(candles, settings) {
+    if (!candles || candles.length === 0) return null;
+    const closes = candles.map(c => c.close);
+    const price = closes[closes.length - 1];
+    const bollinger = calculateBollinger(closes, settings.bbPeriod, settings.bbStdDev);
+    const keltner = calculateKeltner(candles, settings.keltnerPeriod, settings.keltnerAtr);
+    const vwap = calculateSessionVWAP(candles, settings.vwapBandStdDev);
+    return {
+        rsi: calculateRSI(closes, settings.rsiPeriod),
+        emaStack: calculateEmaStack(closes, [settings.emaFast, settings.emaMid, settings.emaSlow]),
+        macd: calculateMACD(closes, settings.macdFast, settings.macdSlow, settings.macdSignal),
+        adx: calculateADX(candles, settings.adxPeriod),
+        bollinger,
+        keltner,
+        // Bollinger inside Keltner = volatility squeeze
+        squeeze: Boolean(bollinger && keltner && bollinger.upper < keltner.upper && bollinger.lower > keltner.lower),
+        vwap,
+        vwapDeviation: vwap && vwap.stdDev > 0 ? (price - vwap.vwap) / vwap.stdDev : 0
+    };
+}
+
+// scalar values strategy filters can test (see strategy.js "filters"); null = not enough data
+const FILTER_VALUES = {
+    rsi: s => s.rsi,
+    adx: s => s.adx && s.adx.adx,
+    plusDI: s => s.adx && s.adx.plusDI,
+    minusDI: s => s.adx && s.adx.minusDI,
+    macdHistogram: s => s.macd && s.macd.histogram,
+    bbWidth: s => s.bollinger && s.bollinger.width,
+    vwapDeviation: s => s.vwap ? s.vwapDeviation : null,
+    emaStack: s => ({ bullish: 1, bearish: -1, mixed: 0 })[s.emaStack.alignment]
+};
+
+function getFilterValue(snapshot, indicator) {
+    if (!snapshot || !FILTER_VALUES[indicator]) return null;
+    const value = FILTER_VALUES[indicator](snapshot);
+    return value === undefined ? null : value;
+}
+
+module.exports = {
+    sma,
+    ema,
+    calculateATR,
+    calculateATRSeries,
+    calculateRSI,
+    calculateMACD,
+    calculateADX,
+    calculateBollinger,
+    calculateKeltner,
+    calculateSessionVWAP,
+    calculateEmaStack,
+    calculateIndicators,
+    FILTER_VALUES,
+    getFilterValue
+};
@@ -0,0 +1,169 @@
+const { analyzeSymbol } = require('./analysis');
+const { getCandles } = require('./candles');
+const { getProfile } = require('./strategy');
+
+// --- MARKET CONTEXT (BTC / dominance) ---
+// Alts mostly follow BTC, so each scan starts by analyzing BTCUSDT (plus BTCDOMUSDT when a profile gives
+// dominance a weight). Alt signals are then checked against it using the profile's `market` settings:
+//   - H1 log-return correlation and beta to BTC over correlationBars
+//   - "against" = how hard BTC's bias (and optionally dominance) opposes the signal, scaled by correlation
+//   - against >= blockBias blocks, >= downgradeBias costs downgradePenalty confidence
+//   - at most maxCorrelatedPerCycle correlated signals per direction go out per scan cycle
+
+const BTC_SYMBOL = 'BTCUSDT';
+const DOMINANCE_SYMBOL = 'BTCDOMUSDT';
+const EXEMPT_SYMBOLS = new Set([BTC_SYMBOL, DOMINANCE_SYMBOL]);
+const CORRELATION_INTERVAL = '1h';
+const CONTEXT_TTL_MS = 15 * 60 * 1000;
+
+const contexts = new Map(); // profile name -> context
+
+function summarizeBias(result) {
+    if (!result || !result.explanation) return null;
+    return {
+        bias: result.explanation.bias,
+        direction: result.direction,
+        confidence: result.confidence,
+        regime: result.regime ? result.regime.id : null
+    };
+}
+
+// cached per profile for CONTEXT_TTL_MS; maxAgeMs 0 forces a refresh (start of a scan cycle)
+async function getMarketContext(profileName, maxAgeMs = CONTEXT_TTL_MS) {
+    const params = getProfile(profileName);
+    const cached = contexts.get(params.name);
+    if (cached && Date.now() - cached.time < maxAgeMs) return cached;
+
+    const btc = await analyzeSymbol(BTC_SYMBOL, params.name);
+    let btcCandles = null;
+    try {
+        btcCandles = await getCandles(BTC_SYMBOL, CORRELATION_INTERVAL, 300);
+    } catch (e) {
+        console.warn(`⚠️ Market context: no ${BTC_SYMBOL} ${CORRELATION_INTERVAL} candles: ${e.message || e}`);
+    }
+    const dominance = params.market.dominanceWeight > 0 ? summarizeBias(await analyzeSymbol(DOMINANCE_SYMBOL, params.name)) : null;
+    const context = { time: Date.now(), profile: params.name, btc: summarizeBias(btc), btcCandles, dominance };
+    contexts.set(params.name, context);
+    if (context.btc) console.log(`₿ Market context [${params.name}]: BTC ${context.btc.direction} bias ${context.btc.bias.toFixed(2)}${dominance ? `, dominance bias ${dominance.bias.toFixed(2)}` : ''}`);
+    return context;
+}
+
+// Pearson correlation and beta of H1 log returns, aligned on candle open time
+function calculateCorrelation(altCandles, btcCandles, bars) {
+    if (!altCandles || !btcCandles) return { correlation: null, beta: null, samples: 0 };
+    const btcClose = new Map(btcCandles.map(c => [c.t, c.close]));
+    const pairs = [];
+    for (let i = 1; i < altCandles.length; i++) {
+        const prevBtc = btcClose.get(altCandles[i - 1].t), curBtc = btcClose.get(altCandles[i].t);
+        if (!prevBtc || !curBtc) continue;
+        pairs.push([Math.log(altCandles[i].close / altCandles[i - 1].close), Math.log(curBtc / prevBtc)]);
+    }
+    const recent = pairs.slice(-bars);
+    if (recent.length < 20) return { correlation: null, beta: null, samples: recent.length };
+    const n = recent.length;
+    const meanA = recent.reduce((s, p) => s + p[0], 0) / n;
+    const meanB = recent.reduce((s, p) => s + p[1], 0) / n;
+    let cov = 0, varA = 0, varB = 0;
+    for (const [a, b] of recent) {
+        cov += (a - meanA) * (b - meanB);
+        varA += (a - meanA) ** 2;
+        varB += (b - meanB) ** 2;
+    }
+    const correlation = varA > 0 && varB > 0 ? cov / Math.sqrt(varA * varB) : 0;
+    const beta = varB > 0 ? cov / varB : 0;
+    return { correlation, beta, samples: n };
+}
+
+// -> { action: 'pass' | 'downgrade' | 'block', correlation, beta, btcBias, against, confidence, reason }
+function assessMarketFit(result, context, altCandles, params) {
+    const settings = params.market;
+    const fit = { action: 'pass', correlation: null, beta: null, btcBias: null, against: 0, confidence: result.confidence, reason: null };
+    if (EXEMPT_SYMBOLS.has(result.symbol) || !context || !context.btc) return fit;
+
+    const { correlation, beta } = calculateCorrelation(altCandles, context.btcCandles, settings.correlationBars);
+    fit.correlation = correlation;
+    fit.beta = beta;
+    fit.btcBias = context.btc.bias;
+    if (correlation === null || correlation < settings.minCorrelation) return fit;
+
+    const sign = result.direction === 'LONG' ? 1 : -1;
+    let against = -sign * context.btc.bias;
+    // rising dominance drains alts: it works against alt LONGs, falling dominance against alt SHORTs
+    if (context.dominance) against += sign * context.dominance.bias * settings.dominanceWeight;
+    fit.against = against * correlation;
+
+    if (fit.against >= settings.blockBias) {
+        fit.action = 'block';
+        fit.reason = `BTC bias ${context.btc.bias.toFixed(2)} opposes ${result.direction} (corr ${correlation.toFixed(2)})`;
+    } else if (fit.against >= settings.downgradeBias) {
+        fit.confidence = result.confidence - settings.downgradePenalty;
+        fit.action = fit.confidence < params.minConfidence ? 'block' : 'downgrade';
+        fit.reason = `BTC bias ${context.btc.bias.toFixed(2)} leans against ${result.direction}: -${settings.downgradePenalty}% confidence`;
+    }
+    return fit;
+}
+
+// per scan cycle: caps correlated signals per direction; windowMs lets a long-lived limiter (streaming) reset itself
+// hasRoom only checks; take counts the slot and is called once a signal is actually sent, so candidates
+// the signal registry drops (repeats, cooldowns, updates) don't use up the cap
+function createCorrelationLimiter(windowMs = Infinity) {
+    let startedAt = Date.now();
+    let counts = { LONG: 0, SHORT: 0 };
+    const isCorrelated = (fit, settings) => fit.correlation !== null && fit.correlation >= settings.minCorrelation;
+    const hasRoom = (result, fit, settings) => {
+        if (Date.now() - startedAt > windowMs) {
+            startedAt = Date.now();
+            counts = { LONG: 0, SHORT: 0 };
+        }
+        return !isCorrelated(fit, settings) || counts[result.direction] < settings.maxCorrelatedPerCycle;
+    };
+    return {
+        hasRoom,
+        // fit: anything with a correlation (assessMarketFit output or result.market)
+        take(result, fit, settings) {
+            if (!hasRoom(result, fit, settings)) return false;
+            if (isCorrelated(fit, settings)) counts[result.direction]++;
+            return true;
+        },
+        counts: () => ({ ...counts })
+    };
+}
+
+// result -> { result (adjusted, null when held back), fit }
+async function applyMarketFilter(result, limiter, context) {
+    const params = getProfile(result.profile);
+    if (!context) context = await getMarketContext(params.name);
+    let altCandles = null;
+    if (!EXEMPT_SYMBOLS.has(result.symbol)) {
+        try {
+            altCandles = await getCandles(result.symbol, CORRELATION_INTERVAL, 300);
+        } catch (e) {
+            // no correlation -> treated as uncorrelated
+        }
+    }
+    const fit = assessMarketFit(result, context, altCandles, params);
+    if (fit.action === 'block') return { result: null, fit };
+    if (limiter && !limiter.hasRoom(result, fit, params.market)) {
+        return { result: null, fit: { ...fit, action: 'capped', reason: `already ${params.market.maxCorrelatedPerCycle} correlated ${result.direction} signals this cycle` } };
+    }
+    const market = { correlation: fit.correlation, beta: fit.beta, btcBias: fit.btcBias, action: fit.action, originalConfidence: result.confidence };
+    return { result: { ...result, confidence: fit.confidence, market }, fit };
+}
+
+function formatMarketLine(market) {
+    if (!market || market.correlation === null) return null;
+    let line = `₿ BTC bias ${market.btcBias >= 0 ? '+' : ''}${market.btcBias.toFixed(2)} · corr ${market.correlation.toFixed(2)} · β ${market.beta.toFixed(2)}`;
+    if (market.action === 'downgrade') line += ` · ngược BTC, conf giảm từ ${market.originalConfidence}%`;
+    return line;
+}
+
+module.exports = {
+    BTC_SYMBOL,
+    DOMINANCE_SYMBOL,
+    getMarketContext,
+    calculateCorrelation,
+    assessMarketFit,
+    createCorrelationLimiter,
+    applyMarketFilter,
+    formatMarketLine
+};
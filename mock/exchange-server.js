@@ -0,0 +1,217 @@
+const http = require('http');
+const crypto = require('crypto');
+
+// --- MOCK BINANCE FUTURES TRADING API ---
+// Local stand-in for the signed fapi endpoints used by execution.js:
+//   node mock/exchange-server.js [--port 8091] [--balance 1000] [--hedge 1]
+//   EXECUTION_BASE_URL=http://localhost:8091 EXECUTION_LIVE=true npm start
+// Accepts api key "mock-key" signed with secret "mock-secret". Orders rest in memory until filled by hand:
+// GET /mock/state dumps everything, POST /mock/fill?orderId=N fills an order at its price (updating the position),
+// POST /mock/position?symbol=X&positionAmt=Y&markPrice=Z[&positionSide=LONG] fakes a position.
+// Rejects what Binance rejects for the orders execution.js sends: positionSide not matching the
+// position mode (-4061), reduceOnly in hedge mode (-1106) and closing orders with nothing to close (-2022).
+
+const RECV_WINDOW_DEFAULT = 5000;
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i += 2) args[argv[i].replace(/^--/, '')] = parseFloat(argv[i + 1]);
+    return args;
+}
+
+function createMockExchangeServer(options = {}) {
+    const port = options.port || 8091;
+    const apiKey = options.apiKey || 'mock-key';
+    const apiSecret = options.apiSecret || 'mock-secret';
+    const state = {
+        balance: options.balance || 1000,
+        dualSidePosition: Boolean(options.hedge),
+        leverage: {},
+        positions: {},                  // "SYMBOL" (one-way) or "SYMBOL:LONG|SHORT" (hedge) -> { symbol, positionSide, positionAmt, markPrice }
+        orders: [],
+        nextOrderId: 1
+    };
+
+    function send(res, status, body) {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    }
+
+    // Binance signs the raw query string minus the trailing signature parameter
+    function verify(req, rawQuery, params) {
+        if (req.headers['x-mbx-apikey'] !== apiKey) return { code: -2015, msg: 'Invalid API-key, IP, or permissions for action.' };
+        const signature = params.get('signature');
+        const payload = rawQuery.replace(/&?signature=[^&]*/, '');
+        const expected = crypto.createHmac('sha256', apiSecret).update(payload).digest('hex');
+        if (!signature || signature !== expected) return { code: -1022, msg: 'Signature for this request is not valid.' };
+        const timestamp = parseInt(params.get('timestamp'), 10);
+        const recvWindow = parseInt(params.get('recvWindow'), 10) || RECV_WINDOW_DEFAULT;
+        if (!timestamp || Math.abs(Date.now() - timestamp) > recvWindow) {
+            return { code: -1021, msg: 'Timestamp for this request is outside of the recvWindow.' };
+        }
+        return null;
+    }
+
+    function positionKey(symbol, positionSide) {
+        return positionSide && positionSide !== 'BOTH' ? `${symbol}:${positionSide}` : symbol;
+    }
+
+    function positionAmt(symbol, positionSide) {
+        const p = state.positions[positionKey(symbol, positionSide)];
+        return p ? parseFloat(p.positionAmt) : 0;
+    }
+
+    // an order that only closes: reduceOnly / closePosition, or in hedge mode the opposite side of its positionSide
+    function isClosingOrder(params, positionSide) {
+        if (params.get('reduceOnly') === 'true' || params.get('closePosition') === 'true') return true;
+        const side = params.get('side');
+        return (positionSide === 'LONG' && side === 'SELL') || (positionSide === 'SHORT' && side === 'BUY');
+    }
+
+    function placeOrder(params) {
+        const symbol = params.get('symbol');
+        const type = params.get('type');
+        const side = params.get('side');
+        const quantity = parseFloat(params.get('quantity'));
+        const closePosition = params.get('closePosition') === 'true';
+        const positionSide = params.get('positionSide') || 'BOTH';
+        if (!symbol || !side || !type) return [400, { code: -1102, msg: 'Mandatory parameter was not sent.' }];
+        if (state.dualSidePosition ? positionSide === 'BOTH' : positionSide !== 'BOTH') {
+            return [400, { code: -4061, msg: "Order's position side does not match user's setting." }];
+        }
+        if (state.dualSidePosition && params.has('reduceOnly')) return [400, { code: -1106, msg: "Parameter 'reduceOnly' sent when not required." }];
+        if (closePosition) {
+            if (type !== 'STOP_MARKET' && type !== 'TAKE_PROFIT_MARKET') return [400, { code: -4136, msg: `Target strategy invalid for orderType ${type},closePosition true` }];
+            if (params.has('quantity')) return [400, { code: -1106, msg: "Parameter 'quantity' sent when not required." }];
+        } else if (!(quantity > 0)) {
+            return [400, { code: -4003, msg: 'Quantity less than or equal to zero.' }];
+        }
+        // closePosition stops may rest without a position; reduce-only and hedge closing orders may not
+        if (!closePosition && isClosingOrder(params, positionSide)) {
+            const amt = positionAmt(symbol, positionSide);
+            const reduces = side === 'SELL' ? amt > 0 : amt < 0;
+            if (!reduces) return [400, { code: -2022, msg: 'ReduceOnly Order is rejected.' }];
+        }
+        if (type === 'LIMIT' && !(parseFloat(params.get('price')) > 0)) return [400, { code: -4014, msg: 'Price not increased by tick size.' }];
+        if (type !== 'LIMIT' && !(parseFloat(params.get('stopPrice')) > 0)) return [400, { code: -1102, msg: 'Mandatory parameter stopPrice was not sent.' }];
+        const order = {
+            orderId: state.nextOrderId++,
+            symbol,
+            side,
+            positionSide,
+            type,
+            status: 'NEW',
+            origQty: closePosition ? '0' : String(quantity),
+            executedQty: '0',
+            closePosition,
+            price: params.get('price') || '0',
+            stopPrice: params.get('stopPrice') || '0',
+            reduceOnly: params.get('reduceOnly') === 'true',
+            timeInForce: params.get('timeInForce') || 'GTC',
+            workingType: params.get('workingType') || 'CONTRACT_PRICE',
+            updateTime: Date.now()
+        };
+        state.orders.push(order);
+        return [200, order];
+    }
+
+    // fills a resting order completely at its limit / stop price and moves the position
+    function fillOrder(orderId) {
+        const order = state.orders.find(o => o.orderId === orderId && o.status === 'NEW');
+        if (!order) return [400, { code: -2013, msg: 'Order does not exist.' }];
+        const price = parseFloat(order.type === 'LIMIT' ? order.price : order.stopPrice);
+        const key = positionKey(order.symbol, order.positionSide);
+        const before = positionAmt(order.symbol, order.positionSide);
+        const qty = order.closePosition ? Math.abs(before) : parseFloat(order.origQty);
+        const amt = before + (order.side === 'BUY' ? qty : -qty);
+        if (amt === 0) delete state.positions[key];
+        else state.positions[key] = { symbol: order.symbol, positionSide: order.positionSide, positionAmt: String(amt), markPrice: String(price) };
+        Object.assign(order, { status: 'FILLED', executedQty: String(qty), avgPrice: String(price), updateTime: Date.now() });
+        return [200, order];
+    }
+
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, `http://localhost:${port}`);
+        const rawQuery = url.search.replace(/^\?/, '');
+        const params = url.searchParams;
+        const route = `${req.method} ${url.pathname}`;
+
+        if (route === 'GET /fapi/v1/ping') return send(res, 200, {});
+        if (route === 'GET /fapi/v1/time') return send(res, 200, { serverTime: Date.now() });
+        if (route === 'GET /mock/state') return send(res, 200, state);
+        if (route === 'POST /mock/position') {
+            const positionSide = params.get('positionSide') || 'BOTH';
+            state.positions[positionKey(params.get('symbol'), positionSide)] = {
+                symbol: params.get('symbol'), positionSide, positionAmt: params.get('positionAmt'), markPrice: params.get('markPrice')
+            };
+            return send(res, 200, state.positions);
+        }
+        if (route === 'POST /mock/fill') {
+            const [status, body] = fillOrder(parseInt(params.get('orderId'), 10));
+            return send(res, status, body);
+        }
+
+        const error = verify(req, rawQuery, params);
+        if (error) return send(res, 401, error);
+
+        switch (route) {
+            case 'GET /fapi/v2/balance':
+                return send(res, 200, [{ asset: 'USDT', balance: String(state.balance), availableBalance: String(state.balance) }]);
+            case 'GET /fapi/v2/positionRisk':
+                return send(res, 200, Object.values(state.positions).map(p => ({
+                    symbol: p.symbol, positionSide: p.positionSide, positionAmt: p.positionAmt, markPrice: p.markPrice, leverage: String(state.leverage[p.symbol] || 20)
+                })));
+            case 'GET /fapi/v1/openOrders': {
+                const symbol = params.get('symbol');
+                return send(res, 200, state.orders.filter(o => o.status === 'NEW' && (!symbol || o.symbol === symbol)));
+            }
+            case 'GET /fapi/v1/positionSide/dual':
+                return send(res, 200, { dualSidePosition: state.dualSidePosition });
+            case 'POST /fapi/v1/positionSide/dual':
+                state.dualSidePosition = params.get('dualSidePosition') === 'true';
+                return send(res, 200, { code: 200, msg: 'success' });
+            case 'GET /fapi/v1/order': {
+                const order = state.orders.find(o => o.symbol === params.get('symbol') && o.orderId === parseInt(params.get('orderId'), 10));
+                return order ? send(res, 200, order) : send(res, 400, { code: -2013, msg: 'Order does not exist.' });
+            }
+            case 'DELETE /fapi/v1/order': {
+                const order = state.orders.find(o => o.symbol === params.get('symbol') && o.orderId === parseInt(params.get('orderId'), 10));
+                if (!order || order.status !== 'NEW') return send(res, 400, { code: -2011, msg: 'Unknown order sent.' });
+                Object.assign(order, { status: 'CANCELED', updateTime: Date.now() });
+                return send(res, 200, order);
+            }
+            case 'POST /fapi/v1/leverage': {
+                const leverage = parseInt(params.get('leverage'), 10);
+                if (!(leverage >= 1 && leverage <= 125)) return send(res, 400, { code: -4028, msg: 'Leverage is not valid.' });
+                state.leverage[params.get('symbol')] = leverage;
+                return send(res, 200, { symbol: params.get('symbol'), leverage, maxNotionalValue: '1000000' });
+            }
+            case 'POST /fapi/v1/order': {
+                const [status, body] = placeOrder(params);
+                return send(res, status, body);
+            }
+            case 'DELETE /fapi/v1/allOpenOrders':
+                state.orders.filter(o => o.symbol === params.get('symbol') && o.status === 'NEW').forEach(o => { o.status = 'CANCELED'; });
+                return send(res, 200, { code: 200, msg: 'The operation of cancel all open order is done.' });
+            default:
+                return send(res, 404, { code: -1000, msg: `Unknown endpoint ${route}` });
+        }
+    });
+
+    return new Promise(resolve => server.listen(port, () => resolve({
+        server,
+        state,
+        close: () => {
+            server.close();
+            server.closeAllConnections();
+        }
+    })));
+}
+
+if (require.main === module) {
+    const args = parseArgs(process.argv.slice(2));
+    createMockExchangeServer({ port: args.port, balance: args.balance, hedge: args.hedge })
+        .then(() => console.log(`🧪 Mock futures exchange listening on http://localhost:${args.port || 8091}`));
+}
+
+module.exports = { createMockExchangeServer };
@@ -0,0 +1,92 @@
+process.env.EXECUTION_LIVE = 'true';
+const assert = require('assert');
+const axios = require('axios');
+const { createMockExchangeServer } = require('./exchange-server');
+const { DEFAULT_EXECUTION, createFuturesClient, executeSignal, addPendingExit, loadPendingExits, checkPendingExits } = require('../execution');
+
+// --- EXECUTION CHECK ---
+// Runs executeSignal against mock/exchange-server.js in one-way and hedge mode:
+//   npm run check:execution
+// The mock rejects what Binance rejects (reduce-only with no position, positionSide vs mode), so this
+// fails if the live path sends an order the exchange would refuse.
+
+const PORT = 18091;               // +1 in hedge mode, so no keep-alive socket outlives its server
+
+const signal = symbol => ({
+    symbol,
+    direction: 'LONG',
+    entry: '100',
+    sl: '98',
+    tp: '104',
+    targets: [{ price: '102', closePercent: 50 }, { price: '104', closePercent: 30 }, { price: '106', closePercent: 20 }]
+});
+const sizing = { position: { qty: 1, leverage: 5, notional: 100 }, specs: { stepSize: 0.001, minQty: 0.001 } };
+const execution = { ...DEFAULT_EXECUTION, enabled: true, dryRun: false };
+
+async function checkMode(hedge) {
+    const port = PORT + (hedge ? 1 : 0);
+    const baseUrl = `http://localhost:${port}`;
+    const mock = await createMockExchangeServer({ port, hedge });
+    const client = createFuturesClient({ apiKey: 'mock-key', apiSecret: 'mock-secret', baseUrl });
+    const positionSide = hedge ? 'LONG' : 'BOTH';
+    const ordersOf = symbol => mock.state.orders.filter(o => o.symbol === symbol);
+    loadPendingExits([]);
+    try {
+        // a closing TP before the entry filled is what Binance refuses
+        const earlyTp = { symbol: 'BTCUSDT', side: 'SELL', type: 'TAKE_PROFIT_MARKET', stopPrice: 102, quantity: 0.5, ...(hedge ? { positionSide } : { reduceOnly: true }) };
+        await assert.rejects(client.placeOrder(earlyTp), /-2022/);
+
+        const outcome = await executeSignal(client, signal('BTCUSDT'), sizing, execution);
+        assert.deepStrictEqual(outcome.errors, []);
+        assert.deepStrictEqual(outcome.placed.map(p => p.role), ['entry', 'sl']);
+        const [entry, sl] = ordersOf('BTCUSDT');
+        assert.strictEqual(entry.type, 'LIMIT');
+        assert.strictEqual(sl.closePosition, true);
+        assert.ok(ordersOf('BTCUSDT').every(o => o.positionSide === positionSide));
+        assert.strictEqual(outcome.pending.exits.length, 3);
+        addPendingExit(1, outcome.pending, 10);
+
+        // the symbol is busy now
+        const again = await executeSignal(client, signal('BTCUSDT'), sizing, execution);
+        assert.strictEqual(again.placed.length, 0);
+        assert.ok(again.errors.length > 0);
+
+        // nothing to do while the entry rests
+        assert.deepStrictEqual(await checkPendingExits(() => client), []);
+
+        // entry fills -> the TP ladder goes in, sized to the whole position
+        await axios.post(`${baseUrl}/mock/fill?orderId=${entry.orderId}`);
+        const [filled] = await checkPendingExits(() => client);
+        assert.strictEqual(filled.type, 'EXITS_PLACED');
+        assert.deepStrictEqual(filled.errors, []);
+        assert.strictEqual(filled.placed.length, 3);
+        const tps = ordersOf('BTCUSDT').filter(o => o.type === 'TAKE_PROFIT_MARKET');
+        assert.strictEqual(tps.reduce((s, o) => s + parseFloat(o.origQty), 0), 1);
+        assert.ok(tps.every(o => o.positionSide === positionSide && o.reduceOnly === !hedge));
+
+        // the SL still closes the position once the TPs are in
+        await axios.post(`${baseUrl}/mock/fill?orderId=${sl.orderId}`);
+        assert.strictEqual(Object.keys(mock.state.positions).length, 0);
+
+        // an entry cancelled before filling takes its SL with it
+        const second = await executeSignal(client, signal('ETHUSDT'), sizing, execution);
+        assert.deepStrictEqual(second.errors, []);
+        addPendingExit(1, second.pending, 11);
+        await client.cancelOrder('ETHUSDT', second.pending.entryOrderId);
+        const [cancelled] = await checkPendingExits(() => client);
+        assert.strictEqual(cancelled.type, 'ENTRY_CANCELLED');
+        assert.ok(ordersOf('ETHUSDT').every(o => o.status === 'CANCELED'));
+    } finally {
+        mock.close();
+    }
+}
+
+(async () => {
+    for (const hedge of [false, true]) {
+        await checkMode(hedge);
+        console.log(`✅ executeSignal against the mock (${hedge ? 'hedge' : 'one-way'} mode)`);
+    }
+})().catch(e => {
+    console.error('❌', e);
+    process.exit(1);
+});
@@ -0,0 +1,74 @@
+const http = require('http');
+const WebSocket = require('ws');
+
+// --- MOCK BINANCE KLINE STREAM ---
+// Local stand-in for wss://fstream.binance.com so streaming can be exercised offline:
+//   node mock/ws-server.js [--port 8090] [--tick-ms 1000] [--ticks-per-bar 5] [--drop-every 0]
+//   BINANCE_STREAM_URL=ws://localhost:8090 STREAMING=true npm start
+// Every tick sends an update for each subscribed stream; every ticks-per-bar ticks the bar closes (x: true).
+// drop-every N terminates each client after N ticks to exercise reconnect/backfill.
+
+const INTERVAL_MS = { '1m': 60e3, '5m': 300e3, '15m': 900e3, '1h': 3600e3, '4h': 14400e3, '1d': 86400e3 };
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i += 2) args[argv[i].replace(/^--/, '')] = parseFloat(argv[i + 1]);
+    return args;
+}
+
+function createMockStreamServer(options = {}) {
+    const port = options.port || 8090;
+    const tickMs = options.tickMs || 1000;
+    const ticksPerBar = options.ticksPerBar || 5;
+    const dropEvery = options.dropEvery || 0;
+
+    const server = http.createServer();
+    const wss = new WebSocket.Server({ server });
+
+    wss.on('connection', (ws, req) => {
+        const query = new URL(req.url, `http://localhost:${port}`).searchParams.get('streams') || '';
+        const streams = query.split('/').filter(Boolean).map(name => {
+            const [sym, kind] = name.split('@');
+            const interval = kind.replace('kline_', '');
+            const step = INTERVAL_MS[interval] || 60e3;
+            const now = Date.now();
+            return { symbol: sym.toUpperCase(), interval, step, t: now - (now % step), price: 100, open: 100, high: 100, low: 100, tick: 0 };
+        });
+        let ticks = 0;
+
+        const timer = setInterval(() => {
+            ticks++;
+            for (const s of streams) {
+                s.tick++;
+                s.price *= 1 + (Math.random() - 0.5) * 0.004;
+                s.high = Math.max(s.high, s.price);
+                s.low = Math.min(s.low, s.price);
+                const closed = s.tick % ticksPerBar === 0;
+                ws.send(JSON.stringify({
+                    stream: `${s.symbol.toLowerCase()}@kline_${s.interval}`,
+                    data: {
+                        e: 'kline', E: Date.now(), s: s.symbol,
+                        k: { t: s.t, T: s.t + s.step - 1, s: s.symbol, i: s.interval, o: String(s.open), c: String(s.price), h: String(s.high), l: String(s.low), v: String(Math.random() * 1000), x: closed }
+                    }
+                }));
+                if (closed) {
+                    s.t += s.step;
+                    s.open = s.high = s.low = s.price;
+                }
+            }
+            if (dropEvery && ticks % dropEvery === 0) ws.terminate();
+        }, tickMs);
+
+        ws.on('close', () => clearInterval(timer));
+    });
+
+    return new Promise(resolve => server.listen(port, () => resolve({ server, wss, close: () => { wss.close(); server.close(); } })));
+}
+
+if (require.main === module) {
+    const args = parseArgs(process.argv.slice(2));
+    createMockStreamServer({ port: args.port, tickMs: args['tick-ms'], ticksPerBar: args['ticks-per-bar'], dropEvery: args['drop-every'] })
+        .then(() => console.log(`🧪 Mock kline stream listening on ws://localhost:${args.port || 8090}`));
+}
+
+module.exports = { createMockStreamServer };
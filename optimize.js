@@ -0,0 +1,310 @@
+const fs = require('fs');
+const { INTERVAL_MS } = require('./analysis');
+const { DEFAULT_OPTIONS, runBacktestOnDataset, loadDataset, resolveStack, parseArgs } = require('./backtest');
+const { loadStrategyConfig, getProfile, hasProfile, listProfiles, applyOverrides } = require('./strategy');
+const { hasStack, listStacks } = require('./timeframes');
+
+// --- WALK-FORWARD PARAMETER OPTIMIZER ---
+// Sweeps strategy parameters (grid or random search) over local candle files.
+// The tradable timeline is cut into consecutive folds; each fold is split into a train
+// part (in-sample, used for ranking) and a later test part (out-of-sample, reported only).
+// Parameter sets are ranked by their mean in-sample objective, and every fold also records
+// how the best in-sample set did on the unseen test part.
+
+// dot path -> candidate values; overridable with --space <file.json>
+// grid: every combination of the arrays; random: each path sampled from its array or { min, max, integer }
+const DEFAULT_SPACE = {
+    minConfidence: [60, 65, 70],
+    biasThreshold: [0.5, 1.0, 1.5],
+    'timeframeWeights.D1': [1.0, 1.5, 2.0],
+    'timeframeWeights.15M': [0.5, 0.8, 1.2],
+    'scoreWeights.trend': [15, 25, 35],
+    'scoreWeights.volumeMax': [15, 30],
+    'scoreWeights.orderBlockEach': [2, 4, 6],
+    'stopLoss.fallbackAtr': [0.6, 0.8, 1.0, 1.2],
+    'takeProfit.fallbackAtr': [0.8, 1.2],
+    'rr.min': [1.2, 1.5, 2.0]
+};
+
+const OPTIMIZER_DEFAULTS = {
+    mode: 'random',
+    iterations: 30,       // random mode: parameter sets to try (plus the unmodified profile)
+    maxCandidates: 500,   // grid mode refuses bigger spaces
+    folds: 3,
+    trainRatio: 0.7,
+    objective: 'expectancy',
+    minTrades: 5,         // fewer filled trades than this scores as unusable
+    top: 10,
+    seed: 1
+};
+
+const OBJECTIVES = {
+    expectancy: s => s.expectancy,
+    totalR: s => s.totalR,
+    winRate: s => s.winRate,
+    finalEquity: s => s.finalEquity
+};
+
+// --- SEARCH SPACE ---
+// small seeded PRNG (mulberry32) so random searches are reproducible
+function createRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// { 'stopLoss.fallbackAtr': 1 } -> { stopLoss: { fallbackAtr: 1 } }
+function toOverrides(flat) {
+    const out = {};
+    for (const [key, value] of Object.entries(flat)) {
+        const parts = key.split('.');
+        let node = out;
+        parts.slice(0, -1).forEach(p => { node = node[p] = node[p] || {}; });
+        node[parts[parts.length - 1]] = value;
+    }
+    return out;
+}
+
+function gridCandidates(space, maxCandidates) {
+    const keys = Object.keys(space);
+    for (const key of keys) {
+        if (!Array.isArray(space[key])) throw new Error(`Grid search needs a list of values for "${key}"`);
+    }
+    const total = keys.reduce((n, k) => n * space[k].length, 1);
+    if (total > maxCandidates) {
+        throw new Error(`Grid has ${total} combinations (max ${maxCandidates}) — shrink the space or use --mode random`);
+    }
+    let combos = [{}];
+    for (const key of keys) {
+        combos = combos.flatMap(c => space[key].map(v => ({ ...c, [key]: v })));
+    }
+    return combos;
+}
+
+function randomCandidates(space, iterations, seed) {
+    const random = createRandom(seed);
+    const sample = spec => {
+        if (Array.isArray(spec)) return spec[Math.floor(random() * spec.length)];
+        const value = spec.min + random() * (spec.max - spec.min);
+        return spec.integer ? Math.round(value) : parseFloat(value.toFixed(3));
+    };
+    const seen = new Set();
+    const combos = [];
+    for (let i = 0; i < iterations * 10 && combos.length < iterations; i++) {
+        const combo = {};
+        for (const [key, spec] of Object.entries(space)) combo[key] = sample(spec);
+        const id = JSON.stringify(combo);
+        if (!seen.has(id)) { seen.add(id); combos.push(combo); }
+    }
+    return combos;
+}
+
+// --- WALK-FORWARD SPLITS ---
+// first decision time with enough warmup on every TF .. last entry-TF bar, across all symbols
+function tradableRange(dataset, warmup, stack) {
+    let start = Infinity, end = -Infinity;
+    for (const seriesByTf of Object.values(dataset)) {
+        let ready = -Infinity;
+        for (const tf of stack.timeframes) {
+            const series = seriesByTf[tf.label];
+            if (!series || series.length === 0) continue;
+            if (series.length <= warmup) { ready = Infinity; break; }
+            ready = Math.max(ready, series[warmup - 1].t + INTERVAL_MS[tf.interval]);
+        }
+        const entry = seriesByTf[stack.entry];
+        if (!entry || entry.length === 0 || ready === Infinity) continue;
+        start = Math.min(start, ready);
+        end = Math.max(end, entry[entry.length - 1].t);
+    }
+    if (!isFinite(start) || start >= end) throw new Error('Not enough candle history for a walk-forward split');
+    return { start, end };
+}
+
+function walkForwardFolds({ start, end }, folds, trainRatio) {
+    const size = (end - start) / folds;
+    return Array.from({ length: folds }, (_, k) => {
+        const from = start + size * k;
+        const split = from + size * trainRatio;
+        return { fold: k + 1, train: { from, to: split }, test: { from: split, to: from + size } };
+    });
+}
+
+// --- EVALUATION ---
+function score(stats, objective, minTrades) {
+    return stats.filled < minTrades ? -Infinity : OBJECTIVES[objective](stats);
+}
+
+function pickStats(s) {
+    return {
+        signals: s.signals,
+        filled: s.filled,
+        winRate: s.winRate,
+        expectancy: s.expectancy,
+        totalR: s.totalR,
+        maxDrawdown: s.maxDrawdown,
+        finalEquity: s.finalEquity
+    };
+}
+
+// combined stats of several segments (trade-weighted)
+function mergeStats(list) {
+    const filled = list.reduce((n, s) => n + s.filled, 0);
+    const totalR = list.reduce((n, s) => n + s.totalR, 0);
+    const wins = list.reduce((n, s) => n + s.winRate / 100 * s.filled, 0);
+    return {
+        signals: list.reduce((n, s) => n + s.signals, 0),
+        filled,
+        winRate: filled ? (wins / filled) * 100 : 0,
+        expectancy: filled ? totalR / filled : 0,
+        totalR,
+        maxDrawdown: Math.max(0, ...list.map(s => s.maxDrawdown))
+    };
+}
+
+function runOptimization(dataDir, userOptions = {}) {
+    const options = { ...OPTIMIZER_DEFAULTS, ...userOptions };
+    if (!OBJECTIVES[options.objective]) throw new Error(`Unknown objective "${options.objective}". Use: ${Object.keys(OBJECTIVES).join(', ')}`);
+    const base = options.baseParams || getProfile();
+    const space = options.space || DEFAULT_SPACE;
+    // the profile's own minConfidence is the threshold being tuned, not the backtest filter
+    const btOptions = { ...DEFAULT_OPTIONS, step: 4, ...options.backtest, minConfidence: 0 };
+
+    for (const key of Object.keys(space)) {
+        const value = key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), base);
+        if (typeof value !== 'number') throw new Error(`Search space key "${key}" is not a numeric strategy parameter`);
+    }
+
+    const stack = resolveStack({ ...btOptions, params: base });
+    const dataset = loadDataset(dataDir, options.symbols, stack.timeframes);
+    const folds = walkForwardFolds(tradableRange(dataset, btOptions.warmup, stack), options.folds, options.trainRatio);
+    const combos = options.mode === 'grid'
+        ? gridCandidates(space, options.maxCandidates)
+        : randomCandidates(space, options.iterations, options.seed);
+
+    const candidates = [];
+    const seen = new Set();
+    for (const flat of [{}, ...combos]) {
+        let params;
+        try {
+            params = applyOverrides(base, toOverrides(flat), `${base.name}-opt`);
+        } catch (e) {
+            continue; // e.g. rr.min above rr.max
+        }
+        const id = JSON.stringify(flat);
+        if (seen.has(id)) continue;
+        seen.add(id);
+        candidates.push({ id: candidates.length, overrides: flat, params, folds: [] });
+    }
+
+    candidates.forEach((c, n) => {
+        for (const f of folds) {
+            const train = runBacktestOnDataset(dataset, { ...btOptions, params: c.params, ...f.train }).overall;
+            const test = runBacktestOnDataset(dataset, { ...btOptions, params: c.params, ...f.test }).overall;
+            c.folds.push({ fold: f.fold, train: pickStats(train), test: pickStats(test), trainScore: score(train, options.objective, options.minTrades) });
+        }
+        c.inSample = mergeStats(c.folds.map(x => x.train));
+        c.outOfSample = mergeStats(c.folds.map(x => x.test));
+        c.trainScore = c.folds.reduce((s, x) => s + x.trainScore, 0) / c.folds.length;
+        if (options.onProgress) options.onProgress(n + 1, candidates.length);
+    });
+
+    // per fold: the set a trader would have picked from the train part, judged on the test part
+    const walkForward = folds.map((f, k) => {
+        const best = candidates.reduce((a, b) => b.folds[k].trainScore > a.folds[k].trainScore ? b : a);
+        return { fold: f.fold, train: f.train, test: f.test, candidate: best.id, trainStats: best.folds[k].train, testStats: best.folds[k].test };
+    });
+
+    const ranked = [...candidates].sort((a, b) => b.trainScore - a.trainScore);
+    return {
+        options: { ...options, baseParams: undefined, space },
+        baseProfile: base.name,
+        folds,
+        walkForward,
+        walkForwardStats: mergeStats(walkForward.map(w => w.testStats)),
+        ranked: ranked.map(c => ({
+            id: c.id,
+            overrides: c.overrides,
+            profileOverrides: toOverrides(c.overrides),
+            trainScore: c.trainScore,
+            inSample: c.inSample,
+            outOfSample: c.outOfSample,
+            folds: c.folds
+        }))
+    };
+}
+
+// --- CLI ---
+function fmtRow(c) {
+    const s = v => (isFinite(v) ? v.toFixed(2) : '  n/a').padStart(7);
+    const diff = Object.entries(c.overrides).map(([k, v]) => `${k}=${v}`).join(' ') || '(profile as is)';
+    return `#${String(c.id).padEnd(4)} train=${s(c.trainScore)} | IS exp=${s(c.inSample.expectancy)}R n=${String(c.inSample.filled).padStart(3)} | ` +
+        `OOS exp=${s(c.outOfSample.expectancy)}R win=${c.outOfSample.winRate.toFixed(1).padStart(5)}% n=${String(c.outOfSample.filled).padStart(3)} | ${diff}`;
+}
+
+if (require.main === module) {
+    const args = parseArgs(process.argv.slice(2));
+    if (!args.data) {
+        console.log('Usage: node optimize.js --data <dir> [--mode random|grid] [--iterations 30] [--folds 3] [--train-ratio 0.7] ' +
+            '[--objective expectancy|totalR|winRate|finalEquity] [--min-trades 5] [--space space.json] [--profile default] [--stack standard] ' +
+            '[--strategy strategy.json] [--symbols BTCUSDT,...] [--step 4] [--seed 1] [--top 10] [--out report.json]');
+        process.exit(1);
+    }
+    try {
+        loadStrategyConfig(args.strategy || undefined);
+    } catch (e) {
+        if (args.strategy) { console.error(e.message); process.exit(1); }
+        console.warn(`⚠️ ${e.message} — using built-in defaults`);
+    }
+    if (args.profile && !hasProfile(args.profile)) {
+        console.error(`Unknown profile "${args.profile}". Available: ${listProfiles().join(', ')}`);
+        process.exit(1);
+    }
+
+    const options = { baseParams: getProfile(args.profile), backtest: {} };
+    for (const key of ['iterations', 'maxCandidates', 'folds', 'trainRatio', 'minTrades', 'top', 'seed']) {
+        if (args[key] !== undefined) options[key] = parseFloat(args[key]);
+    }
+    if (args.mode) options.mode = args.mode;
+    if (args.objective) options.objective = args.objective;
+    if (args.symbols) options.symbols = String(args.symbols).split(',').map(s => s.trim().toUpperCase());
+    if (args.space) options.space = JSON.parse(fs.readFileSync(args.space, 'utf8'));
+    for (const key of ['window', 'warmup', 'step', 'fillBars', 'maxBars', 'balance', 'riskPercent']) {
+        if (args[key] !== undefined) options.backtest[key] = parseFloat(args[key]);
+    }
+    if (args.stack) {
+        if (!hasStack(args.stack)) {
+            console.error(`Unknown timeframe stack "${args.stack}". Available: ${listStacks().join(', ')}`);
+            process.exit(1);
+        }
+        options.backtest.stack = args.stack;
+    }
+    options.onProgress = (done, total) => process.stdout.write(`\r⏳ ${done}/${total} parameter sets`);
+
+    let report;
+    try {
+        report = runOptimization(args.data, options);
+    } catch (e) {
+        console.error(`\n${e.message}`);
+        process.exit(1);
+    }
+    process.stdout.write('\n');
+    const fmtDay = t => new Date(t).toISOString().slice(0, 10);
+    for (const w of report.walkForward) {
+        console.log(`Fold ${w.fold}: train ${fmtDay(w.train.from)}..${fmtDay(w.train.to)} test ..${fmtDay(w.test.to)} ` +
+            `best #${w.candidate} → OOS exp=${w.testStats.expectancy.toFixed(2)}R n=${w.testStats.filled}`);
+    }
+    const wf = report.walkForwardStats;
+    console.log(`Walk-forward OOS: exp=${wf.expectancy.toFixed(2)}R win=${wf.winRate.toFixed(1)}% n=${wf.filled}\n`);
+    report.ranked.slice(0, options.top || OPTIMIZER_DEFAULTS.top).forEach(c => console.log(fmtRow(c)));
+    if (args.out) {
+        fs.writeFileSync(args.out, JSON.stringify(report, null, 2));
+        console.log(`📝 Report written to ${args.out} (ranked[n].profileOverrides can be pasted into strategy.json)`);
+    }
+}
+
+module.exports = { runOptimization, walkForwardFolds, gridCandidates, randomCandidates, DEFAULT_SPACE };
@@ -0,0 +1,68 @@
+// --- SIGNAL OUTCOME RESOLUTION ---
+// Walks the candles that formed AFTER a signal was issued and decides what happened to it:
+// limit entry filled or not, then TP or SL first, or expiry.
+// Ambiguous bars are resolved conservatively: a bar touching both SL and TP counts as SL,
+// and on the fill bar only SL is checked (we cannot know whether TP came before the fill).
+
+const DEFAULT_FILL_BARS = 16;   // entry must fill within this many bars
+const DEFAULT_MAX_BARS = 96;    // filled trade is closed at market after this many bars
+
+function calculateR(direction, entry, sl, exitPrice) {
+    const risk = Math.abs(entry - sl);
+    if (risk === 0) return 0;
+    return direction === 'LONG' ? (exitPrice - entry) / risk : (entry - exitPrice) / risk;
+}
+
+// signal: { direction, entry, sl, tp } (strings from analyzeSymbol are accepted)
+// candles: bars strictly after the signal, oldest first
+// returns { status: 'PENDING' | 'OPEN' | 'TP' | 'SL' | 'EXPIRED', filled, ... }
+function resolveSignal(signal, candles, options = {}) {
+    const fillBars = options.fillBars || DEFAULT_FILL_BARS;
+    const maxBars = options.maxBars || DEFAULT_MAX_BARS;
+    const direction = signal.direction;
+    const entry = parseFloat(signal.entry);
+    const sl = parseFloat(signal.sl);
+    const tp = parseFloat(signal.tp);
+    const isLong = direction === 'LONG';
+
+    const outcome = { status: 'PENDING', filled: false, fillIndex: -1, fillTime: null, exitIndex: -1, exitTime: null, exitPrice: null, r: 0 };
+    if (!candles || candles.length === 0) return outcome;
+
+    for (let i = 0; i < candles.length; i++) {
+        const c = candles[i];
+
+        if (!outcome.filled) {
+            const touched = isLong ? c.low <= entry : c.high >= entry;
+            if (!touched) {
+                if (i + 1 >= fillBars) {
+                    return { ...outcome, status: 'EXPIRED', exitIndex: i, exitTime: c.t };
+                }
+                continue;
+            }
+            outcome.filled = true;
+            outcome.fillIndex = i;
+            outcome.fillTime = c.t;
+            const slOnFillBar = isLong ? c.low <= sl : c.high >= sl;
+            if (slOnFillBar) {
+                return { ...outcome, status: 'SL', exitIndex: i, exitTime: c.t, exitPrice: sl, r: calculateR(direction, entry, sl, sl) };
+            }
+            continue;
+        }
+
+        const slHit = isLong ? c.low <= sl : c.high >= sl;
+        const tpHit = isLong ? c.high >= tp : c.low <= tp;
+        if (slHit) {
+            return { ...outcome, status: 'SL', exitIndex: i, exitTime: c.t, exitPrice: sl, r: calculateR(direction, entry, sl, sl) };
+        }
+        if (tpHit) {
+            return { ...outcome, status: 'TP', exitIndex: i, exitTime: c.t, exitPrice: tp, r: calculateR(direction, entry, sl, tp) };
+        }
+        if (i - outcome.fillIndex >= maxBars) {
+            return { ...outcome, status: 'EXPIRED', exitIndex: i, exitTime: c.t, exitPrice: c.close, r: calculateR(direction, entry, sl, c.close) };
+        }
+    }
+
+    return { ...outcome, status: outcome.filled ? 'OPEN' : 'PENDING' };
+}
+
+module.exports = { resolveSignal, calculateR, DEFAULT_FILL_BARS, DEFAULT_MAX_BARS };
@@ -0,0 +1,406 @@
+const moment = require('moment-timezone');
+const { getCandles, loadCandlesWithSource, INTERVAL_MS } = require('./candles');
+const { calculatePositionSize, roundToStep, formatQty, formatPrice } = require('./sizing');
+
+// --- PAPER TRADING ---
+// Simulated per-user accounts: every signal a paper user receives becomes a limit order at the entry,
+// then follows the TP ladder (partial closes, breakeven after TP1, ATR trailing after TP2).
+// Positions are re-simulated from their creation on every pass (like the tracker), so a restart
+// or a missed pass never double-counts fills; only new events are journaled and reported.
+
+const PAPER_INTERVAL = '15m';
+const PAPER_FILL_BARS = 16;           // 4h for the limit entry to fill
+const PAPER_MAX_BARS = 96;            // close at market after 24h
+const MAKER_FEE = 0.0002;             // limit entry and TP orders
+const TAKER_FEE = 0.0005;             // stops and market exits
+const FUNDING_RATE_8H = 0.0001;       // typical 0.01% / 8h: longs pay, shorts receive
+const MAX_JOURNAL = 200;
+const MAX_CLOSED = 100;
+const DEFAULT_PAPER_BALANCE = 1000;
+
+const accounts = new Map(); // chatId -> account
+
+function createAccount(balance, riskPercent, leverage) {
+    return {
+        enabled: true,
+        startBalance: balance,
+        riskPercent,
+        leverage,
+        realized: 0,          // net PnL of closed positions (after fees and funding)
+        wins: 0,
+        losses: 0,
+        positions: [],        // PENDING / OPEN
+        closed: [],           // most recent closed / cancelled positions
+        journal: [],
+        nextId: 1,
+        createdAt: Date.now()
+    };
+}
+
+function getPaperAccount(chatId) {
+    return accounts.get(chatId) || null;
+}
+
+function isPaperEnabled(chatId) {
+    const account = accounts.get(chatId);
+    return Boolean(account && account.enabled);
+}
+
+// keeps an existing account (and its history) unless reset is requested
+function enablePaper(chatId, { balance, riskPercent, leverage }, reset = false) {
+    let account = accounts.get(chatId);
+    if (!account || reset) {
+        account = createAccount(balance || DEFAULT_PAPER_BALANCE, riskPercent, leverage);
+        accounts.set(chatId, account);
+    }
+    account.enabled = true;
+    return account;
+}
+
+// stops taking new signals; open positions keep being marked until they close
+function disablePaper(chatId) {
+    const account = accounts.get(chatId);
+    if (account) account.enabled = false;
+    return account;
+}
+
+function setPaperRisk(chatId, riskPercent) {
+    const account = accounts.get(chatId);
+    if (account) account.riskPercent = riskPercent;
+    return account;
+}
+
+function positionNet(p) {
+    return p.realized - p.fees - p.funding;
+}
+
+// cash balance: start + closed net + what open positions already realized
+function getCashBalance(account) {
+    return account.startBalance + account.realized + account.positions.reduce((s, p) => s + positionNet(p), 0);
+}
+
+function getUnrealized(account) {
+    return account.positions.reduce((s, p) => s + (p.unrealized || 0), 0);
+}
+
+function usedMargin(account) {
+    return account.positions.reduce((s, p) => s + (p.remainingQty * p.entry) / p.leverage, 0);
+}
+
+// signal: analyzeSymbol result; returns { position } or { error }
+// the signal's TP ladder in simulatePosition's terms; signals without targets close everything at tp
+function ladderFromSignal(signal) {
+    return {
+        targets: (signal.targets && signal.targets.length ? signal.targets : [{ price: signal.tp, closePercent: 100 }])
+            .map(t => ({ price: parseFloat(t.price), closePercent: t.closePercent })),
+        breakevenAfter: signal.breakeven ? parseInt(signal.breakeven.after.slice(2), 10) - 1 : null,
+        trailing: signal.trailing ? { after: parseInt(signal.trailing.activateAfter.slice(2), 10) - 1, distance: parseFloat(signal.trailing.distance) } : null
+    };
+}
+
+function openPaperPosition(chatId, signal, specs) {
+    const account = accounts.get(chatId);
+    if (!account || !account.enabled) return { error: 'Paper trading đang tắt' };
+    if (account.positions.some(p => p.symbol === signal.symbol)) {
+        return { error: `Đã có vị thế paper ${signal.symbol}` };
+    }
+
+    const entry = parseFloat(signal.entry);
+    const sl = parseFloat(signal.sl);
+    const balance = getCashBalance(account);
+    const size = calculatePositionSize({ balance, riskPercent: account.riskPercent, leverage: account.leverage }, specs, entry, sl, signal.direction);
+    if (size.qty <= 0) return { error: size.warnings.join('; ') || 'Khối lượng bằng 0' };
+    if (usedMargin(account) + size.margin > balance) {
+        return { error: `Không đủ margin trống (cần ${size.margin.toFixed(2)} USDT)` };
+    }
+
+    const position = {
+        id: account.nextId++,
+        symbol: signal.symbol,
+        direction: signal.direction,
+        profile: signal.profile || null,
+        confidence: signal.confidence,
+        entry,
+        sl,
+        ...ladderFromSignal(signal),
+        qty: size.qty,
+        stepSize: specs && specs.stepSize,       // kept for rounding partial closes and formatting
+        tickSize: specs && specs.tickSize,
+        leverage: account.leverage,
+        createdAt: Date.now(),
+        // simulated state (rebuilt on every pass)
+        status: 'PENDING',
+        fillPrice: null,
+        remainingQty: size.qty,
+        stop: sl,
+        realized: 0,
+        fees: 0,
+        funding: 0,
+        unrealized: 0,
+        markPrice: entry,
+        eventCount: 0
+    };
+    account.positions.push(position);
+    appendJournal(account, position, { type: 'ORDER', time: position.createdAt, price: entry, qty: size.qty, pnl: 0, fee: 0 });
+    return { position };
+}
+
+function appendJournal(account, position, event) {
+    account.journal.push({ positionId: position.id, symbol: position.symbol, direction: position.direction, ...event });
+    if (account.journal.length > MAX_JOURNAL) account.journal = account.journal.slice(-MAX_JOURNAL);
+}
+
+// --- SIMULATION ---
+// Replays closed bars since the order was placed. Conservative like outcome.js: on the fill bar only
+// the stop is checked, and a bar that touches both the stop and a target counts as the stop.
+// The limit entry fills on the same rule as outcome.js (the bar trades through it, gaps included),
+// at the open when the bar opens beyond the entry; PnL and breakeven use that fill price.
+function simulatePosition(position, bars) {
+    const isLong = position.direction === 'LONG';
+    const sign = isLong ? 1 : -1;
+    const barHours = INTERVAL_MS[PAPER_INTERVAL] / 3600000;
+    const s = { status: 'PENDING', fillPrice: null, remainingQty: position.qty, stop: position.sl, stopType: 'SL', realized: 0, fees: 0, funding: 0, events: [], trailingActive: false };
+    const hitStop = bar => (isLong ? bar.low <= s.stop : bar.high >= s.stop);
+    const closeSlice = (type, time, price, qty, feeRate) => {
+        const pnl = sign * (price - s.fillPrice) * qty;
+        const fee = qty * price * feeRate;
+        s.realized += pnl;
+        s.fees += fee;
+        s.remainingQty = Math.max(0, s.remainingQty - qty);
+        s.events.push({ type, time, price, qty, pnl, fee });
+    };
+    const closeAll = (type, time, price, feeRate) => {
+        closeSlice(type, time, price, s.remainingQty, feeRate);
+        s.status = 'CLOSED';
+        s.exitTime = time;
+    };
+
+    let held = 0;
+    for (let k = 0; k < bars.length && (s.status === 'PENDING' || s.status === 'OPEN'); k++) {
+        const bar = bars[k];
+        if (s.status === 'PENDING') {
+            if (k >= PAPER_FILL_BARS) {
+                s.status = 'CANCELLED';
+                s.exitTime = bar.t;
+                s.events.push({ type: 'CANCEL', time: bar.t, price: position.entry, qty: 0, pnl: 0, fee: 0 });
+                break;
+            }
+            if (isLong ? bar.low <= position.entry : bar.high >= position.entry) {
+                s.status = 'OPEN';
+                s.fillPrice = isLong ? Math.min(bar.open, position.entry) : Math.max(bar.open, position.entry);
+                const fee = position.qty * s.fillPrice * MAKER_FEE;
+                s.fees += fee;
+                s.events.push({ type: 'FILL', time: bar.t, price: s.fillPrice, qty: position.qty, pnl: 0, fee });
+                if (hitStop(bar)) closeAll(s.stopType, bar.t, s.stop, TAKER_FEE);
+            }
+            continue;
+        }
+
+        held++;
+        s.funding += sign * s.remainingQty * bar.close * FUNDING_RATE_8H * (barHours / 8);
+        if (hitStop(bar)) {
+            closeAll(s.stopType, bar.t, s.stop, TAKER_FEE);
+            break;
+        }
+        for (let i = 0; i < position.targets.length && s.status === 'OPEN'; i++) {
+            const t = position.targets[i];
+            if (s.events.some(e => e.type === `TP${i + 1}`)) continue;
+            const reached = isLong ? bar.high >= t.price : bar.low <= t.price;
+            if (!reached) break; // targets are hit in order
+            const last = i === position.targets.length - 1;
+            const qty = last ? s.remainingQty : Math.min(s.remainingQty, roundToStep(position.qty * t.closePercent / 100, position.stepSize, 'floor'));
+            closeSlice(`TP${i + 1}`, bar.t, t.price, qty, MAKER_FEE);
+            if (s.remainingQty <= 0) { s.status = 'CLOSED'; s.exitTime = bar.t; break; }
+            if (i === position.breakevenAfter && sign * (s.fillPrice - s.stop) > 0) {
+                s.stop = s.fillPrice;
+                s.stopType = 'BE';
+            }
+            if (position.trailing && i === position.trailing.after) s.trailingActive = true;
+        }
+        if (s.status !== 'OPEN') break;
+        if (s.trailingActive) {
+            const trail = isLong ? bar.high - position.trailing.distance : bar.low + position.trailing.distance;
+            if (sign * (trail - s.stop) > 0) { s.stop = trail; s.stopType = 'TRAIL'; }
+        }
+        if (held >= PAPER_MAX_BARS) closeAll('EXPIRE', bar.t, bar.close, TAKER_FEE);
+    }
+    return s;
+}
+
+// bars from the position's creation on; when the recent window no longer reaches back that far
+// (e.g. after downtime) they are loaded from createdAt, like the tracker does
+async function candlesSince(position, recent) {
+    if (recent.length > 0 && recent[0].t <= position.createdAt) return recent.filter(c => c.t >= position.createdAt);
+    const { candles } = await loadCandlesWithSource(position.symbol, PAPER_INTERVAL, PAPER_FILL_BARS + PAPER_MAX_BARS + 1, { startTime: position.createdAt });
+    return candles.filter(c => c.t >= position.createdAt);
+}
+
+// Mark every open paper position; returns [{ chatId, position, event }] for events not reported before
+async function markPaperPositions(now = Date.now()) {
+    const newEvents = [];
+    const symbols = new Set();
+    for (const account of accounts.values()) account.positions.forEach(p => symbols.add(p.symbol));
+
+    const candlesBySymbol = {};
+    for (const symbol of symbols) {
+        try {
+            candlesBySymbol[symbol] = await getCandles(symbol, PAPER_INTERVAL, 200);
+        } catch (e) {
+            console.warn(`Paper mark failed for ${symbol}: ${e.message || e}`);
+        }
+    }
+
+    for (const [chatId, account] of accounts) {
+        for (const position of [...account.positions]) {
+            const candles = candlesBySymbol[position.symbol];
+            if (!candles || candles.length === 0) continue;
+            let since;
+            try {
+                since = await candlesSince(position, candles);
+            } catch (e) {
+                console.warn(`Paper history load failed for ${position.symbol}: ${e.message || e}`);
+                continue;
+            }
+            const bars = since.filter(c => c.t + INTERVAL_MS[PAPER_INTERVAL] <= now);
+            const s = simulatePosition(position, bars);
+            const mark = candles[candles.length - 1].close;
+
+            Object.assign(position, {
+                status: s.status,
+                remainingQty: s.remainingQty,
+                stop: s.stop,
+                realized: s.realized,
+                fees: s.fees,
+                funding: s.funding,
+                fillPrice: s.fillPrice,
+                markPrice: mark,
+                unrealized: s.status === 'OPEN' ? (position.direction === 'LONG' ? 1 : -1) * (mark - s.fillPrice) * s.remainingQty : 0
+            });
+            for (const event of s.events.slice(position.eventCount)) {
+                appendJournal(account, position, event);
+                newEvents.push({ chatId, position, event });
+            }
+            position.eventCount = s.events.length;
+
+            if (s.status === 'CLOSED' || s.status === 'CANCELLED') {
+                position.exitTime = s.exitTime;
+                account.realized += positionNet(position);
+                if (s.status === 'CLOSED') positionNet(position) > 0 ? account.wins++ : account.losses++;
+                account.positions = account.positions.filter(p => p !== position);
+                account.closed.push(position);
+                if (account.closed.length > MAX_CLOSED) account.closed = account.closed.slice(-MAX_CLOSED);
+            }
+        }
+    }
+    return newEvents;
+}
+
+// --- PERSISTENCE ---
+function getPaperAccounts() {
+    return [...accounts.entries()];
+}
+
+function loadPaperAccounts(entries) {
+    accounts.clear();
+    for (const [chatId, account] of entries || []) accounts.set(chatId, account);
+}
+
+// --- FORMATTING ---
+function fmtUsd(v) {
+    return `${v >= 0 ? '+' : ''}${v.toFixed(2)}`;
+}
+
+const EVENT_LABELS = {
+    ORDER: '📝 Đặt lệnh chờ',
+    FILL: '✅ Khớp Entry',
+    TP1: '🎯 TP1',
+    TP2: '🎯 TP2',
+    TP3: '🎯 TP3',
+    SL: '❌ Stop-Loss',
+    BE: '🔒 Đóng hòa vốn',
+    TRAIL: '🧵 Trailing stop',
+    EXPIRE: '⌛ Hết thời gian giữ lệnh',
+    CANCEL: '🚫 Hủy lệnh (không khớp)'
+};
+
+function formatPaperEvent(position, event) {
+    const coin = position.symbol.replace('USDT', '');
+    let text = `🧪 PAPER #${position.id} ${coin} ${position.direction} — ${EVENT_LABELS[event.type] || event.type} @ ${formatPrice(event.price, position)}`;
+    if (event.type.startsWith('TP') || ['SL', 'BE', 'TRAIL', 'EXPIRE'].includes(event.type)) {
+        text += `\nĐóng ${formatQty(event.qty, position)} ${coin}: PnL ${fmtUsd(event.pnl)} USDT (phí ${event.fee.toFixed(2)})`;
+    }
+    if (position.breakevenAfter !== null && event.type === `TP${position.breakevenAfter + 1}` && event.qty < position.qty) {
+        text += `\n🔒 SL dời về Entry`;
+    }
+    return text;
+}
+
+function formatPaperStatus(account) {
+    if (!account) return '🧪 Paper trading chưa bật. Gõ /paper on [số dư] để bắt đầu.';
+    return `🧪 PAPER TRADING: ${account.enabled ? '✅ Bật' : '⏸️ Tắt'}\n` +
+        `💰 Số dư ban đầu: ${account.startBalance} USDT | Rủi ro: ${account.riskPercent}% | x${account.leverage}\n` +
+        `📂 Vị thế đang mở/chờ: ${account.positions.length}\n\n` +
+        `Lệnh: /paper on [số dư], /paper off, /paper reset [số dư], /paper risk <%>, /positions, /pnl, /journal`;
+}
+
+function formatPositions(account) {
+    if (!account || account.positions.length === 0) return '📂 Không có vị thế paper nào đang mở.';
+    let text = `📂 VỊ THẾ PAPER (${account.positions.length})\n`;
+    for (const p of account.positions) {
+        const coin = p.symbol.replace('USDT', '');
+        text += `\n#${p.id} ${coin} ${p.direction} — ${p.status === 'PENDING' ? '⏳ chờ khớp' : '🟡 đang mở'}\n` +
+            `Entry ${formatPrice(p.entry, p)} | SL ${formatPrice(p.stop, p)} | Giá ${formatPrice(p.markPrice, p)}\n` +
+            `Khối lượng ${formatQty(p.remainingQty, p)}/${formatQty(p.qty, p)} ${coin}`;
+        if (p.status === 'OPEN') text += ` | uPnL ${fmtUsd(p.unrealized)} USDT`;
+        text += `\n`;
+    }
+    return text;
+}
+
+function formatPnl(account) {
+    if (!account) return formatPaperStatus(null);
+    const cash = getCashBalance(account);
+    const unrealized = getUnrealized(account);
+    const equity = cash + unrealized;
+    const all = [...account.closed, ...account.positions];
+    const fees = all.reduce((s, p) => s + p.fees, 0);
+    const funding = all.reduce((s, p) => s + p.funding, 0);
+    return `📊 PAPER PnL\n\n` +
+        `💰 Số dư: ${cash.toFixed(2)} USDT (ban đầu ${account.startBalance})\n` +
+        `✅ Đã chốt: ${fmtUsd(account.realized + account.positions.reduce((s, p) => s + positionNet(p), 0))} USDT\n` +
+        `⏳ Chưa chốt: ${fmtUsd(unrealized)} USDT\n` +
+        `🏦 Equity: ${equity.toFixed(2)} USDT (${fmtUsd((equity / account.startBalance - 1) * 100)}%)\n` +
+        `💸 Phí: ${fees.toFixed(2)} USDT | Funding (ước tính): ${fmtUsd(-funding)} USDT\n` +
+        `📈 Lệnh đã đóng: ${account.wins + account.losses} (thắng ${account.wins}, thua ${account.losses})`;
+}
+
+function formatJournal(account, limit = 15) {
+    if (!account || account.journal.length === 0) return '📓 Nhật ký paper trống.';
+    let text = `📓 NHẬT KÝ PAPER (${Math.min(limit, account.journal.length)} gần nhất)\n\n`;
+    for (const e of account.journal.slice(-limit).reverse()) {
+        text += `${moment(e.time).tz('Asia/Ho_Chi_Minh').format('DD/MM HH:mm')} #${e.positionId} ${e.symbol.replace('USDT', '')} ${e.direction} ${EVENT_LABELS[e.type] || e.type} @ ${e.price > 10 ? e.price.toFixed(2) : e.price.toFixed(4)}`;
+        if (e.pnl) text += ` PnL ${fmtUsd(e.pnl)}`;
+        text += `\n`;
+    }
+    return text;
+}
+
+module.exports = {
+    DEFAULT_PAPER_BALANCE,
+    getPaperAccount,
+    isPaperEnabled,
+    enablePaper,
+    disablePaper,
+    setPaperRisk,
+    openPaperPosition,
+    simulatePosition,
+    ladderFromSignal,
+    markPaperPositions,
+    getPaperAccounts,
+    loadPaperAccounts,
+    formatPaperEvent,
+    formatPaperStatus,
+    formatPositions,
+    formatPnl,
+    formatJournal
+};
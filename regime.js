@@ -0,0 +1,96 @@
+const { calculateATRSeries } = require('./indicators');
+
+// --- MARKET REGIME ---
+// Classifies one timeframe of a symbol (the stack's structure TF, see timeframes.js), first match wins:
+//   lowLiquidity    average quote volume, scaled to one hour, below settings.minQuoteVolume
+//   highVolatility  ATR in the top percentile of its recent history, or the last bar spans spikeAtr x ATR
+//   trending        structure has a trend and price moved efficiently (net move / path length)
+//   ranging         everything else
+// Each regime has its own actions in the strategy profile (params.regime.<id>): skip, minConfidenceAdjust, slAtrMultiplier.
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const REGIMES = ['trending', 'ranging', 'highVolatility', 'lowLiquidity'];
+
+const REGIME_LABELS = {
+    trending: '📈 Trending',
+    ranging: '↔️ Ranging',
+    highVolatility: '🌪️ Biến động mạnh',
+    lowLiquidity: '💧 Thanh khoản thấp'
+};
+
+// share of `values` at or below `value`, 0..100
+function percentileRank(values, value) {
+    if (values.length === 0) return 50;
+    return (values.filter(v => v <= value).length / values.length) * 100;
+}
+
+// |close_now - close_n_bars_ago| / sum of |bar-to-bar moves|, 0 (chop) .. 1 (straight line)
+function efficiencyRatio(candles, bars) {
+    if (candles.length <= bars) return 0;
+    const recent = candles.slice(-(bars + 1));
+    let path = 0;
+    for (let i = 1; i < recent.length; i++) path += Math.abs(recent[i].close - recent[i - 1].close);
+    return path === 0 ? 0 : Math.abs(recent[recent.length - 1].close - recent[0].close) / path;
+}
+
+// candles: the timeframe's series; analysis: analyzeTimeframeICT output for it; settings: params.regime
+// barMs: bar length, so the liquidity cut-off means the same on 15M and H4 bars
+function classifyRegime(candles, analysis, settings, barMs = HOUR_MS) {
+    if (!candles || candles.length === 0 || !analysis) return null;
+    const last = candles[candles.length - 1];
+    const atrSeries = calculateATRSeries(candles, settings.atrPeriod).filter(v => v !== null);
+    const atr = atrSeries.length > 0 ? atrSeries[atrSeries.length - 1] : 0;
+    const atrPercentile = percentileRank(atrSeries.slice(-settings.percentileLookback), atr);
+    const spike = atr > 0 && (last.high - last.low) > atr * settings.spikeAtr;
+    const efficiency = efficiencyRatio(candles, settings.efficiencyBars);
+    const quoteVolume = analysis.volumeAnalysis.averageVolume * last.close * (HOUR_MS / barMs);
+    const poc = analysis.volumeAnalysis.poc;
+    const pocDistanceAtr = atr > 0 && poc ? Math.abs(last.close - poc) / atr : 0;
+
+    let id;
+    if (quoteVolume < settings.minQuoteVolume) id = 'lowLiquidity';
+    else if (atrPercentile >= settings.highVolPercentile || spike) id = 'highVolatility';
+    else if (analysis.trend !== 'neutral' && efficiency >= settings.trendEfficiency) id = 'trending';
+    else id = 'ranging';
+
+    return {
+        id,
+        atrPercentile: Math.round(atrPercentile),
+        spike,
+        efficiency: parseFloat(efficiency.toFixed(2)),
+        trend: analysis.trend,
+        quoteVolume: Math.round(quoteVolume),
+        pocDistanceAtr: parseFloat(pocDistanceAtr.toFixed(2))
+    };
+}
+
+// the profile with stop-loss distances scaled for the regime (TPs follow through the RR bounds)
+function applyRegimeToParams(params, actions) {
+    if (!actions || actions.slAtrMultiplier === 1) return params;
+    const m = actions.slAtrMultiplier;
+    const sl = params.stopLoss;
+    return {
+        ...params,
+        stopLoss: {
+            ...sl,
+            structureBufferAtr: sl.structureBufferAtr * m,
+            fallbackAtr: sl.fallbackAtr * m,
+            maxDistanceAtr: sl.maxDistanceAtr * m,
+            resetAtr: sl.resetAtr * m
+        }
+    };
+}
+
+function formatRegime(regime) {
+    if (!regime) return 'N/A';
+    return `${REGIME_LABELS[regime.id] || regime.id} (ATR p${regime.atrPercentile}${regime.spike ? ', spike' : ''}, ER ${regime.efficiency})`;
+}
+
+module.exports = {
+    REGIMES,
+    REGIME_LABELS,
+    classifyRegime,
+    applyRegimeToParams,
+    formatRegime
+};
@@ -0,0 +1,108 @@
+const { isActive } = require('./tracker');
+
+// --- SIGNAL REGISTRY (dedup / cooldown / flips) ---
+// Decides what an automatically found signal means next to the AUTO signals already sent (tracker records)
+// of the same strategy profile — each profile has its own subscribers, so profiles never dedupe each other:
+//   update    same symbol + direction as an active signal, entry within entryAtr x ATR, and confidence or
+//             levels moved -> posted as a reply under the original instead of a new signal; the record keeps
+//             its original levels (tracker, paper and exchange orders follow those) and stores the revision
+//   repeat    the same, with nothing material changed -> dropped
+//   cooldown  same symbol + direction sent within cooldownMs, but a different setup -> dropped
+//   flip      opposite direction to an active signal -> sent as a new signal, flagged, the original gets a notice
+//   new       anything else
+
+const REGISTRY_DEFAULTS = {
+    entryAtr: 0.5,                    // entries closer than this many ATR are the same setup
+    levelAtr: 0.25,                   // an entry/SL/TP move above this many ATR is worth an update
+    updateConfidence: 5,              // ... and so is a confidence change of this many points
+    cooldownMs: 4 * 60 * 60 * 1000    // per symbol + direction, counted from the original signal
+};
+
+// ATR of the timeframe the levels came from; 0.5% of entry when the analysis has none
+function signalAtr(result) {
+    const e = result.explanation;
+    const tf = e && e.primaryTf && e.timeframes[e.primaryTf];
+    if (tf && tf.atr > 0) return tf.atr;
+    return parseFloat(result.entry) * 0.005;
+}
+
+// levels last posted for a record: its latest revision, else the original
+function currentLevels(record) {
+    return record.lastUpdate || record;
+}
+
+// result: filtered trade signal; records: tracker records (newest last)
+// -> { action: 'new' | 'update' | 'repeat' | 'cooldown' | 'flip', original, reason }
+function classifySignal(result, records, now = Date.now(), options = {}) {
+    const opts = { ...REGISTRY_DEFAULTS, ...options };
+    const atr = signalAtr(result);
+    const entry = parseFloat(result.entry);
+    const sameSymbol = records.filter(r => r.source === 'AUTO' && r.symbol === result.symbol && (r.profile || null) === (result.profile || null));
+    const active = sameSymbol.filter(isActive);
+    const twin = [...active].reverse().find(r => r.direction === result.direction && Math.abs(currentLevels(r).entry - entry) <= atr * opts.entryAtr);
+    if (twin) {
+        const current = currentLevels(twin);
+        const moved = ['entry', 'sl', 'tp'].some(k => Math.abs(current[k] - parseFloat(result[k])) > atr * opts.levelAtr);
+        const confidenceChange = Math.abs(result.confidence - current.confidence);
+        if (moved || confidenceChange >= opts.updateConfidence) {
+            return { action: 'update', original: twin, reason: `updates #${twin.id}` };
+        }
+        return { action: 'repeat', original: twin, reason: `same setup as #${twin.id}` };
+    }
+
+    const opposite = [...active].reverse().find(r => r.direction !== result.direction);
+    if (opposite) return { action: 'flip', original: opposite, reason: `flips #${opposite.id} ${opposite.direction}` };
+
+    const recent = [...sameSymbol].reverse().find(r => r.direction === result.direction && now - r.createdAt < opts.cooldownMs);
+    if (recent) {
+        const left = Math.ceil((opts.cooldownMs - (now - recent.createdAt)) / 60000);
+        return { action: 'cooldown', original: recent, reason: `cooldown after #${recent.id} (${left} min left)` };
+    }
+    return { action: 'new', original: null, reason: null };
+}
+
+// record an update as a revision; the tracked levels stay the ones the signal was issued with
+// -> { before, after } levels for formatSignalUpdate
+function applySignalUpdate(record, result, now = Date.now()) {
+    const current = currentLevels(record);
+    const before = { confidence: current.confidence, entry: current.entry, sl: current.sl, tp: current.tp };
+    record.lastUpdate = {
+        confidence: result.confidence,
+        entry: parseFloat(result.entry),
+        sl: parseFloat(result.sl),
+        tp: parseFloat(result.tp),
+        at: now
+    };
+    record.updates = (record.updates || 0) + 1;
+    record.updatedAt = now;
+    return { before, after: record.lastUpdate };
+}
+
+// update: applySignalUpdate output; price: number -> display string
+function formatSignalUpdate(record, update, price) {
+    const { before, after } = update;
+    const tag = `#${record.symbol.replace('USDT', '')} ${record.direction}`;
+    const change = (a, b, f = price) => a === b ? f(b) : `${f(a)} → ${f(b)}`;
+    let text = `🔁 CẬP NHẬT ${tag} (tín hiệu #${record.id})\n` +
+        `Conf: ${change(before.confidence, after.confidence, v => `${v}%`)}\n`;
+    if (record.filled) {
+        text += `Lệnh đã khớp — giữ nguyên Entry ${price(record.entry)} | SL ${price(record.sl)} | TP ${price(record.tp)}`;
+    } else {
+        text += `Entry: ${change(before.entry, after.entry)}\nSL: ${change(before.sl, after.sl)}\nTP: ${change(before.tp, after.tp)}\n` +
+            `ℹ️ Lệnh paper / sàn đã đặt và kết quả theo dõi vẫn theo mức ban đầu — bot không sửa lệnh, tự điều chỉnh nếu muốn.`;
+    }
+    return text;
+}
+
+// reply under the signal being flipped
+function formatFlipNotice(original, result) {
+    return `🔄 ĐẢO CHIỀU #${original.symbol.replace('USDT', '')}: tín hiệu ${result.direction} mới ngược với ${original.direction} #${original.id} này — cân nhắc hủy lệnh chờ / đóng vị thế.`;
+}
+
+module.exports = {
+    REGISTRY_DEFAULTS,
+    classifySignal,
+    applySignalUpdate,
+    formatSignalUpdate,
+    formatFlipNotice
+};
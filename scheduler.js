@@ -0,0 +1,62 @@
+// --- ANALYSIS JOB QUEUE ---
+// Symbol analyses share one queue that runs SCAN_CONCURRENCY jobs at a time (default 6).
+// Lower priority runs first and equal priorities run in submission order, so a manual /analyzesymbol
+// jumps ahead of a running scan instead of waiting for it. The queue only bounds how many analyses are
+// in flight; request pacing and per-source backoff live in exchanges/ratelimit.js.
+
+const PRIORITY = {
+    manual: 0,      // user commands
+    stream: 1,      // candle-close re-checks
+    bulk: 2,        // /analyzeall
+    scan: 3         // periodic auto analysis
+};
+
+function createJobQueue(concurrency) {
+    const pending = []; // sorted by priority, submission order within a priority
+    let running = 0;
+    const stats = { completed: 0, failed: 0 };
+
+    function next() {
+        while (running < concurrency && pending.length > 0) {
+            const job = pending.shift();
+            running++;
+            Promise.resolve()
+                .then(job.fn)
+                .then(job.resolve, job.reject)
+                .finally(() => {
+                    running--;
+                    next();
+                });
+        }
+    }
+
+    // fn: async () => value; resolves/rejects with fn's outcome
+    function schedule(fn, priority = PRIORITY.scan) {
+        return new Promise((resolve, reject) => {
+            const job = {
+                fn,
+                priority,
+                resolve: value => { stats.completed++; resolve(value); },
+                reject: err => { stats.failed++; reject(err); }
+            };
+            const at = pending.findIndex(j => j.priority > priority);
+            if (at === -1) pending.push(job);
+            else pending.splice(at, 0, job);
+            next();
+        });
+    }
+
+    return {
+        schedule,
+        stats: () => ({ concurrency, running, queued: pending.length, ...stats })
+    };
+}
+
+const jobQueue = createJobQueue(Math.max(1, parseInt(process.env.SCAN_CONCURRENCY, 10) || 6));
+
+module.exports = {
+    PRIORITY,
+    createJobQueue,
+    scheduleJob: (fn, priority) => jobQueue.schedule(fn, priority),
+    getJobQueueStats: () => jobQueue.stats()
+};
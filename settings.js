@@ -0,0 +1,165 @@
+const { DEFAULT_ACCOUNT } = require('./sizing');
+const { resolveProfileName, getProfile } = require('./strategy');
+
+// --- PER-USER SETTINGS ---
+// Stored on the subscriber record (subscribedUsers.get(chatId).settings) and applied at broadcast time.
+
+const DIRECTIONS = ['BOTH', 'LONG', 'SHORT'];
+
+const DEFAULT_SETTINGS = {
+    watchlist: [],                                  // empty = every coin in TARGET_COINS
+    minConfidence: null,                            // null = the profile's minConfidence
+    direction: 'BOTH',
+    quietHours: { start: '23:30', end: '04:00' },   // VN time, null = receive around the clock
+    account: DEFAULT_ACCOUNT,                       // { balance, riskPercent, leverage } for position sizing
+    contractSpecs: {},                              // symbol -> { minQty, stepSize, tickSize } overrides
+    profile: null                                   // strategy profile name, null = config default
+};
+
+function getSettings(userData) {
+    const saved = (userData && userData.settings) || {};
+    return {
+        ...DEFAULT_SETTINGS,
+        ...saved,
+        watchlist: [...(saved.watchlist || DEFAULT_SETTINGS.watchlist)],
+        account: { ...DEFAULT_ACCOUNT, ...saved.account },
+        contractSpecs: { ...saved.contractSpecs }
+    };
+}
+
+function normalizeSymbol(input) {
+    let symbol = String(input).toUpperCase().trim().replace(/^#/, '');
+    if (!symbol.endsWith('USDT')) symbol = `${symbol}USDT`;
+    return symbol;
+}
+
+// 'HH:mm-HH:mm' -> { start, end }; throws with a user-facing message on bad input
+function parseQuietHours(text) {
+    const m = String(text).trim().match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+    if (!m || +m[1] > 23 || +m[3] > 23 || +m[2] > 59 || +m[4] > 59) {
+        throw new Error('Định dạng giờ không hợp lệ. Ví dụ: /quiet 23:00-06:00 hoặc /quiet off');
+    }
+    const pad = v => String(v).padStart(2, '0');
+    return { start: `${pad(m[1])}:${m[2]}`, end: `${pad(m[3])}:${m[4]}` };
+}
+
+// analysis never emits below the profile's minConfidence, so a lower setting would do nothing
+function getConfidenceFloor(profileName) {
+    return getProfile(profileName).minConfidence;
+}
+
+function parseMinConfidence(text, profileName) {
+    const floor = getConfidenceFloor(profileName);
+    const value = parseInt(text, 10);
+    if (isNaN(value) || value < floor || value > 100) {
+        throw new Error(`Confidence phải từ ${floor} đến 100.`);
+    }
+    return value;
+}
+
+function parseDirection(text) {
+    const value = String(text).toUpperCase().trim();
+    if (!DIRECTIONS.includes(value)) throw new Error(`Hướng phải là một trong: ${DIRECTIONS.join(', ')}`);
+    return value;
+}
+
+function parseNumberInRange(text, min, max, label) {
+    const value = parseFloat(String(text).replace(',', '.'));
+    if (isNaN(value) || value < min || value > max) throw new Error(`${label} phải từ ${min} đến ${max}.`);
+    return value;
+}
+
+function parseBalance(text) {
+    return parseNumberInRange(text, 1, 100000000, 'Số dư');
+}
+
+function parseRiskPercent(text) {
+    return parseNumberInRange(text, 0.1, 10, 'Rủi ro (%)');
+}
+
+function parseLeverage(text) {
+    return Math.round(parseNumberInRange(text, 1, 125, 'Đòn bẩy'));
+}
+
+// '<minQty> <stepSize> <tickSize>' -> specs
+function parseContractSpecs(text) {
+    const parts = String(text).trim().split(/\s+/).map(v => parseFloat(v));
+    if (parts.length !== 3 || parts.some(v => isNaN(v) || v < 0) || parts[1] === 0) {
+        throw new Error('Ví dụ: /spec BTC 0.001 0.001 0.1 (minQty stepSize tickSize) hoặc /spec BTC reset');
+    }
+    return { minQty: parts[0], stepSize: parts[1], tickSize: parts[2] };
+}
+
+// now: moment in VN time
+function isQuietTime(settings, now) {
+    if (!settings.quietHours) return false;
+    const minutes = now.hours() * 60 + now.minutes();
+    const toMin = hhmm => parseInt(hhmm.slice(0, 2), 10) * 60 + parseInt(hhmm.slice(3), 10);
+    const start = toMin(settings.quietHours.start);
+    const end = toMin(settings.quietHours.end);
+    if (start === end) return false;
+    // window may wrap past midnight (23:30-04:00)
+    return start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+}
+
+function isWatching(settings, symbol, targetCoins) {
+    return settings.watchlist.length > 0 ? settings.watchlist.includes(symbol) : targetCoins.includes(symbol);
+}
+
+function shouldReceiveSignal(settings, signal, now, targetCoins) {
+    if (isQuietTime(settings, now)) return false;
+    if (signal.profile && signal.profile !== resolveProfileName(settings.profile)) return false;
+    if (!isWatching(settings, signal.symbol, targetCoins)) return false;
+    if (settings.minConfidence !== null && (signal.confidence || 0) < settings.minConfidence) return false;
+    if (settings.direction !== 'BOTH' && settings.direction !== signal.direction) return false;
+    return true;
+}
+
+function formatSettings(settings) {
+    const watch = settings.watchlist.length > 0
+        ? settings.watchlist.map(s => s.replace('USDT', '')).join(', ')
+        : 'Tất cả coin mặc định';
+    const quiet = settings.quietHours ? `${settings.quietHours.start} - ${settings.quietHours.end}` : 'Tắt';
+    const floor = getConfidenceFloor(settings.profile);
+    const minConf = settings.minConfidence !== null ? `${settings.minConfidence}%` : `${floor}% (theo profile)`;
+    return `⚙️ CÀI ĐẶT CỦA BẠN\n\n` +
+        `👀 Watchlist: ${watch}\n` +
+        `🎯 Confidence tối thiểu: ${minConf}\n` +
+        `↕️ Hướng: ${settings.direction}\n` +
+        `🔕 Giờ im lặng (VN): ${quiet}\n` +
+        `🧩 Strategy profile: ${resolveProfileName(settings.profile)}\n\n` +
+        `Lệnh: /watch <COIN...>, /unwatch <COIN...|all>, /minconf <${floor}-100|off>, /direction <BOTH|LONG|SHORT>, /quiet <HH:mm-HH:mm|off>, /profile <tên>\n` +
+        `Tài khoản: /account`;
+}
+
+function formatAccount(settings) {
+    const { balance, riskPercent, leverage } = settings.account;
+    const specs = Object.entries(settings.contractSpecs);
+    let text = `💼 TÀI KHOẢN\n\n` +
+        `💰 Số dư: ${balance} USDT\n` +
+        `⚖️ Rủi ro mỗi lệnh: ${riskPercent}% (${(balance * riskPercent / 100).toFixed(2)} USDT)\n` +
+        `🔧 Đòn bẩy: x${leverage}\n`;
+    if (specs.length > 0) {
+        text += `\n📐 Contract specs riêng:\n`;
+        for (const [symbol, s] of specs) text += `- ${symbol}: minQty ${s.minQty}, step ${s.stepSize}, tick ${s.tickSize}\n`;
+    }
+    text += `\nLệnh: /balance <USDT>, /risk <%>, /leverage <x>, /spec <COIN> <minQty> <step> <tick>`;
+    return text;
+}
+
+module.exports = {
+    DEFAULT_SETTINGS,
+    getSettings,
+    normalizeSymbol,
+    parseQuietHours,
+    parseMinConfidence,
+    parseDirection,
+    parseBalance,
+    parseRiskPercent,
+    parseLeverage,
+    parseContractSpecs,
+    isQuietTime,
+    shouldReceiveSignal,
+    formatSettings,
+    formatAccount
+};
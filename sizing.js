@@ -0,0 +1,126 @@
+const { getAdapters } = require('./exchanges');
+
+// --- ACCOUNT-AWARE POSITION SIZING ---
+// Per-user account (balance, risk %, leverage) + contract specs (min qty, step, tick)
+// turn a signal into a concrete order size, margin and liquidation estimate.
+
+const DEFAULT_ACCOUNT = { balance: 1000, riskPercent: 2, leverage: 10 };
+const DEFAULT_MAINTENANCE_MARGIN = 0.004; // 0.4% — lowest Binance USDT-M bracket
+const SPECS_TTL_MS = 24 * 60 * 60 * 1000;
+
+// used when no exchange can tell us the contract specs
+const FALLBACK_SPECS = { minQty: 0, stepSize: 0.001, tickSize: 0, minNotional: 0 };
+
+const specsCache = new Map(); // symbol -> { specs, at }
+
+async function getContractSpecs(symbol) {
+    const cached = specsCache.get(symbol);
+    if (cached && Date.now() - cached.at < SPECS_TTL_MS) return cached.specs;
+    for (const adapter of getAdapters()) {
+        if (typeof adapter.fetchContractSpecs !== 'function') continue;
+        try {
+            const specs = await adapter.fetchContractSpecs(symbol);
+            specsCache.set(symbol, { specs, at: Date.now() });
+            return specs;
+        } catch (e) {
+            // try next source
+        }
+    }
+    return FALLBACK_SPECS;
+}
+
+// number of decimals implied by a step like 0.001 -> 3
+function stepDecimals(step) {
+    if (!step || step <= 0) return null;
+    const text = step.toString();
+    if (text.includes('e-')) return parseInt(text.split('e-')[1], 10);
+    return text.includes('.') ? text.split('.')[1].replace(/0+$/, '').length : 0;
+}
+
+function roundToStep(value, step, mode = 'round') {
+    if (!step || step <= 0) return value;
+    const units = value / step;
+    const rounded = mode === 'floor' ? Math.floor(units + 1e-9) : mode === 'ceil' ? Math.ceil(units - 1e-9) : Math.round(units);
+    return parseFloat((rounded * step).toFixed(stepDecimals(step)));
+}
+
+// Isolated-margin liquidation estimate (ignores fees and funding)
+function estimateLiquidationPrice(entry, direction, leverage, mmr = DEFAULT_MAINTENANCE_MARGIN) {
+    if (!leverage || leverage <= 0) return null;
+    return direction === 'LONG'
+        ? entry * (1 - 1 / leverage + mmr)
+        : entry * (1 + 1 / leverage - mmr);
+}
+
+// account: { balance, riskPercent, leverage }, specs: { minQty, stepSize, tickSize, minNotional }
+function calculatePositionSize(account, specs, entry, sl, direction) {
+    const acc = { ...DEFAULT_ACCOUNT, ...account };
+    const spec = { ...FALLBACK_SPECS, ...specs };
+    const riskAmount = acc.balance * (acc.riskPercent / 100);
+    const riskPerUnit = Math.abs(entry - sl);
+    const rawQty = riskPerUnit === 0 ? 0 : riskAmount / riskPerUnit;
+    let qty = roundToStep(rawQty, spec.stepSize, 'floor'); // never round risk up
+    const warnings = [];
+
+    if (qty < spec.minQty || qty === 0) {
+        warnings.push(`Khối lượng ${rawQty.toPrecision(4)} nhỏ hơn mức tối thiểu ${spec.minQty}`);
+        qty = 0;
+    }
+    const notional = qty * entry;
+    if (qty > 0 && spec.minNotional && notional < spec.minNotional) {
+        warnings.push(`Giá trị lệnh ${notional.toFixed(2)} USDT dưới mức tối thiểu ${spec.minNotional} USDT`);
+    }
+    const margin = notional / acc.leverage;
+    if (margin > acc.balance) {
+        warnings.push(`Margin cần ${margin.toFixed(2)} USDT vượt số dư — tăng đòn bẩy hoặc giảm rủi ro`);
+    }
+
+    const liq = estimateLiquidationPrice(entry, direction, acc.leverage);
+    const liqBeforeSl = liq !== null && (direction === 'LONG' ? liq >= sl : liq <= sl);
+    if (liqBeforeSl) warnings.push('Giá thanh lý nằm trước Stop-Loss — giảm đòn bẩy');
+
+    return {
+        qty,
+        notional,
+        margin,
+        leverage: acc.leverage,
+        riskAmount: qty * riskPerUnit,
+        liquidationPrice: liq !== null ? roundToStep(liq, spec.tickSize) : null,
+        warnings
+    };
+}
+
+// round entry/sl/tp (and the TP ladder) to the contract tick size
+function roundLevels(levels, specs) {
+    const tick = specs && specs.tickSize;
+    const out = { ...levels };
+    for (const key of ['entry', 'sl', 'tp']) {
+        if (out[key] !== undefined) out[key] = roundToStep(parseFloat(out[key]), tick);
+    }
+    if (Array.isArray(out.targets)) {
+        out.targets = out.targets.map(t => ({ ...t, price: roundToStep(parseFloat(t.price), tick) }));
+    }
+    return out;
+}
+
+function formatQty(qty, specs) {
+    const decimals = stepDecimals(specs && specs.stepSize);
+    return decimals === null ? String(qty) : qty.toFixed(decimals);
+}
+
+function formatPrice(price, specs) {
+    const decimals = stepDecimals(specs && specs.tickSize);
+    if (decimals === null) return price > 10 ? price.toFixed(2) : price.toFixed(4);
+    return price.toFixed(decimals);
+}
+
+module.exports = {
+    DEFAULT_ACCOUNT,
+    getContractSpecs,
+    calculatePositionSize,
+    estimateLiquidationPrice,
+    roundToStep,
+    roundLevels,
+    formatQty,
+    formatPrice
+};
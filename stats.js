@@ -0,0 +1,191 @@
+const moment = require('moment-timezone');
+
+// --- SIGNAL PERFORMANCE ---
+// Aggregates tracker records (see tracker.js) over a period, by the time the signal was issued.
+// A trade counts once it is resolved with a fill: TP, SL, or EXPIRED after a fill (closed at market).
+// r is the whole TP ladder's result (partial closes, breakeven, trailing — see tracker.js), so a trade
+// stopped at entry after TP1 counts as the TP1 gain, not -1R. Win = r > 0. Unfilled expiries are reported separately and do not enter win rate, R or profit factor.
+// Performance and confidence calibration use AUTO signals; the CSV / HTML report lists every record.
+
+const CONFIDENCE_BUCKETS = [[60, 69], [70, 79], [80, 89], [90, 100]];
+const MIN_CALIBRATION_SAMPLES = 10;
+const TZ = 'Asia/Ho_Chi_Minh';
+
+function isResolved(record) {
+    return record.status === 'TP' || record.status === 'SL' || record.status === 'EXPIRED';
+}
+
+function isClosedTrade(record) {
+    return isResolved(record) && record.filled;
+}
+
+// -> { trades, wins, losses, winRate, totalR, avgR, profitFactor } over closed trades
+function summarize(records) {
+    const trades = records.filter(isClosedTrade);
+    const wins = trades.filter(r => r.r > 0).length;
+    const gain = trades.filter(r => r.r > 0).reduce((s, r) => s + r.r, 0);
+    const loss = -trades.filter(r => r.r < 0).reduce((s, r) => s + r.r, 0);
+    const totalR = gain - loss;
+    return {
+        trades: trades.length,
+        wins,
+        losses: trades.length - wins,
+        winRate: trades.length ? (wins / trades.length) * 100 : 0,
+        totalR,
+        avgR: trades.length ? totalR / trades.length : 0,
+        profitFactor: loss > 0 ? gain / loss : (gain > 0 ? Infinity : 0)
+    };
+}
+
+function bucketOf(confidence) {
+    return CONFIDENCE_BUCKETS.find(([min, max]) => confidence >= min && confidence <= max) || null;
+}
+
+// records issued in [from, to) -> everything /stats shows
+function computeStats(records, from, to = Date.now()) {
+    const inPeriod = records.filter(r => r.source === 'AUTO' && r.createdAt >= from && r.createdAt < to);
+    const bySymbol = {};
+    for (const r of inPeriod.filter(isClosedTrade)) {
+        bySymbol[r.symbol] = (bySymbol[r.symbol] || []).concat(r);
+    }
+    const symbols = Object.entries(bySymbol)
+        .map(([symbol, list]) => ({ symbol, ...summarize(list) }))
+        .sort((a, b) => b.totalR - a.totalR);
+    return {
+        from,
+        to,
+        issued: inPeriod.length,
+        open: inPeriod.filter(r => !isResolved(r)).length,
+        unfilled: inPeriod.filter(r => r.status === 'EXPIRED' && !r.filled).length,
+        overall: summarize(inPeriod),
+        byDirection: {
+            LONG: summarize(inPeriod.filter(r => r.direction === 'LONG')),
+            SHORT: summarize(inPeriod.filter(r => r.direction === 'SHORT'))
+        },
+        byConfidence: CONFIDENCE_BUCKETS.map(([min, max]) => ({
+            label: `${min}-${max}%`,
+            ...summarize(inPeriod.filter(r => r.confidence >= min && r.confidence <= max))
+        })),
+        best: symbols.slice(0, 3),
+        worst: symbols.slice(Math.max(3, symbols.length - 3)).reverse()
+    };
+}
+
+// actual hit rate of past AUTO signals in the same confidence bucket, null below MIN_CALIBRATION_SAMPLES trades
+function getCalibration(records, confidence) {
+    const bucket = bucketOf(confidence);
+    if (!bucket) return null;
+    const s = summarize(records.filter(r => r.source === 'AUTO' && r.confidence >= bucket[0] && r.confidence <= bucket[1]));
+    if (s.trades < MIN_CALIBRATION_SAMPLES) return null;
+    return { label: `${bucket[0]}-${bucket[1]}%`, winRate: s.winRate, avgR: s.avgR, trades: s.trades };
+}
+
+// --- FORMATTING ---
+function fmtR(v) {
+    return `${v >= 0 ? '+' : ''}${v.toFixed(2)}R`;
+}
+
+function fmtPf(v) {
+    return v === Infinity ? '∞' : v.toFixed(2);
+}
+
+function formatSummaryLine(s) {
+    if (s.trades === 0) return 'chưa có lệnh đóng';
+    return `${s.trades} lệnh · thắng ${s.winRate.toFixed(0)}% · TB ${fmtR(s.avgR)} · tổng ${fmtR(s.totalR)} · PF ${fmtPf(s.profitFactor)}`;
+}
+
+// periods: [{ label, stats }] — one line each; detail: stats shown with its breakdowns
+function formatStats(periods, detail, detailLabel) {
+    let text = `📊 HIỆU SUẤT TÍN HIỆU (tự động)\n\n`;
+    for (const { label, stats } of periods) {
+        text += `${label}: ${formatSummaryLine(stats.overall)}\n`;
+    }
+    text += `\n🔎 Chi tiết ${detailLabel}: ${detail.issued} tín hiệu, ${detail.open} đang mở, ${detail.unfilled} không khớp\n`;
+    text += `🟢 LONG: ${formatSummaryLine(detail.byDirection.LONG)}\n`;
+    text += `🔴 SHORT: ${formatSummaryLine(detail.byDirection.SHORT)}\n`;
+    text += `\n🎯 Theo confidence:\n`;
+    for (const b of detail.byConfidence) {
+        text += `  ${b.label}: ${b.trades ? `thắng ${b.winRate.toFixed(0)}% (${b.trades} lệnh, TB ${fmtR(b.avgR)})` : '—'}\n`;
+    }
+    if (detail.best.length > 0) {
+        text += `\n🏆 Tốt nhất: ${detail.best.map(s => `${s.symbol.replace('USDT', '')} ${fmtR(s.totalR)}`).join(', ')}\n`;
+    }
+    if (detail.worst.length > 0) {
+        text += `💀 Kém nhất: ${detail.worst.map(s => `${s.symbol.replace('USDT', '')} ${fmtR(s.totalR)}`).join(', ')}\n`;
+    }
+    return text;
+}
+
+// end-of-day broadcast for the trading day that just ended
+function formatDailySummary(stats, dayLabel) {
+    const s = stats.overall;
+    let text = `🌙 TỔNG KẾT NGÀY ${dayLabel}\n\n`;
+    if (stats.issued === 0) return text + 'Hôm nay không có tín hiệu nào. Hẹn gặp lại ngày mai!';
+    text += `📨 ${stats.issued} tín hiệu · ${stats.open} đang mở · ${stats.unfilled} không khớp\n`;
+    text += `📈 ${formatSummaryLine(s)}\n`;
+    if (stats.best.length > 0) text += `🏆 ${stats.best.map(x => `${x.symbol.replace('USDT', '')} ${fmtR(x.totalR)}`).join(', ')}\n`;
+    text += `\nGõ /stats để xem hiệu suất tuần / tháng. Chúc ngày mới thắng lợi!`;
+    return text;
+}
+
+// --- EXPORT ---
+const REPORT_COLUMNS = ['id', 'source', 'symbol', 'direction', 'confidence', 'entry', 'sl', 'tp', 'rr',
+    'createdAt', 'status', 'filled', 'fillTime', 'exitTime', 'exitPrice', 'exitType', 'targetsHit', 'r', 'flipOf', 'updates'];
+const TIME_COLUMNS = ['createdAt', 'fillTime', 'exitTime'];
+
+function reportValue(record, column) {
+    const v = record[column];
+    if (v === null || v === undefined) return '';
+    if (TIME_COLUMNS.includes(column)) return moment(v).tz(TZ).format('YYYY-MM-DD HH:mm');
+    if (column === 'r') return v.toFixed(2);
+    return String(v);
+}
+
+function csvEscape(v) {
+    return /[",\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v;
+}
+
+function buildCsvReport(records) {
+    const lines = [REPORT_COLUMNS.join(',')];
+    for (const r of records) lines.push(REPORT_COLUMNS.map(c => csvEscape(reportValue(r, c))).join(','));
+    return lines.join('\n') + '\n';
+}
+
+function htmlEscape(v) {
+    return v.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function buildHtmlReport(records, stats, title) {
+    const row = cells => `<tr>${cells.map(c => `<td>${htmlEscape(c)}</td>`).join('')}</tr>`;
+    const s = stats.overall;
+    const summary = [
+        ['Tín hiệu', String(stats.issued)], ['Lệnh đóng', String(s.trades)], ['Thắng', `${s.winRate.toFixed(1)}%`],
+        ['R trung bình', fmtR(s.avgR)], ['Tổng R', fmtR(s.totalR)], ['Profit factor', fmtPf(s.profitFactor)]
+    ];
+    const buckets = stats.byConfidence.map(b => [b.label, String(b.trades), b.trades ? `${b.winRate.toFixed(1)}%` : '—', b.trades ? fmtR(b.avgR) : '—']);
+    const color = r => r.status === 'TP' ? '#e6f4ea' : r.status === 'SL' ? '#fce8e6' : '';
+    return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>${htmlEscape(title)}</title>
+<style>body{font-family:sans-serif;margin:24px}table{border-collapse:collapse;margin-bottom:24px}td,th{border:1px solid #ccc;padding:4px 8px;font-size:13px}th{background:#f3f3f3}</style>
+</head><body>
+<h2>${htmlEscape(title)}</h2>
+<table>${summary.map(row).join('')}</table>
+<h3>Theo confidence (tự động)</h3>
+<table><tr><th>Confidence</th><th>Lệnh</th><th>Thắng</th><th>R TB</th></tr>${buckets.map(row).join('')}</table>
+<h3>Tín hiệu</h3>
+<table><tr>${REPORT_COLUMNS.map(c => `<th>${c}</th>`).join('')}</tr>
+${records.map(r => `<tr style="background:${color(r)}">${REPORT_COLUMNS.map(c => `<td>${htmlEscape(reportValue(r, c))}</td>`).join('')}</tr>`).join('\n')}
+</table>
+</body></html>
+`;
+}
+
+module.exports = {
+    CONFIDENCE_BUCKETS,
+    computeStats,
+    getCalibration,
+    formatStats,
+    formatDailySummary,
+    buildCsvReport,
+    buildHtmlReport
+};
@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+
+// --- PERSISTENCE LAYER ---
+// Small key/value store with pluggable backends. A backend only needs
+// load() -> object and save(object); the store keeps everything in memory
+// and writes through (debounced) so callers stay synchronous.
+// A backend may also offer quarantine() -> where the unreadable state was moved; without it a
+// failed load stops startup, since the first save would overwrite whatever is there.
+
+const SAVE_DEBOUNCE_MS = 1000;
+
+// JSON file backend (default). Writes to a temp file and renames so a crash never leaves half a file.
+function createFileBackend(options = {}) {
+    const filePath = path.resolve(options.path || './data/bot-state.json');
+    return {
+        name: `file:${filePath}`,
+        load() {
+            if (!fs.existsSync(filePath)) return {};
+            const text = fs.readFileSync(filePath, 'utf8');
+            return text.trim() ? JSON.parse(text) : {};
+        },
+        save(data) {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            const tmp = `${filePath}.tmp`;
+            fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+            fs.renameSync(tmp, filePath);
+        },
+        quarantine() {
+            const target = `${filePath}.corrupt-${Date.now()}`;
+            fs.copyFileSync(filePath, target);
+            return target;
+        }
+    };
+}
+
+// In-memory backend — nothing survives a restart, handy for local runs
+function createMemoryBackend() {
+    let snapshot = {};
+    return {
+        name: 'memory',
+        load() { return JSON.parse(JSON.stringify(snapshot)); },
+        save(data) { snapshot = JSON.parse(JSON.stringify(data)); }
+    };
+}
+
+const BACKENDS = {
+    file: createFileBackend,
+    memory: createMemoryBackend
+};
+
+// Register a custom backend (e.g. SQLite, Redis): factory(options) -> { name, load, save }
+function registerBackend(name, factory) {
+    BACKENDS[name] = factory;
+}
+
+function createStorage(options = {}) {
+    const backendName = options.backend || 'file';
+    const factory = BACKENDS[backendName];
+    if (!factory) throw new Error(`Unknown storage backend "${backendName}" (available: ${Object.keys(BACKENDS).join(', ')})`);
+    const backend = factory(options);
+
+    let data = {};
+    try {
+        data = backend.load() || {};
+    } catch (e) {
+        if (!backend.quarantine) throw new Error(`Could not load state from ${backend.name}: ${e.message || e}`);
+        const moved = backend.quarantine();
+        console.error(`⚠️ Could not load state from ${backend.name}: ${e.message || e}. Kept a copy at ${moved}, starting empty.`);
+    }
+
+    let saveTimer = null;
+
+    function flush() {
+        if (saveTimer) {
+            clearTimeout(saveTimer);
+            saveTimer = null;
+        }
+        try {
+            backend.save(data);
+        } catch (e) {
+            console.error(`⚠️ Could not save state to ${backend.name}: ${e.message || e}`);
+        }
+    }
+
+    return {
+        backend: backend.name,
+        get(key, fallback) {
+            return data[key] !== undefined ? data[key] : fallback;
+        },
+        set(key, value) {
+            data[key] = value;
+            if (!saveTimer) saveTimer = setTimeout(flush, SAVE_DEBOUNCE_MS);
+        },
+        flush
+    };
+}
+
+module.exports = { createStorage, registerBackend };
@@ -0,0 +1,360 @@
+const fs = require('fs');
+const path = require('path');
+const { FILTER_VALUES } = require('./indicators');
+const { TIMEFRAME_INTERVALS, STACKS, DEFAULT_STACK } = require('./timeframes');
+
+// --- STRATEGY PARAMETERS ---
+// Every tunable number of the analysis pipeline, grouped into named profiles.
+// A profile in strategy.json only lists what differs from DEFAULT_PARAMS; unknown keys,
+// wrong types and out-of-range values reject the whole file (the previous config stays live).
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, 'strategy.json');
+const WATCH_INTERVAL_MS = 2000;
+
+const DEFAULT_PARAMS = {
+    timeframeStack: DEFAULT_STACK,    // see timeframes.js: standard (D1/H4/H1/15M), swing, scalp
+    timeframeWeights: { W1: 1.7, D1: 1.5, H4: 1.3, H1: 1.1, '15M': 0.8, '5M': 0.6, '1M': 0.4 },
+    swingLookback: 3,                 // bars each side for a swing high/low
+    liquidityLookback: 2,             // bars each side for a liquidity level
+    orderBlockBodyRatio: 1.5,         // impulse body must exceed the OB body by this factor
+    relevantLevelBand: 0.05,          // keep levels / zone edges within 5% of price
+    zones: {
+        obMitigation: 0.5,            // order block used once price reaches its midpoint
+        fvgMitigation: 1,             // fair value gap used once fully filled
+        decayBars: 150                // zones older than this are dropped; strength fades linearly
+    },
+    minConfidence: 60,
+    biasThreshold: 0.5,               // |bias| above this picks LONG / SHORT
+    primaryTfConfidence: 70,          // first TF above this confidence supplies the levels
+    scoreWeights: {                   // per-TF score components (calculateTFScoreComponents), capped at 100
+        trend: 25,
+        bos: 15,
+        choch: 8,
+        volumePerDelta: 60,           // (volumeDelta - 1) * volumePerDelta, at most volumeMax
+        volumeMax: 30,
+        orderBlockEach: 4,
+        orderBlockMax: 25,
+        fvgEach: 3,
+        fvgMax: 20,
+        liquidity: 15,
+        nearLiquidity: 15,
+        nearLiquidityAtr: 0.5,        // "near" = within this many ATR of price
+        confluenceEach: 8,            // per TF with trend + same-side OB
+        confluenceMax: 30,
+        emaStack: 0,                  // EMA stack aligned with the structure trend
+        macd: 0,                      // MACD histogram on the side of the structure trend
+        adxTrend: 0                   // ADX above indicators.adxTrending
+    },
+    indicatorBias: {                  // added to the multi-TF bias, scaled by the TF weight
+        emaStack: 0,                  // +/- when the EMA stack is bullish / bearish
+        macd: 0,                      // +/- by MACD histogram sign
+        vwap: 0                       // +/- when price is above / below session VWAP
+    },
+    indicators: {
+        rsiPeriod: 14,
+        emaFast: 9,
+        emaMid: 21,
+        emaSlow: 50,
+        macdFast: 12,
+        macdSlow: 26,
+        macdSignal: 9,
+        adxPeriod: 14,
+        adxTrending: 20,
+        bbPeriod: 20,
+        bbStdDev: 2,
+        keltnerPeriod: 20,
+        keltnerAtr: 1.5,
+        vwapBandStdDev: 2
+    },
+    regime: {                         // see regime.js; classified on the stack's structure TF
+        atrPeriod: 14,
+        percentileLookback: 100,      // ATR percentile against this many bars
+        highVolPercentile: 90,
+        spikeAtr: 3,                  // last bar range above this many ATR = news spike
+        efficiencyBars: 20,
+        trendEfficiency: 0.3,         // net move / path length needed to call a trend
+        minQuoteVolume: 100000,       // USDT per hour (any TF); below = low liquidity
+        // per regime: skip (1 = no signals), minConfidenceAdjust (added to minConfidence), slAtrMultiplier
+        trending: { skip: 0, minConfidenceAdjust: 0, slAtrMultiplier: 1 },
+        ranging: { skip: 0, minConfidenceAdjust: 5, slAtrMultiplier: 1 },
+        highVolatility: { skip: 0, minConfidenceAdjust: 5, slAtrMultiplier: 1.3 },
+        lowLiquidity: { skip: 1, minConfidenceAdjust: 0, slAtrMultiplier: 1 }
+    },
+    market: {                         // BTC context for alt signals, see market.js
+        correlationBars: 100,         // H1 returns used for correlation / beta
+        minCorrelation: 0.5,          // below this an alt is treated as decoupled from BTC
+        downgradeBias: 0.5,           // BTC bias against the signal (x correlation) that costs confidence
+        downgradePenalty: 10,
+        blockBias: 2,                 // ... that blocks the signal
+        dominanceWeight: 0,           // > 0 also weighs BTCDOMUSDT bias in
+        maxCorrelatedPerCycle: 3      // correlated signals per direction per scan
+    },
+    // rules that reject a signal: { indicator, timeframe, direction?: 'LONG' | 'SHORT', min?, max? }
+    // e.g. { "indicator": "rsi", "timeframe": "15M", "direction": "LONG", "max": 75 }
+    filters: [],
+    stopLoss: {
+        structureRangeAtr: 1.5,       // look for support/resistance within this many ATR
+        structureBufferAtr: 0.6,      // at least this far behind the entry when using structure
+        fallbackAtr: 0.8,
+        maxDistanceAtr: 2.5,          // SL/TP further than this are reset
+        resetAtr: 1.0
+    },
+    takeProfit: {
+        structureRangeAtr: 1.2,
+        fallbackAtr: 0.8,
+        resetAtr: 1.5
+    },
+    rr: { min: 1.5, max: 2.5 },
+    tpClosePercents: [50, 30, 20],
+    tp3MaxR: 4,
+    trailingAtrMultiplier: 1.0
+};
+
+// path -> [min, max, integer?]
+const RULES = {
+    'timeframeWeights.*': [0, 10],
+    swingLookback: [1, 10, true],
+    liquidityLookback: [1, 10, true],
+    orderBlockBodyRatio: [1, 10],
+    relevantLevelBand: [0.001, 1],
+    'zones.obMitigation': [0.1, 1],
+    'zones.fvgMitigation': [0.1, 1],
+    'zones.decayBars': [10, 1000, true],
+    'market.correlationBars': [20, 1000, true],
+    'market.minCorrelation': [-1, 1],
+    'market.downgradeBias': [0, 20],
+    'market.downgradePenalty': [0, 100],
+    'market.blockBias': [0, 20],
+    'market.dominanceWeight': [0, 5],
+    'market.maxCorrelatedPerCycle': [1, 100, true],
+    'regime.atrPeriod': [2, 100, true],
+    'regime.percentileLookback': [10, 1000, true],
+    'regime.highVolPercentile': [50, 100],
+    'regime.spikeAtr': [1, 20],
+    'regime.efficiencyBars': [5, 200, true],
+    'regime.trendEfficiency': [0, 1],
+    'regime.minQuoteVolume': [0, 1e12],
+    'regime.*.skip': [0, 1, true],
+    'regime.*.minConfidenceAdjust': [-50, 50],
+    'regime.*.slAtrMultiplier': [0.5, 3],
+    minConfidence: [0, 100],
+    biasThreshold: [0, 10],
+    primaryTfConfidence: [0, 100],
+    'scoreWeights.*': [0, 200],
+    'indicatorBias.*': [0, 5],
+    'indicators.rsiPeriod': [2, 100, true],
+    'indicators.emaFast': [2, 400, true],
+    'indicators.emaMid': [2, 400, true],
+    'indicators.emaSlow': [2, 400, true],
+    'indicators.macdFast': [2, 100, true],
+    'indicators.macdSlow': [2, 200, true],
+    'indicators.macdSignal': [2, 100, true],
+    'indicators.adxPeriod': [2, 100, true],
+    'indicators.adxTrending': [0, 100],
+    'indicators.bbPeriod': [2, 200, true],
+    'indicators.bbStdDev': [0.5, 5],
+    'indicators.keltnerPeriod': [2, 200, true],
+    'indicators.keltnerAtr': [0.5, 5],
+    'indicators.vwapBandStdDev': [0.5, 5],
+    'stopLoss.*': [0.05, 10],
+    'takeProfit.*': [0.05, 10],
+    'rr.*': [0.5, 10],
+    'tpClosePercents.*': [0, 100],
+    tp3MaxR: [1, 20],
+    trailingAtrMultiplier: [0.1, 10]
+};
+
+let activeConfig = { defaultProfile: 'default', profiles: { default: { ...DEFAULT_PARAMS, name: 'default' } } };
+let activePath = null;
+
+function isPlainObject(v) {
+    return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+// overrides on top of base, checked against base's shape; collects "path: problem" strings
+function mergeParams(base, overrides, prefix, errors) {
+    const out = Array.isArray(base) ? [...base] : { ...base };
+    for (const [key, value] of Object.entries(overrides)) {
+        const keyPath = prefix ? `${prefix}.${key}` : key;
+        if (!(key in base)) {
+            errors.push(`${keyPath}: unknown parameter`);
+            continue;
+        }
+        if (key === 'filters' && !prefix.includes('.')) {
+            out[key] = checkFilters(keyPath, value, errors);
+            continue;
+        }
+        if (key === 'timeframeStack' && !prefix.includes('.')) {
+            if (!STACKS[value]) errors.push(`${keyPath}: must be one of ${Object.keys(STACKS).join(', ')}`);
+            out[key] = value;
+            continue;
+        }
+        if (isPlainObject(base[key])) {
+            if (!isPlainObject(value)) errors.push(`${keyPath}: expected an object`);
+            else out[key] = mergeParams(base[key], value, keyPath, errors);
+            continue;
+        }
+        if (Array.isArray(base[key])) {
+            if (!Array.isArray(value) || value.length !== base[key].length) errors.push(`${keyPath}: expected an array of ${base[key].length} numbers`);
+            else value.forEach((v, i) => checkNumber(`${keyPath}.${i}`, v, errors));
+            out[key] = value;
+            continue;
+        }
+        checkNumber(keyPath, value, errors);
+        out[key] = value;
+    }
+    return out;
+}
+
+function checkNumber(keyPath, value, errors) {
+    if (typeof value !== 'number' || !isFinite(value)) {
+        errors.push(`${keyPath}: expected a number, got ${JSON.stringify(value)}`);
+        return;
+    }
+    const paramPath = keyPath.slice(keyPath.indexOf('.') + 1); // drop the profile name
+    const rule = RULES[paramPath] || RULES[paramPath.replace(/\.[^.]+$/, '.*')] || RULES[paramPath.replace(/\.[^.]+\./, '.*.')];
+    if (!rule) return;
+    const [min, max, integer] = rule;
+    if (value < min || value > max) errors.push(`${keyPath}: ${value} is outside ${min} - ${max}`);
+    if (integer && !Number.isInteger(value)) errors.push(`${keyPath}: must be an integer`);
+}
+
+const FILTER_KEYS = ['indicator', 'timeframe', 'direction', 'min', 'max'];
+
+function checkFilters(keyPath, value, errors) {
+    if (!Array.isArray(value)) {
+        errors.push(`${keyPath}: expected an array of filter rules`);
+        return [];
+    }
+    const timeframes = Object.keys(TIMEFRAME_INTERVALS);
+    value.forEach((rule, i) => {
+        const rulePath = `${keyPath}.${i}`;
+        if (!isPlainObject(rule)) {
+            errors.push(`${rulePath}: expected an object`);
+            return;
+        }
+        Object.keys(rule).filter(k => !FILTER_KEYS.includes(k)).forEach(k => errors.push(`${rulePath}.${k}: unknown parameter`));
+        if (!FILTER_VALUES[rule.indicator]) errors.push(`${rulePath}.indicator: must be one of ${Object.keys(FILTER_VALUES).join(', ')}`);
+        if (!timeframes.includes(rule.timeframe)) errors.push(`${rulePath}.timeframe: must be one of ${timeframes.join(', ')}`);
+        if (rule.direction !== undefined && rule.direction !== 'LONG' && rule.direction !== 'SHORT') errors.push(`${rulePath}.direction: must be LONG or SHORT`);
+        if (rule.min === undefined && rule.max === undefined) errors.push(`${rulePath}: needs min and/or max`);
+        for (const bound of ['min', 'max']) {
+            if (rule[bound] !== undefined && (typeof rule[bound] !== 'number' || !isFinite(rule[bound]))) {
+                errors.push(`${rulePath}.${bound}: expected a number, got ${JSON.stringify(rule[bound])}`);
+            }
+        }
+        if (rule.min > rule.max) errors.push(`${rulePath}: min is above max`);
+    });
+    return value;
+}
+
+function checkProfile(name, params, errors) {
+    if (params.rr.min > params.rr.max) errors.push(`${name}.rr: min ${params.rr.min} is above max ${params.rr.max}`);
+    const closeTotal = params.tpClosePercents.reduce((a, b) => a + b, 0);
+    if (closeTotal !== 100) errors.push(`${name}.tpClosePercents: must add up to 100 (got ${closeTotal})`);
+    if (params.tp3MaxR <= params.rr.max) errors.push(`${name}.tp3MaxR: must be above rr.max`);
+    const ind = params.indicators;
+    if (!(ind.emaFast < ind.emaMid && ind.emaMid < ind.emaSlow)) errors.push(`${name}.indicators: emaFast < emaMid < emaSlow required`);
+    if (ind.macdFast >= ind.macdSlow) errors.push(`${name}.indicators: macdFast must be below macdSlow`);
+    if (params.market.downgradeBias > params.market.blockBias) errors.push(`${name}.market: downgradeBias must not exceed blockBias`);
+    const stackLabels = STACKS[params.timeframeStack].labels;
+    params.filters.forEach((rule, i) => {
+        if (!stackLabels.includes(rule.timeframe)) errors.push(`${name}.filters.${i}.timeframe: ${rule.timeframe} is not in the ${params.timeframeStack} stack (${stackLabels.join('/')})`);
+    });
+}
+
+// base profile + overrides -> validated params (used by the optimizer); throws listing every problem
+function applyOverrides(base, overrides, name = base.name) {
+    const errors = [];
+    const params = mergeParams(base, overrides, name, errors);
+    if (errors.length === 0) checkProfile(name, params, errors);
+    if (errors.length > 0) throw new Error(`Invalid parameters:\n- ${errors.join('\n- ')}`);
+    return { ...params, name };
+}
+
+// raw parsed JSON -> { defaultProfile, profiles: { name: params } }; throws listing every problem
+function validateStrategyConfig(raw) {
+    const errors = [];
+    if (!isPlainObject(raw) || !isPlainObject(raw.profiles) || Object.keys(raw.profiles).length === 0) {
+        throw new Error('Strategy config must be an object with a non-empty "profiles" object');
+    }
+    const profiles = {};
+    for (const [name, overrides] of Object.entries(raw.profiles)) {
+        if (!/^[a-z0-9_-]+$/.test(name)) {
+            errors.push(`${name}: profile names may only use a-z, 0-9, "_" and "-"`);
+            continue;
+        }
+        if (!isPlainObject(overrides)) {
+            errors.push(`${name}: expected an object`);
+            continue;
+        }
+        const before = errors.length;
+        const params = mergeParams(DEFAULT_PARAMS, overrides, name, errors);
+        if (errors.length === before) checkProfile(name, params, errors);
+        profiles[name] = { ...params, name };
+    }
+    const defaultProfile = raw.defaultProfile || Object.keys(raw.profiles)[0];
+    if (!profiles[defaultProfile]) errors.push(`defaultProfile: "${defaultProfile}" is not a defined profile`);
+    if (errors.length > 0) throw new Error(`Invalid strategy config:\n- ${errors.join('\n- ')}`);
+    return { defaultProfile, profiles };
+}
+
+// read + validate + swap; the live config is untouched when anything fails
+function loadStrategyConfig(file = process.env.STRATEGY_CONFIG || DEFAULT_CONFIG_PATH) {
+    let raw;
+    try {
+        raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        throw new Error(`Cannot read strategy config ${file}: ${e.message}`);
+    }
+    activeConfig = validateStrategyConfig(raw);
+    activePath = file;
+    return activeConfig;
+}
+
+// reload on change; a broken edit is logged and ignored
+function watchStrategyConfig(onReload) {
+    if (!activePath) return null;
+    const file = activePath;
+    const listener = (curr, prev) => {
+        if (curr.mtimeMs === prev.mtimeMs) return;
+        try {
+            loadStrategyConfig(file);
+            console.log(`♻️ Strategy config reloaded: ${listProfiles().join(', ')}`);
+            if (onReload) onReload(activeConfig);
+        } catch (e) {
+            console.error(`⚠️ Strategy config rejected, keeping previous: ${e.message}`);
+        }
+    };
+    fs.watchFile(file, { interval: WATCH_INTERVAL_MS }, listener);
+    return () => fs.unwatchFile(file, listener);
+}
+
+function listProfiles() {
+    return Object.keys(activeConfig.profiles);
+}
+
+function hasProfile(name) {
+    return Boolean(name) && Object.prototype.hasOwnProperty.call(activeConfig.profiles, name);
+}
+
+// unknown or empty names fall back to the default profile (a profile may vanish on reload)
+function resolveProfileName(name) {
+    return hasProfile(name) ? name : activeConfig.defaultProfile;
+}
+
+function getProfile(name) {
+    return activeConfig.profiles[resolveProfileName(name)];
+}
+
+module.exports = {
+    DEFAULT_PARAMS,
+    validateStrategyConfig,
+    applyOverrides,
+    loadStrategyConfig,
+    watchStrategyConfig,
+    listProfiles,
+    hasProfile,
+    resolveProfileName,
+    getProfile
+};
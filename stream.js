@@ -0,0 +1,156 @@
+const WebSocket = require('ws');
+const { applyStreamCandle, markStale, getCandles } = require('./candles');
+
+// --- REAL-TIME KLINE STREAM ---
+// Subscribes to Binance Futures combined kline streams, keeps the shared candle cache
+// up to date and calls onCandleClose(symbol, interval, candle) when a bar closes.
+// BINANCE_STREAM_URL can point at a local mock (see mock/ws-server.js).
+
+const STREAM_URL = process.env.BINANCE_STREAM_URL || 'wss://fstream.binance.com';
+const MAX_STREAMS_PER_CONNECTION = 200;
+const BACKOFF_START_MS = 1000;
+const BACKOFF_MAX_MS = 60 * 1000;
+const SILENCE_TIMEOUT_MS = 60 * 1000;   // no message for this long = dead connection
+
+function parseKlineMessage(raw) {
+    const msg = JSON.parse(raw);
+    const data = msg.data || msg;
+    if (!data || data.e !== 'kline' || !data.k) return null;
+    const k = data.k;
+    return {
+        symbol: k.s,
+        interval: k.i,
+        closed: k.x === true,
+        candle: {
+            open: parseFloat(k.o),
+            high: parseFloat(k.h),
+            low: parseFloat(k.l),
+            close: parseFloat(k.c),
+            vol: parseFloat(k.v),
+            t: k.t
+        }
+    };
+}
+
+// options: { symbols, intervals, onCandleClose, url }
+function createKlineStream(options) {
+    const baseUrl = options.url || STREAM_URL;
+    const intervals = options.intervals || ['15m', '1h'];
+    const connections = [];
+    let stopped = true;
+    const status = { connected: 0, reconnects: 0, messages: 0, lastMessageAt: null };
+
+    async function backfill(streams) {
+        // REST catch-up for whatever we missed while disconnected
+        for (const { symbol, interval } of streams) {
+            markStale(symbol, interval);
+            try {
+                await getCandles(symbol, interval, 300);
+            } catch (e) {
+                console.warn(`Stream backfill failed for ${symbol} ${interval}: ${e.message || e}`);
+            }
+        }
+    }
+
+    function connect(conn) {
+        if (stopped) return;
+        const path = conn.streams.map(s => `${s.symbol.toLowerCase()}@kline_${s.interval}`).join('/');
+        const ws = new WebSocket(`${baseUrl}/stream?streams=${path}`);
+        conn.ws = ws;
+        let watchdog = null;
+
+        const armWatchdog = () => {
+            clearTimeout(watchdog);
+            watchdog = setTimeout(() => {
+                console.warn(`📡 Stream #${conn.id} silent for ${SILENCE_TIMEOUT_MS / 1000}s, reconnecting`);
+                ws.terminate();
+            }, SILENCE_TIMEOUT_MS);
+        };
+
+        ws.on('open', () => {
+            conn.open = true;
+            status.connected++;
+            console.log(`📡 Stream #${conn.id} connected (${conn.streams.length} streams)`);
+            armWatchdog();
+            if (conn.everConnected) backfill(conn.streams);
+            conn.everConnected = true;
+        });
+
+        ws.on('message', (raw) => {
+            armWatchdog();
+            conn.backoff = BACKOFF_START_MS; // healthy again
+            status.messages++;
+            status.lastMessageAt = Date.now();
+            let update;
+            try {
+                update = parseKlineMessage(raw);
+            } catch (e) {
+                return;
+            }
+            if (!update) return;
+            const continuous = applyStreamCandle(update.symbol, update.interval, update.candle);
+            if (!continuous) {
+                // gap detected: pull the missing bars before anyone evaluates this series
+                backfill([{ symbol: update.symbol, interval: update.interval }]);
+            }
+            if (update.closed && options.onCandleClose) {
+                Promise.resolve(options.onCandleClose(update.symbol, update.interval, update.candle))
+                    .catch(e => console.error(`onCandleClose error for ${update.symbol}:`, e.message || e));
+            }
+        });
+
+        ws.on('error', (err) => {
+            console.warn(`📡 Stream #${conn.id} error: ${err.message || err}`);
+        });
+
+        ws.on('close', () => {
+            clearTimeout(watchdog);
+            if (conn.open) {
+                conn.open = false;
+                status.connected--;
+            }
+            if (stopped) return;
+            status.reconnects++;
+            const delay = conn.backoff;
+            conn.backoff = Math.min(conn.backoff * 2, BACKOFF_MAX_MS);
+            console.log(`📡 Stream #${conn.id} closed, reconnecting in ${Math.round(delay / 1000)}s`);
+            conn.timer = setTimeout(() => connect(conn), delay + Math.random() * 500);
+        });
+    }
+
+    function start() {
+        if (!stopped) return;
+        stopped = false;
+        const streams = [];
+        for (const symbol of options.symbols) {
+            for (const interval of intervals) streams.push({ symbol, interval });
+        }
+        for (let i = 0; i < streams.length; i += MAX_STREAMS_PER_CONNECTION) {
+            const conn = {
+                id: connections.length + 1,
+                streams: streams.slice(i, i + MAX_STREAMS_PER_CONNECTION),
+                backoff: BACKOFF_START_MS,
+                everConnected: false,
+                open: false,
+                ws: null,
+                timer: null
+            };
+            connections.push(conn);
+            connect(conn);
+        }
+    }
+
+    function stop() {
+        stopped = true;
+        for (const conn of connections) {
+            clearTimeout(conn.timer);
+            if (conn.ws) conn.ws.terminate();
+        }
+        connections.length = 0;
+        status.connected = 0;
+    }
+
+    return { start, stop, status };
+}
+
+module.exports = { createKlineStream, parseKlineMessage };
@@ -0,0 +1,60 @@
+// --- TIMEFRAME STACKS ---
+// A stack is the set of timeframes one analysis loads (highest first) with explicit roles:
+//   bias       highest TF; without its candles there is no trade (the direction would be unanchored)
+//   structure  where the market regime is classified; also the default /chart timeframe
+//   entry      lowest TF; supplies the current price and is the bar the backtest steps on
+// A profile picks its stack with "timeframeStack" in strategy.json; commands and the backtest can override it.
+
+// label -> interval (the interval names every exchange adapter maps)
+const TIMEFRAME_INTERVALS = {
+    W1: '1w',
+    D1: '1d',
+    H4: '4h',
+    H1: '1h',
+    '15M': '15m',
+    '5M': '5m',
+    '1M': '1m'
+};
+
+const STACKS = {
+    standard: { labels: ['D1', 'H4', 'H1', '15M'], bias: 'D1', structure: 'H1', entry: '15M' },
+    swing: { labels: ['W1', 'D1', 'H4', 'H1'], bias: 'W1', structure: 'H4', entry: 'H1' },
+    scalp: { labels: ['H1', '15M', '5M', '1M'], bias: 'H1', structure: '15M', entry: '1M' }
+};
+
+const DEFAULT_STACK = 'standard';
+
+function listStacks() {
+    return Object.keys(STACKS);
+}
+
+function hasStack(name) {
+    return Boolean(name) && Object.prototype.hasOwnProperty.call(STACKS, name);
+}
+
+// -> { name, bias, structure, entry, timeframes: [{ label, interval }] }; unknown names get the default stack
+function getStack(name) {
+    const stackName = hasStack(name) ? name : DEFAULT_STACK;
+    const stack = STACKS[stackName];
+    return {
+        name: stackName,
+        bias: stack.bias,
+        structure: stack.structure,
+        entry: stack.entry,
+        timeframes: stack.labels.map(label => ({ label, interval: TIMEFRAME_INTERVALS[label] }))
+    };
+}
+
+function formatStack(stack) {
+    return `${stack.name} (${stack.timeframes.map(tf => tf.label).join('/')})`;
+}
+
+module.exports = {
+    TIMEFRAME_INTERVALS,
+    STACKS,
+    DEFAULT_STACK,
+    listStacks,
+    hasStack,
+    getStack,
+    formatStack
+};
@@ -0,0 +1,128 @@
+const { getCandles, loadCandlesWithSource } = require('./candles');
+const { simulatePosition, ladderFromSignal } = require('./paper');
+
+// --- SIGNAL OUTCOME TRACKER ---
+// Every emitted signal is recorded here and re-checked against fresh candles
+// until its entry expires unfilled, the trade is closed or it times out.
+// Records follow the TP ladder users are shown (partial closes, breakeven after TP1, trailing after TP2)
+// through paper.js's simulatePosition, so r is the whole trade's result in R:
+//   TP       closed at the last target
+//   SL       closed by the stop: exitType SL, or BE / TRAIL once targets were hit (targetsHit)
+//   EXPIRED  entry never filled, or closed at market after the holding time (exitType EXPIRE)
+
+const TRACK_INTERVAL = '15m';
+const TRACK_FILL_BARS = 16;   // 4h to fill the entry (PAPER_FILL_BARS in the simulation)
+const TRACK_MAX_BARS = 96;    // 24h max holding time (PAPER_MAX_BARS)
+const MAX_HISTORY = 3000;   // enough for /stats and /report over 30 days
+
+// signal records, newest last
+let trackedSignals = [];
+let nextSignalId = 1;
+
+// result: analyzeSymbol output, source: 'AUTO' | 'MANUAL'
+// messages: [{ chatId, messageId }] — where the signal was posted, used for follow-up replies
+function recordSignal(result, source, messages = []) {
+    const record = {
+        id: nextSignalId++,
+        symbol: result.symbol,
+        profile: result.profile || null,
+        direction: result.direction,
+        entry: parseFloat(result.entry),
+        sl: parseFloat(result.sl),
+        tp: parseFloat(result.tp),
+        ...ladderFromSignal(result),
+        rr: result.rr,
+        confidence: result.confidence,
+        source,
+        createdAt: Date.now(),
+        status: 'PENDING',
+        filled: false,
+        fillTime: null,
+        exitTime: null,
+        exitPrice: null,
+        exitType: null,
+        targetsHit: 0,
+        r: 0,
+        resolvedAt: null,
+        flipOf: result.flipOf ? result.flipOf.id : null,   // id of the opposite signal this one reversed
+        updates: 0,                                         // registry updates posted under it (registry.js)
+        messages
+    };
+    trackedSignals.push(record);
+    if (trackedSignals.length > MAX_HISTORY) trackedSignals = trackedSignals.slice(-MAX_HISTORY);
+    return record;
+}
+
+function isActive(record) {
+    return record.status === 'PENDING' || record.status === 'OPEN';
+}
+
+// bars that opened after the signal was issued; when the cached window no longer reaches back that far
+// (e.g. after downtime) the bars are loaded from the signal's creation time instead
+async function candlesSince(record) {
+    const candles = await getCandles(record.symbol, TRACK_INTERVAL, 200);
+    if (candles.length > 0 && candles[0].t <= record.createdAt) return candles.filter(c => c.t >= record.createdAt);
+    const { candles: history } = await loadCandlesWithSource(record.symbol, TRACK_INTERVAL, TRACK_FILL_BARS + TRACK_MAX_BARS + 1, { startTime: record.createdAt });
+    return history.filter(c => c.t >= record.createdAt);
+}
+
+// replays the record as a 1-unit position along its ladder (records from before the ladder close all at tp)
+// -> { status, filled, fillTime, exitTime, exitPrice, exitType, targetsHit, r }
+function resolveRecord(record, candles) {
+    const position = { targets: [{ price: record.tp, closePercent: 100 }], breakevenAfter: null, trailing: null, ...record, qty: 1, stepSize: null };
+    const s = simulatePosition(position, candles);
+    const fill = s.events.find(e => e.type === 'FILL');
+    const targetsHit = s.events.filter(e => /^TP\d+$/.test(e.type)).length;
+    const outcome = { status: s.status, filled: Boolean(fill), fillTime: fill ? fill.time : null, exitTime: null, exitPrice: null, exitType: null, targetsHit, r: 0 };
+    if (s.status === 'CANCELLED') return { ...outcome, status: 'EXPIRED', exitTime: s.exitTime };
+    if (s.status !== 'CLOSED') return outcome;
+    const last = s.events[s.events.length - 1];
+    const risk = Math.abs(record.entry - record.sl);
+    return {
+        ...outcome,
+        status: last.type.startsWith('TP') ? 'TP' : last.type === 'EXPIRE' ? 'EXPIRED' : 'SL',
+        exitTime: s.exitTime,
+        exitPrice: last.price,
+        exitType: last.type,
+        r: risk > 0 ? s.realized / risk : 0
+    };
+}
+
+// Re-evaluate every active signal; returns the records that resolved during this pass
+async function checkSignals() {
+    const resolved = [];
+    const active = trackedSignals.filter(isActive);
+    for (const record of active) {
+        try {
+            const after = await candlesSince(record);
+            const outcome = resolveRecord(record, after);
+            record.status = outcome.status;
+            record.filled = outcome.filled;
+            record.fillTime = outcome.fillTime;
+            if (!isActive(record)) {
+                record.exitTime = outcome.exitTime;
+                record.exitPrice = outcome.exitPrice;
+                record.exitType = outcome.exitType;
+                record.targetsHit = outcome.targetsHit;
+                record.r = outcome.r;
+                record.resolvedAt = Date.now();
+                resolved.push(record);
+            }
+        } catch (e) {
+            console.warn(`Tracker check failed for ${record.symbol} #${record.id}: ${e.message || e}`);
+        }
+    }
+    return resolved;
+}
+
+function getSignals() {
+    return trackedSignals;
+}
+
+// Restore history from storage (active ones keep being tracked)
+function loadSignals(records) {
+    trackedSignals = Array.isArray(records) ? records.slice(-MAX_HISTORY) : [];
+    nextSignalId = trackedSignals.reduce((max, r) => Math.max(max, r.id), 0) + 1;
+}
+
+module.exports = { recordSignal, checkSignals, getSignals, loadSignals, isActive };
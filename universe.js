@@ -0,0 +1,129 @@
+const fs = require('fs');
+const { getAdapters, getAdapter } = require('./exchanges');
+
+// --- SCAN UNIVERSE ---
+// Builds the per-cycle scan list from the exchange's contract list and 24h stats instead of a fixed list:
+//   1. drop anything not tradable (delisted, settling, non-perpetual, no ticker) — pinned coins included
+//   2. keep contracts above minQuoteVolume, below maxSpreadBps and listed for minListingDays
+//   3. rank by volume, 24h range (volatility) and spread; pinned coins first, then the best ranked up to maxSize
+//      (maxSize counts pinned coins too: beyond it the pinned list is cut in its own order and reported as overflow)
+//   4. if fewer than minSize qualify, fill up with the most liquid tradable contracts
+// UNIVERSE_FIXTURE=<json> replaces the exchange with { exchangeInfo, tickers, bookTickers } in Binance's raw format.
+
+const DAY_MS = 86400000;
+
+const UNIVERSE_DEFAULTS = {
+    minSize: 10,
+    maxSize: 40,
+    minQuoteVolume: 20000000,     // USDT traded in 24h
+    maxSpreadBps: 10,             // (ask - bid) / mid in basis points
+    minListingDays: 7,
+    weights: { volume: 0.5, volatility: 0.3, spread: 0.2 }
+};
+
+async function loadMarketSnapshot(fixturePath = process.env.UNIVERSE_FIXTURE) {
+    if (fixturePath) {
+        const raw = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+        return getAdapter('binance-futures').parseMarketSnapshot(raw);
+    }
+    const adapter = getAdapters().find(a => typeof a.fetchMarketSnapshot === 'function');
+    if (!adapter) throw new Error('No exchange source provides a market snapshot');
+    return adapter.fetchMarketSnapshot();
+}
+
+// position of each value among all values, 0 (lowest) .. 1 (highest)
+function rankPercentiles(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const denom = Math.max(1, sorted.length - 1);
+    return values.map(v => sorted.indexOf(v) / denom);
+}
+
+// why a tradable contract fails the quality bar, or null
+function rejectReason(c, options, now) {
+    if (c.quoteVolume < options.minQuoteVolume) return `volume ${(c.quoteVolume / 1e6).toFixed(1)}M`;
+    if (c.spreadBps === null || c.spreadBps > options.maxSpreadBps) return `spread ${c.spreadBps === null ? 'N/A' : c.spreadBps.toFixed(1)}bps`;
+    if (c.onboardDate && now - c.onboardDate < options.minListingDays * DAY_MS) return 'new listing';
+    return null;
+}
+
+// contracts: loadMarketSnapshot() rows; pinned: symbols always scanned while tradable
+// -> { symbols, ranked: [{ symbol, score, quoteVolume, volatility, spreadBps, pinned }], dropped: [{ symbol, reason }], overflow: [symbol] }
+function buildUniverse(contracts, pinned = [], options = {}, now = Date.now()) {
+    const opts = { ...UNIVERSE_DEFAULTS, ...options, weights: { ...UNIVERSE_DEFAULTS.weights, ...options.weights } };
+    const bySymbol = new Map(contracts.map(c => [c.symbol, c]));
+    const dropped = [];
+
+    const tradable = contracts
+        .filter(c => c.tradable && c.last > 0 && c.trades > 0)
+        .map(c => {
+            const mid = (c.bid + c.ask) / 2;
+            return {
+                ...c,
+                volatility: c.last > 0 ? (c.high - c.low) / c.last : 0,
+                spreadBps: c.bid > 0 && c.ask > 0 ? ((c.ask - c.bid) / mid) * 10000 : null
+            };
+        });
+
+    for (const symbol of pinned) {
+        const c = bySymbol.get(symbol);
+        if (!c) dropped.push({ symbol, reason: 'not listed' });
+        else if (!tradable.some(t => t.symbol === symbol)) dropped.push({ symbol, reason: c.status && c.status !== 'TRADING' ? c.status.toLowerCase() : 'not tradable' });
+    }
+
+    const volumeRank = rankPercentiles(tradable.map(c => Math.log10(c.quoteVolume + 1)));
+    const volatilityRank = rankPercentiles(tradable.map(c => c.volatility));
+    const spreadRank = rankPercentiles(tradable.map(c => c.spreadBps === null ? Infinity : c.spreadBps));
+    const w = opts.weights;
+    const scored = tradable.map((c, i) => ({
+        symbol: c.symbol,
+        score: w.volume * volumeRank[i] + w.volatility * volatilityRank[i] + w.spread * (1 - spreadRank[i]),
+        quoteVolume: c.quoteVolume,
+        volatility: c.volatility,
+        spreadBps: c.spreadBps,
+        pinned: pinned.includes(c.symbol),
+        rejected: rejectReason(c, opts, now)
+    })).sort((a, b) => b.score - a.score);
+
+    const pinnedTradable = pinned.map(symbol => scored.find(c => c.symbol === symbol)).filter(Boolean);
+    const picked = pinnedTradable.slice(0, opts.maxSize);
+    const overflow = pinnedTradable.slice(opts.maxSize).map(c => c.symbol);
+    for (const c of scored) {
+        if (picked.length >= opts.maxSize) break;
+        if (!c.pinned && !c.rejected) picked.push(c);
+    }
+    if (picked.length < opts.minSize) {
+        const fill = scored.filter(c => !picked.includes(c)).sort((a, b) => b.quoteVolume - a.quoteVolume);
+        picked.push(...fill.slice(0, opts.minSize - picked.length));
+    }
+
+    return {
+        time: now,
+        symbols: picked.map(c => c.symbol),
+        ranked: picked.map(({ rejected, ...c }) => c),
+        dropped,
+        overflow
+    };
+}
+
+function formatUniverse(universe, limit = 30) {
+    if (!universe) return '🌐 Universe chưa được xây dựng (đang dùng danh sách tĩnh).';
+    let text = `🌐 UNIVERSE (${universe.symbols.length} coins)\n\n`;
+    universe.ranked.slice(0, limit).forEach((c, i) => {
+        text += `${i + 1}. ${c.symbol.replace('USDT', '')}${c.pinned ? ' 📌' : ''} — ${(c.quoteVolume / 1e6).toFixed(0)}M · range ${(c.volatility * 100).toFixed(1)}% · spread ${c.spreadBps === null ? 'N/A' : c.spreadBps.toFixed(1)}bps\n`;
+    });
+    if (universe.ranked.length > limit) text += `... và ${universe.ranked.length - limit} coin khác\n`;
+    if (universe.dropped.length > 0) {
+        text += `\n🗑️ Bỏ qua (không giao dịch được): ${universe.dropped.map(d => `${d.symbol.replace('USDT', '')} (${d.reason})`).join(', ')}\n`;
+    }
+    if (universe.overflow && universe.overflow.length > 0) {
+        text += `\n✂️ Vượt giới hạn ${universe.symbols.length} coin, không quét: ${universe.overflow.map(s => s.replace('USDT', '')).join(', ')}\n`;
+    }
+    return text;
+}
+
+module.exports = {
+    UNIVERSE_DEFAULTS,
+    loadMarketSnapshot,
+    buildUniverse,
+    formatUniverse
+};
@@ -0,0 +1,101 @@
+const { calculateATR } = require('./indicators');
+
+// --- ZONE LIFECYCLE (order blocks / fair value gaps) ---
+// A zone is { type: 'bullish' | 'bearish', high, low, time, ... }. After it forms, every later candle is
+// replayed against it:
+//   fresh       never revisited
+//   touched     price wicked into it but did not reach the mitigation depth
+//   mitigated   price reached `mitigationLevel` of its height (0.5 = mean threshold, 1 = fully filled)
+//   invalidated a candle closed through the far side
+// Only fresh / touched zones are tradable.
+
+const VOLUME_LOOKBACK = 20;
+
+function isActiveZone(zone) {
+    return zone.status === 'fresh' || zone.status === 'touched';
+}
+
+// how deep a candle reached into the zone, 0 (edge) .. 1 (far side)
+function penetration(zone, candle) {
+    const height = zone.high - zone.low;
+    if (zone.type === 'bullish') {
+        if (candle.low > zone.high) return null;
+        return height > 0 ? Math.min(1, (zone.high - candle.low) / height) : 1;
+    }
+    if (candle.high < zone.low) return null;
+    return height > 0 ? Math.min(1, (candle.high - zone.low) / height) : 1;
+}
+
+// candles after formedIndex decide the status; returns the zone with lifecycle fields added
+function trackZone(zone, candles, formedIndex, mitigationLevel) {
+    const tracked = { ...zone, status: 'fresh', touches: 0, depth: 0, touchedAt: null, mitigatedAt: null, invalidatedAt: null };
+    let inside = false;
+    for (let j = formedIndex + 1; j < candles.length; j++) {
+        const c = candles[j];
+        if ((zone.type === 'bullish' && c.close < zone.low) || (zone.type === 'bearish' && c.close > zone.high)) {
+            tracked.status = 'invalidated';
+            tracked.invalidatedAt = c.t;
+            break;
+        }
+        const depth = penetration(zone, c);
+        if (depth === null) {
+            inside = false;
+            continue;
+        }
+        if (!inside) tracked.touches++;
+        inside = true;
+        if (tracked.touchedAt === null) tracked.touchedAt = c.t;
+        tracked.depth = Math.max(tracked.depth, depth);
+        if (tracked.depth >= mitigationLevel) {
+            tracked.status = 'mitigated';
+            tracked.mitigatedAt = c.t;
+            break;
+        }
+        tracked.status = 'touched';
+    }
+    return tracked;
+}
+
+// 0..1 from the impulse candle's body in ATR, its volume against the previous bars and the zone's age;
+// a touched zone keeps 70% of it
+function scoreZoneStrength(zone, candles, impulseIndex, atr, decayBars) {
+    const impulse = candles[impulseIndex];
+    const displacement = atr > 0 ? Math.abs(impulse.close - impulse.open) / atr : 0;
+    const prior = candles.slice(Math.max(0, impulseIndex - VOLUME_LOOKBACK), impulseIndex);
+    const avgVol = prior.length > 0 ? prior.reduce((s, c) => s + c.vol, 0) / prior.length : 0;
+    const volumeRatio = avgVol > 0 ? impulse.vol / avgVol : 1;
+    const age = candles.length - 1 - impulseIndex;
+    const freshness = Math.max(0, 1 - age / decayBars);
+    let strength = 0.4 * Math.min(1, displacement / 2) + 0.3 * Math.min(1, volumeRatio / 2) + 0.3 * freshness;
+    if (zone.status === 'touched') strength *= 0.7;
+    if (!isActiveZone(zone)) strength = 0;
+    return {
+        ...zone,
+        displacement: parseFloat(displacement.toFixed(2)),
+        volumeRatio: parseFloat(volumeRatio.toFixed(2)),
+        age,
+        strength: parseFloat(strength.toFixed(2))
+    };
+}
+
+// raw zones: [{ zone, formedIndex, impulseIndex }] -> tracked + scored, older than decayBars dropped
+function buildZones(raw, candles, mitigationLevel, decayBars) {
+    const atr = calculateATR(candles);
+    return raw
+        .filter(r => candles.length - 1 - r.impulseIndex < decayBars)
+        .map(r => scoreZoneStrength(trackZone(r.zone, candles, r.formedIndex, mitigationLevel), candles, r.impulseIndex, atr, decayBars));
+}
+
+function countZonesByStatus(zones) {
+    const counts = { fresh: 0, touched: 0, mitigated: 0, invalidated: 0 };
+    for (const z of zones) counts[z.status]++;
+    return counts;
+}
+
+module.exports = {
+    isActiveZone,
+    trackZone,
+    scoreZoneStrength,
+    buildZones,
+    countZonesByStatus
+};